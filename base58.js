@@ -0,0 +1,91 @@
+"use strict";
+
+const crypto = require('crypto');
+
+// Bitcoin's Base58 alphabet, which leaves out 0, O, I and l to avoid
+// characters that are easily confused.
+const ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const BASE = BigInt(ALPHABET.length);
+const CHECKSUM_LENGTH = 4;
+
+function sha256d(buf) {
+  let h = crypto.createHash('sha256').update(buf).digest();
+  return crypto.createHash('sha256').update(h).digest();
+}
+
+/**
+ * Encodes a buffer in Base58.  Leading zero bytes are kept as leading '1's.
+ *
+ * @param {Buffer} buf - The bytes to encode.
+ *
+ * @returns {String}
+ */
+exports.encode = function(buf) {
+  let n = buf.length > 0 ? BigInt(`0x${buf.toString('hex')}`) : 0n;
+  let s = "";
+  while (n > 0n) {
+    s = ALPHABET[Number(n % BASE)] + s;
+    n = n / BASE;
+  }
+  for (let i = 0; i < buf.length && buf[i] === 0; i++) {
+    s = ALPHABET[0] + s;
+  }
+  return s;
+};
+
+/**
+ * Decodes a Base58 string.
+ *
+ * @param {String} s - The string to decode.
+ *
+ * @returns {Buffer}
+ */
+exports.decode = function(s) {
+  let n = 0n;
+  for (let i = 0; i < s.length; i++) {
+    let digit = ALPHABET.indexOf(s[i]);
+    if (digit < 0) {
+      throw new Error(`Invalid Base58 character '${s[i]}' at position ${i}.`);
+    }
+    n = n * BASE + BigInt(digit);
+  }
+  let hex = n > 0n ? n.toString(16) : "";
+  if (hex.length % 2 === 1) hex = "0" + hex;
+
+  let leadingZeroes = 0;
+  while (leadingZeroes < s.length && s[leadingZeroes] === ALPHABET[0]) leadingZeroes++;
+  return Buffer.concat([Buffer.alloc(leadingZeroes), Buffer.from(hex, 'hex')]);
+};
+
+/**
+ * Encodes a buffer in Base58Check: the payload followed by the first
+ * 4 bytes of its double SHA-256.
+ *
+ * @param {Buffer} payload - The bytes to encode.
+ *
+ * @returns {String}
+ */
+exports.encodeCheck = function(payload) {
+  let checksum = sha256d(payload).slice(0, CHECKSUM_LENGTH);
+  return exports.encode(Buffer.concat([payload, checksum]));
+};
+
+/**
+ * Decodes a Base58Check string, verifying its checksum.
+ *
+ * @param {String} s - The string to decode.
+ *
+ * @returns {Buffer} - The payload, without the checksum.
+ */
+exports.decodeCheck = function(s) {
+  let buf = exports.decode(s);
+  if (buf.length < CHECKSUM_LENGTH) {
+    throw new Error("Base58Check string is too short.");
+  }
+  let payload = buf.slice(0, buf.length - CHECKSUM_LENGTH);
+  let checksum = buf.slice(buf.length - CHECKSUM_LENGTH);
+  if (!sha256d(payload).slice(0, CHECKSUM_LENGTH).equals(checksum)) {
+    throw new Error("Base58Check checksum does not match.");
+  }
+  return payload;
+};
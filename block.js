@@ -4,6 +4,41 @@ const Blockchain = require('./blockchain.js');
 
 const utils = require('./utils.js');
 
+// A block's timestamp must be later than the median timestamp of this many blocks before it.
+const MEDIAN_TIME_BLOCKS = 11;
+
+// The middle value of a list of numbers, taking the later of the two middle values for an even length.
+function median(values) {
+  let sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// The IDs of the transactions included in a chain.  Rather than copying the IDs of every block
+// before it, a block keeps its own in a new layer on top of the layers of the chain it extends.
+// Layers are only merged once the newer one is at least half the size of the older, so there are
+// few layers to search, and each ID is copied only a logarithmic number of times.
+class SpentTransactions {
+  constructor(prev) {
+    this.layers = prev ? prev.layers.slice() : [];
+    if (prev && prev.latest.size > 0) {
+      let merged = new Set(prev.latest);
+      while (this.layers.length > 0 && 2 * merged.size >= this.layers[this.layers.length-1].size) {
+        merged = new Set([...this.layers.pop(), ...merged]);
+      }
+      this.layers.push(merged);
+    }
+    this.latest = new Set();
+  }
+
+  has(txID) {
+    return this.latest.has(txID) || this.layers.some((layer) => layer.has(txID));
+  }
+
+  add(txID) {
+    this.latest.add(txID);
+  }
+}
+
 /**
  * A block is a collection of transactions, with a hash connecting it
  * to a previous block.
@@ -20,8 +55,10 @@ module.exports = class Block {
    * @param {Number} [target] - The POW target.  The miner must find a proof that
    *      produces a smaller value when hashed.
    * @param {Number} [coinbaseReward] - The gold that a miner earns for finding a block proof.
+   *      Defaults to the reward for the block's height; see Blockchain.coinbaseRewardAt.
    */
-  constructor(rewardAddr, prevBlock, target=Blockchain.POW_TARGET, coinbaseReward=Blockchain.COINBASE_AMT_ALLOWED) {
+  constructor(rewardAddr, prevBlock, target=Blockchain.POW_TARGET,
+      coinbaseReward=Blockchain.coinbaseRewardAt(prevBlock ? prevBlock.chainLength+1 : 0)) {
     this.prevBlockHash = prevBlock ? prevBlock.hashVal() : null;
     this.target = target;
 
@@ -30,6 +67,12 @@ module.exports = class Block {
     this.balances = prevBlock ? new Map(prevBlock.balances) : new Map();
     this.nextNonce = prevBlock ? new Map(prevBlock.nextNonce) : new Map();
 
+    // IDs of every transaction in the chain up to and including this block.  An input address
+    // may be funded again after it is spent, so a transaction that was already included must be
+    // rejected, or its signature could be replayed.  Shared with the blocks before this one where
+    // possible; see SpentTransactions.  Also NOT part of the serialized format.
+    this.spentTransactions = new SpentTransactions(prevBlock && prevBlock.spentTransactions);
+
     if (prevBlock && prevBlock.rewardAddr) {
       // Add the previous block's rewards to the miner who found the proof.
       let winnerBalance = this.balanceOf(prevBlock.rewardAddr) || 0;
@@ -39,6 +82,10 @@ module.exports = class Block {
     // Storing transactions in a Map to preserve key order.
     this.transactions = new Map();
 
+    // Root of the Merkle tree over the IDs of the transactions, in order, worked out when
+    // it is first needed after a change; see merkleRoot.
+    this._merkleRoot = undefined;
+
     // Adding toJSON methods for transactions and balances, which help with
     // serialization.
     // this.transactions.toJSON = () => {
@@ -49,13 +96,20 @@ module.exports = class Block {
     // }
 
 
-    // Used to determine the winner between competing chains.
-    // Note that this is a little simplistic -- an attacker
-    // could make a long, but low-work chain.  However, this works
-    // well enough for us.
+    // Height of the block, with the genesis block at 0.
     this.chainLength = prevBlock ? prevBlock.chainLength+1 : 0;
 
-    this.timestamp = Date.now();
+    // Used to determine the winner between competing chains; see isHeavierThan.  Counting work
+    // rather than blocks stops an attacker from winning with a long, but low-work chain.
+    // Worked out from the targets, so it is NOT part of the serialized format either.
+    this.chainWork = (prevBlock ? prevBlock.chainWork : 0n) + this.work();
+
+    // Timestamps of the blocks before this one, for the median time past; see medianTimePast.
+    // NOT part of the serialized format.
+    this.prevTimestamps = prevBlock ? prevBlock.recentTimestamps() : [];
+
+    // Clocks may disagree, so the timestamp is moved on if need be to follow the blocks before it.
+    this.timestamp = prevBlock ? Math.max(Date.now(), this.medianTimePast() + 1) : Date.now();
 
     // The address that will gain both the coinbase reward and transaction fees,
     // assuming that the block is accepted by the network.
@@ -73,6 +127,72 @@ module.exports = class Block {
     return this.chainLength === 0;
   }
 
+  /**
+   * Lists the timestamps that the median time past of the next block is taken from: those
+   * of this block and of the blocks just before it.
+   *
+   * @returns {Array} - Up to MEDIAN_TIME_BLOCKS timestamps, oldest first.
+   */
+  recentTimestamps() {
+    return this.prevTimestamps.concat(this.timestamp).slice(-MEDIAN_TIME_BLOCKS);
+  }
+
+  /**
+   * The median timestamp of the blocks just before this one.  Unlike the block's own
+   * timestamp, a single miner cannot move it far, so time locks are checked against it.
+   *
+   * @returns {Number} - The median time past, or -Infinity for the genesis block.
+   */
+  medianTimePast() {
+    return this.prevTimestamps.length === 0 ? -Infinity : median(this.prevTimestamps);
+  }
+
+  /**
+   * Checks that the block's timestamp could be the time that it was found, throwing an error that
+   * says what is wrong with it otherwise.  It must be a number later than the median time past,
+   * so that miners cannot pull the time back, and no more than Blockchain.MAX_TIME_DRIFT ahead of
+   * our clock, so that they cannot push it forward.  Together, these bound how far a miner can
+   * skew the retargeting of the proof-of-work target.
+   *
+   * @param {Block} prevBlock - The block before this one.
+   * @param {Number} [now] - The current time.
+   */
+  checkTimestamp(prevBlock, now=Date.now()) {
+    if (!Number.isFinite(this.timestamp)) {
+      throw new Error(`Block ${this.id} has an invalid timestamp.`);
+    }
+    if (this.timestamp <= median(prevBlock.recentTimestamps())) {
+      throw new Error(`Block ${this.id} is timestamped before the median time of the blocks before it.`);
+    }
+    if (this.timestamp > now + Blockchain.MAX_TIME_DRIFT) {
+      throw new Error(`Block ${this.id} is timestamped too far in the future.`);
+    }
+  }
+
+  /**
+   * The number of hashes that finding a proof for the block's target takes on average.
+   *
+   * @returns {BigInt} - The work done for the block.
+   */
+  work() {
+    // A hash is below the target with a chance of (target + 1) in 2^256.
+    return (1n << 256n) / (this.target + 1n);
+  }
+
+  /**
+   * Determines whether the chain ending at this block should win over the chain ending at
+   * another block: the chain with more work wins, whatever the number of blocks in it.
+   * Chains with the same work go to the lower block hash, so that every client picks the same one.
+   *
+   * @param {Block} other - The last block of the competing chain.
+   *
+   * @returns {Boolean} - True if this block's chain is better.
+   */
+  isHeavierThan(other) {
+    if (this.chainWork !== other.chainWork) return this.chainWork > other.chainWork;
+    return this.id < other.id;
+  }
+
   /**
    * Returns true if the hash of the block is less than the target
    * proof of work value.
@@ -80,7 +200,7 @@ module.exports = class Block {
    * @returns {Boolean} - True if the block has a valid proof.
    */
   hasValidProof() {
-    let h = utils.hash(this.serialize());
+    let h = this.hashVal();
     let n = BigInt(`0x${h}`);
     return n < this.target;
   }
@@ -132,7 +252,45 @@ module.exports = class Block {
    //}
   }
 
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   *
+   * Root of the Merkle tree over the IDs of the block's transactions, in order.  The block's
+   * header commits to the transactions through it; see header.  The root is only worked out
+   * again after transactions are added, so filling a block does not rehash the tree each time.
+   */
+  get merkleRoot() {
+    if (this._merkleRoot === undefined) {
+      this._merkleRoot = utils.merkleRoot([...this.transactions.keys()]);
+    }
+    return this._merkleRoot;
+  }
+
+  /**
+   * Sets the Merkle root, for a block known only by its header.
+   */
+  set merkleRoot(root) {
+    this._merkleRoot = root;
+  }
+
   toJSON() {
+    let o = this.header();
+    if (!this.isGenesisBlock()) {
+      o.transactions = Array.from(this.transactions.entries());
+    }
+    return o;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   *
+   * The fields of the block that its hash covers.  Instead of the transactions themselves,
+   * the header holds their Merkle root, so the proof of work does not get slower as blocks
+   * grow, and a transaction can be shown to be in the block without the rest of the block.
+   *
+   * @returns {Object} - The block's header.
+   */
+  header() {
     let o = {
       chainLength: this.chainLength,
       timestamp: this.timestamp,
@@ -142,24 +300,28 @@ module.exports = class Block {
       // but is the only block than can specify balances.
       o.balances = Array.from(this.balances.entries());
     } else {
-      // Other blocks must specify transactions and proof details.
-      o.transactions = Array.from(this.transactions.entries());
+      // Other blocks must specify transactions and proof details.  The target is
+      // included, since it changes when the chain retargets.
+      o.merkleRoot = this.merkleRoot;
       o.prevBlockHash = this.prevBlockHash;
+      o.target = this.target.toString(16);
       o.proof = this.proof;
       o.rewardAddr = this.rewardAddr;
+      // The coinbase reward is covered by the proof, so a miner cannot change what it claims.
+      o.coinbaseReward = this.coinbaseReward;
     }
     return o;
   }
 
   /**
    * Returns the cryptographic hash of the current block.
-   * The block is first converted to its serial form, so
-   * any unimportant fields are ignored.
+   * Only the block's header is hashed, so any unimportant
+   * fields are ignored.
    *
    * @returns {String} - cryptographic hash of the block.
    */
   hashVal() {
-    return utils.hash(this.serialize());
+    return utils.hash(JSON.stringify(this.header()));
   }
 
   /**
@@ -175,6 +337,10 @@ module.exports = class Block {
    * Accepts a new transaction if it is valid and adds it to the block.
    *
    * ADDITONAL IMPLEMENTATION: Added UTXO model from HW2 (Kevin Chau)
+   * Transactions with a lock are rejected until the block's height and timestamp satisfy it,
+   * and spends from hash time-locked contracts must respect the contracts' timeouts.
+   * A transaction already included earlier in the chain is rejected as a replay, and
+   * any data it carries must be within the size limit and paid for by its fee.
    * 
    * @param {Transaction} tx - The transaction to add to the block.
    * @param {Client} [client] - A client object, for logging useful messages.
@@ -185,12 +351,22 @@ module.exports = class Block {
     if (this.transactions.get(tx.id)) {
       if (client) client.log(`Duplicate transaction ${tx.id}.`);
       return false;
+    } else if (this.spentTransactions.has(tx.id)) {
+      if (client) client.log(`Replayed transaction ${tx.id} was already included in the chain.`);
+      return false;
     } else if (tx.sig === undefined) {
       if (client) client.log(`Unsigned transaction ${tx.id}.`);
       return false;
     } else if (!tx.validSignature()) {
       if (client) client.log(`Invalid signature for transaction ${tx.id}.`);
       return false;
+    } else if (!tx.isUnlocked(this)) {
+      if (client) client.log(`Transaction ${tx.id} is locked until ${JSON.stringify(tx.lock)}.`);
+      return false;
+    } else if (!this.validContracts(tx, client)) {
+      return false;
+    } else if (!this.validData(tx, client)) {
+      return false;
     } else if (!tx.sufficientFunds(this)) {
       if (client) client.log(`Insufficient gold for transaction ${tx.id}.`);
       return false;
@@ -198,6 +374,8 @@ module.exports = class Block {
 
     // Adding the transaction to the block
     this.transactions.set(tx.id, tx);
+    this.spentTransactions.add(tx.id);
+    this._merkleRoot = undefined;
 
     // Delete all accounts
     tx.from.forEach((addr) => {
@@ -217,6 +395,59 @@ module.exports = class Block {
     return true;
   }
 
+  /**
+   * Checks the timeouts of any hash time-locked contracts that a transaction spends from.
+   * The secret may only be used to claim the gold in blocks below the contract's timeout
+   * height, and the gold may only be refunded in blocks at or above it.  The preimage and
+   * signatures themselves are checked by Transaction.validSignature.
+   *
+   * @param {Transaction} tx - The transaction to check.
+   * @param {Client} [client] - A client object, for logging useful messages.
+   *
+   * @returns {Boolean} - True if every contract input is allowed at this block's height.
+   */
+  validContracts(tx, client) {
+    for (let i = 0; i < tx.from.length; i++) {
+      if (tx.keyType[i] !== utils.HTLC) continue;
+      let {timeout} = tx.pubKey[i];
+      if (tx.isClaim(i) && this.chainLength >= timeout) {
+        if (client) client.log(`Transaction ${tx.id} claims contract ${tx.from[i]} after its timeout at height ${timeout}.`);
+        return false;
+      } else if (!tx.isClaim(i) && this.chainLength < timeout) {
+        if (client) client.log(`Transaction ${tx.id} refunds contract ${tx.from[i]} before its timeout at height ${timeout}.`);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Checks the data attached to a transaction: it must be no larger than Blockchain.MAX_DATA_SIZE,
+   * the transaction's fee must cover Blockchain.dataFee, and a memo or anchored hash must be
+   * well-formed.
+   *
+   * @param {Transaction} tx - The transaction to check.
+   * @param {Client} [client] - A client object, for logging useful messages.
+   *
+   * @returns {Boolean} - True if the transaction's data is acceptable.
+   */
+  validData(tx, client) {
+    let size = utils.dataSize(tx.data);
+    let {memo, anchor} = tx.data || {};
+    let problem;
+    if (size > Blockchain.MAX_DATA_SIZE) {
+      problem = `carries ${size} bytes of data, more than the limit of ${Blockchain.MAX_DATA_SIZE}`;
+    } else if (tx.fee < Blockchain.dataFee(tx.data)) {
+      problem = `pays a fee of ${tx.fee}, but its ${size} bytes of data require ${Blockchain.dataFee(tx.data)}`;
+    } else if (memo !== undefined && typeof memo !== 'string') {
+      problem = `has a memo that is not a string`;
+    } else if (anchor !== undefined && !/^[0-9a-f]{64}$/.test(anchor)) {
+      problem = `anchors "${anchor}", which is not a SHA-256 hash in hex`;
+    }
+    if (problem !== undefined && client) client.log(`Transaction ${tx.id} ${problem}.`);
+    return problem === undefined;
+  }
+
   /**
    * When a block is received from another party, it does not include balances or a record of
    * the latest nonces for each client.  This method restores this information be wiping out
@@ -232,6 +463,9 @@ module.exports = class Block {
     // Setting balances to the previous block's balances.
     this.balances = new Map(prevBlock.balances);
     this.nextNonce = new Map(prevBlock.nextNonce);
+    this.spentTransactions = new SpentTransactions(prevBlock.spentTransactions);
+    this.chainWork = prevBlock.chainWork + this.work();
+    this.prevTimestamps = prevBlock.recentTimestamps();
 
     // Adding coinbase reward for prevBlock.
     let winnerBalance = this.balanceOf(prevBlock.rewardAddr);
@@ -288,4 +522,35 @@ module.exports = class Block {
   contains(tx) {
     return this.transactions.has(tx.id);
   }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   *
+   * Proves that a transaction is in the block to someone who only has the block's header.
+   *
+   * @param {String} txID - The ID of the transaction.
+   *
+   * @returns {Array} - The Merkle proof; see Block.verifyMerkleProof.
+   */
+  merkleProof(txID) {
+    if (!this.transactions.has(txID)) {
+      throw new Error(`Transaction ${txID} is not in block ${this.id}.`);
+    }
+    return utils.merkleProof([...this.transactions.keys()], txID);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   *
+   * Checks a proof from merkleProof against the Merkle root in a block's header.
+   *
+   * @param {String} txID - The ID of the transaction.
+   * @param {Array} proof - The Merkle proof.
+   * @param {String} merkleRoot - The block's Merkle root.
+   *
+   * @returns {Boolean} - True if the transaction is in the block.
+   */
+  static verifyMerkleProof(txID, proof, merkleRoot) {
+    return utils.verifyMerkleProof(txID, proof, merkleRoot);
+  }
 };
@@ -1,11 +1,19 @@
 "use strict";
 
+const utils = require('./utils.js');
+
 // Network message constants
 const MISSING_BLOCK = "MISSING_BLOCK";
 const POST_TRANSACTION = "POST_TRANSACTION";
 const PROOF_FOUND = "PROOF_FOUND";
 const START_MINING = "START_MINING";
 
+// Messages between light clients and the full nodes serving them
+const GET_HEADERS = "GET_HEADERS";
+const HEADERS = "HEADERS";
+const GET_PROOFS = "GET_PROOFS";
+const MERKLE_PROOFS = "MERKLE_PROOFS";
+
 // Constants for mining
 const NUM_ROUNDS_MINING = 2000;
 
@@ -13,10 +21,38 @@ const NUM_ROUNDS_MINING = 2000;
 const POW_BASE_TARGET = BigInt("0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff");
 const POW_LEADING_ZEROES = 15;
 
+// When a target block time is configured, the target is adjusted every RETARGET_INTERVAL blocks,
+// so that the average time between the recent blocks would have matched it.  Each adjustment
+// changes the target by at most MAX_RETARGET_FACTOR either way.
+const RETARGET_INTERVAL = 10;
+const MAX_RETARGET_FACTOR = 4;
+
+// Blocks timestamped more than this far ahead of a client's clock are rejected, in milliseconds.
+const MAX_TIME_DRIFT = 2 * 60 * 1000;
+
 // Constants for mining rewards and default transaction fees
 const COINBASE_AMT_ALLOWED = 25;
 const DEFAULT_TX_FEE = 1;
 
+// When a halving interval is configured, the coinbase reward is multiplied by REWARD_DECAY
+// (rounding down) every time that many blocks have been found.
+const REWARD_DECAY = 0.5;
+
+// A transaction replacing pending transactions that spend the same inputs must
+// pay at least their fees plus this amount, so that each replacement costs something.
+const REPLACEMENT_FEE_INCREMENT = 1;
+
+// Transactions may carry up to this many bytes of data, such as a memo or the hash of a
+// document.  Every started DATA_FEE_UNIT bytes of data adds DATA_FEE_RATE to the fee required.
+const MAX_DATA_SIZE = 256;
+const DATA_FEE_UNIT = 32;
+const DATA_FEE_RATE = 1;
+
+// Miners only relay and include transactions paying at least this much gold for every
+// started FEE_RATE_UNIT bytes of their size, on top of any fee for their data.
+const MIN_FEE_RATE = 1;
+const FEE_RATE_UNIT = 1000;
+
 // If a block is 6 blocks older than the current block, it is considered
 // confirmed, for no better reason than that is what Bitcoin does.
 // Note that the genesis block is always considered to be confirmed.
@@ -35,8 +71,16 @@ module.exports = class Blockchain {
   static get PROOF_FOUND() { return PROOF_FOUND; }
   static get START_MINING() { return START_MINING; }
 
+  static get GET_HEADERS() { return GET_HEADERS; }
+  static get HEADERS() { return HEADERS; }
+  static get GET_PROOFS() { return GET_PROOFS; }
+  static get MERKLE_PROOFS() { return MERKLE_PROOFS; }
+
   static get NUM_ROUNDS_MINING() { return NUM_ROUNDS_MINING; }
 
+  static get DATA_FEE_UNIT() { return DATA_FEE_UNIT; }
+  static get FEE_RATE_UNIT() { return FEE_RATE_UNIT; }
+
   // Configurable properties, with static getters for convenience.
   static get POW_TARGET() {
     let bc = Blockchain.getInstance();
@@ -48,15 +92,216 @@ module.exports = class Blockchain {
     return bc.coinbaseReward;
   }
 
+  static get HALVING_INTERVAL() {
+    let bc = Blockchain.getInstance();
+    return bc.halvingInterval;
+  }
+
+  static get REWARD_DECAY() {
+    let bc = Blockchain.getInstance();
+    return bc.rewardDecay;
+  }
+
+  static get SUPPLY_CAP() {
+    let bc = Blockchain.getInstance();
+    return bc.supplyCap;
+  }
+
   static get DEFAULT_TX_FEE() {
     let bc = Blockchain.getInstance();
     return bc.defaultTxFee;
   }
 
+  static get REPLACEMENT_FEE_INCREMENT() {
+    let bc = Blockchain.getInstance();
+    return bc.replacementFeeIncrement;
+  }
+
+  static get MIN_FEE_RATE() {
+    let bc = Blockchain.getInstance();
+    return bc.minFeeRate;
+  }
+
+  static get MAX_DATA_SIZE() {
+    let bc = Blockchain.getInstance();
+    return bc.maxDataSize;
+  }
+
+  static get DATA_FEE_RATE() {
+    let bc = Blockchain.getInstance();
+    return bc.dataFeeRate;
+  }
+
+  static get TARGET_BLOCK_TIME() {
+    let bc = Blockchain.getInstance();
+    return bc.targetBlockTime;
+  }
+
+  static get RETARGET_INTERVAL() {
+    let bc = Blockchain.getInstance();
+    return bc.retargetInterval;
+  }
+
+  static get RETARGET_WINDOW() {
+    let bc = Blockchain.getInstance();
+    return bc.retargetWindow;
+  }
+
+  static get MAX_RETARGET_FACTOR() {
+    let bc = Blockchain.getInstance();
+    return bc.maxRetargetFactor;
+  }
+
+  static get MAX_TIME_DRIFT() {
+    let bc = Blockchain.getInstance();
+    return bc.maxTimeDrift;
+  }
+
   static get CONFIRMED_DEPTH() {
     let bc = Blockchain.getInstance();
     return bc.confirmedDepth;
   }
+
+  static get ADDRESS_PREFIX() {
+    let bc = Blockchain.getInstance();
+    return bc.addressPrefix;
+  }
+
+  static get ALLOW_LEGACY_ADDRESSES() {
+    let bc = Blockchain.getInstance();
+    return bc.allowLegacyAddresses;
+  }
+
+  /**
+   * Checks that an address is valid on this network, throwing an error
+   * that explains the problem if it is not.
+   *
+   * @param {String} address - The address to check.
+   */
+  static validateAddress(address) {
+    let bc = Blockchain.getInstance();
+    utils.validateAddress(address, { prefix: bc.addressPrefix, allowLegacy: bc.allowLegacyAddresses });
+  }
+
+  /**
+   * Calculates the gold created by the coinbase rewards of the blocks up to and including the given
+   * height.  The genesis block has no reward.  The reward for the first blocks is the configured
+   * coinbase reward; if a halving interval is set, it is multiplied by the reward decay, rounding down,
+   * after every interval.  Rewards stop once they would take the total past the supply cap, if any.
+   *
+   * Starting balances are not included.  Note that a block's reward is only added to the miner's
+   * balance in the block after it.
+   *
+   * @param {number} height - Height of the last block to count.
+   *
+   * @returns {number} - The gold issued by rewards.
+   */
+  static coinbaseIssued(height) {
+    if (!Number.isInteger(height) || height < 0) {
+      throw new Error(`Invalid height: ${height}.`);
+    }
+    let bc = Blockchain.getInstance();
+    let issued = 0;
+    let reward = bc.coinbaseReward;
+    let start = 1;
+    while (start <= height && reward > 0) {
+      let next = Math.floor(reward * bc.rewardDecay);
+      // Once the reward stops changing, every remaining block pays it, so the intervals are not walked one by one.
+      let end = bc.halvingInterval === undefined || next === reward ?
+        height : Math.min(height, start + bc.halvingInterval - 1);
+      issued += reward * (end - start + 1);
+      if (bc.supplyCap !== undefined && issued >= bc.supplyCap) break;
+      start = end + 1;
+      reward = next;
+    }
+    return bc.supplyCap === undefined ? issued : Math.min(issued, bc.supplyCap);
+  }
+
+  /**
+   * Calculates the coinbase reward for the block at the given height; see coinbaseIssued.
+   * Clients reject blocks paying any other amount.
+   *
+   * @param {number} height - Height of the block.
+   *
+   * @returns {number} - The coinbase reward.
+   */
+  static coinbaseRewardAt(height) {
+    if (height === 0) return 0;
+    return Blockchain.coinbaseIssued(height) - Blockchain.coinbaseIssued(height - 1);
+  }
+
+  /**
+   * Calculates the proof-of-work target that a block following the given block must have.
+   *
+   * Unless a target block time is configured, or at heights that are not a multiple of the retarget
+   * interval, this is the previous block's target.  Otherwise, the target is scaled by how long the
+   * blocks in the retarget window took, compared to the target block time: if blocks came too quickly,
+   * the target is lowered, making the next blocks harder to find.  The genesis block is left out of the
+   * window, since its timestamp does not say when mining began.
+   *
+   * @param {Block} prevBlock - The block that the new block follows.
+   * @param {Map} blocks - Blocks by ID, including the ancestors of prevBlock.
+   *
+   * @returns {BigInt} - The target for the new block.
+   */
+  static expectedTarget(prevBlock, blocks) {
+    let bc = Blockchain.getInstance();
+    let height = prevBlock.chainLength + 1;
+    if (bc.targetBlockTime === undefined || height % bc.retargetInterval !== 0) return prevBlock.target;
+
+    let first = prevBlock;
+    let intervals = 0;
+    while (intervals < bc.retargetWindow && first.chainLength > 1) {
+      first = blocks.get(first.prevBlockHash);
+      intervals++;
+    }
+    if (intervals === 0) return prevBlock.target;
+
+    let expected = Math.round(bc.targetBlockTime * intervals);
+    let actual = prevBlock.timestamp - first.timestamp;
+    actual = Math.min(Math.max(actual, expected / bc.maxRetargetFactor), expected * bc.maxRetargetFactor);
+    let target = prevBlock.target * BigInt(Math.round(actual)) / BigInt(expected);
+    return target > POW_BASE_TARGET ? POW_BASE_TARGET : target;
+  }
+
+  /**
+   * Calculates the smallest fee that a transaction carrying the given data must pay.
+   *
+   * @param {Object} [data] - The transaction's data field.
+   *
+   * @returns {Number} - The fee required for the data.
+   */
+  static dataFee(data) {
+    return Math.ceil(utils.dataSize(data) / DATA_FEE_UNIT) * Blockchain.DATA_FEE_RATE;
+  }
+
+  /**
+   * Calculates the smallest fee that miners accept for a transaction: the minimum fee rate
+   * for its size, plus the fee for its data.
+   *
+   * @param {Transaction} tx - The transaction.
+   * @param {Number} [size] - The size of the transaction, if it is not signed yet; see
+   *    PartialTransaction.estimateSize.
+   *
+   * @returns {Number} - The minimum fee.
+   */
+  static minimumFee(tx, size=tx.size()) {
+    return Blockchain.feeAtRate(tx, Blockchain.MIN_FEE_RATE, size);
+  }
+
+  /**
+   * Calculates the fee a transaction pays at the given fee rate: the rate for every started
+   * FEE_RATE_UNIT bytes of its size, plus the fee for its data.
+   *
+   * @param {Transaction} tx - The transaction.
+   * @param {Number} rate - The fee rate, in gold per FEE_RATE_UNIT bytes.
+   * @param {Number} [size] - The size of the transaction, as for minimumFee.
+   *
+   * @returns {Number} - The fee.
+   */
+  static feeAtRate(tx, rate, size=tx.size()) {
+    return Math.ceil(size / FEE_RATE_UNIT) * rate + Blockchain.dataFee(tx.data);
+  }
   
 
   /**
@@ -85,6 +330,7 @@ module.exports = class Blockchain {
 
   /**
    * Converts a string representation of a block to a new Block instance.
+   * An error is thrown if the block's transactions do not match its Merkle root.
    *
    * @param {Object} o - An object representing a block, but not necessarily an instance of Block.
    *
@@ -95,9 +341,7 @@ module.exports = class Blockchain {
       return o;
     }
 
-    let b = new this.instance.blockClass();
-    b.chainLength = parseInt(o.chainLength, 10);
-    b.timestamp = o.timestamp;
+    let b = this.deserializeHeader(o);
 
     if (b.isGenesisBlock()) {
       // Balances need to be recreated and restored in a map.
@@ -105,15 +349,48 @@ module.exports = class Blockchain {
         b.balances.set(clientID, amount);
       });
     } else {
-      b.prevBlockHash = o.prevBlockHash;
-      b.proof = o.proof;
-      b.rewardAddr = o.rewardAddr;
       // Likewise, transactions need to be recreated and restored in a map.
       b.transactions = new Map();
       if (o.transactions) o.transactions.forEach(([txID,txJson]) => {
         let tx = this.makeTransaction(txJson);
         b.transactions.set(txID, tx);
       });
+      // The proof of work only covers the Merkle root, so the transactions must match it.
+      let merkleRoot = utils.merkleRoot([...b.transactions.values()].map((tx) => tx.id));
+      if (o.merkleRoot !== merkleRoot) {
+        throw new Error(`The transactions of block ${b.chainLength} do not match its Merkle root.`);
+      }
+      b.merkleRoot = merkleRoot;
+    }
+
+    return b;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   *
+   * Converts a block header, or a whole block, to a new Block instance with only the header's fields.
+   * Any transactions are left out, so they are not checked against the Merkle root.  Light clients
+   * keep blocks in this form.
+   *
+   * @param {Object} o - An object representing a block header; see Block.header.
+   *
+   * @returns {Block}
+   */
+  static deserializeHeader(o) {
+    let b = new this.instance.blockClass();
+    b.chainLength = parseInt(o.chainLength, 10);
+    b.timestamp = o.timestamp;
+    b.coinbaseReward = this.coinbaseRewardAt(b.chainLength);
+
+    if (!b.isGenesisBlock()) {
+      b.prevBlockHash = o.prevBlockHash;
+      if (o.target !== undefined) b.target = BigInt(`0x${o.target}`);
+      b.merkleRoot = o.merkleRoot;
+      b.proof = o.proof;
+      b.rewardAddr = o.rewardAddr;
+      // Clients check the reward that the block claims against the one for its height.
+      b.coinbaseReward = o.coinbaseReward;
     }
 
     return b;
@@ -151,6 +428,27 @@ module.exports = class Blockchain {
     return this.instance;
   }
 
+  /**
+   * Runs a function with the given blockchain configuration as the current instance,
+   * restoring the previous instance afterwards.  This allows a single process to
+   * run several blockchains side by side, such as the two chains of an atomic swap.
+   * Pass null to create a new instance with createInstance.
+   *
+   * @param {Blockchain | null} bc - The blockchain configuration to use.
+   * @param {Function} f - The function to run.
+   *
+   * @returns {*} - The result of the function.
+   */
+  static runWith(bc, f) {
+    let previous = this.instance;
+    this.instance = bc;
+    try {
+      return f();
+    } finally {
+      this.instance = previous;
+    }
+  }
+
   /**
    * Check if Blockchain instance exists
    * 
@@ -168,19 +466,51 @@ module.exports = class Blockchain {
    * @param {Object} cfg - Settings for the blockchain.
    * @param {Class} cfg.blockClass - Implementation of the Block class.
    * @param {Class} cfg.transactionClass - Implementation of the Transaction class.
-   * @param {Array} [cfg.clients] - An array of client/miner configurations.
+   * @param {Class} [cfg.lightClientClass] - Implementation of the LightClient class.
+   * @param {Array} [cfg.clients] - An array of client/miner configurations.  A client
+   *    configured with light: true is a light client, which only keeps block headers.
    * @param {String} [cfg.mnemonic] - BIP39 mnemonic which is used to generate client addresses.
-   * @param {number} [cfg.powLeadingZeroes] - Number of leading zeroes required for a valid proof-of-work.
-   * @param {number} [cfg.coinbaseAmount] - Amount of gold awarded to a miner for creating a block.
+   * @param {number} [cfg.powLeadingZeroes] - Number of leading zeroes required for a valid proof-of-work
+   *    at the start of the chain.
+   * @param {number} [cfg.targetBlockTime] - Average time between blocks to aim for, in milliseconds.
+   *    Without it, the proof-of-work target is never adjusted.
+   * @param {number} [cfg.retargetInterval] - Number of blocks between adjustments of the target.
+   *    With an interval of 1, the target is adjusted for every block.
+   * @param {number} [cfg.retargetWindow] - Number of recent blocks whose average time is compared with
+   *    the target block time.  Defaults to the retarget interval; a longer window with an interval of 1
+   *    gives a moving average.
+   * @param {number} [cfg.maxRetargetFactor] - Most that a single adjustment may raise or lower the target by.
+   * @param {number} [cfg.maxTimeDrift] - How far ahead of a client's clock a block's timestamp may be,
+   *    in milliseconds.
+   * @param {number} [cfg.coinbaseReward] - Amount of gold awarded to a miner for creating one of the
+   *    first blocks.
+   * @param {number} [cfg.halvingInterval] - Number of blocks after which the coinbase reward is cut.
+   *    Without it, the reward never changes.
+   * @param {number} [cfg.rewardDecay] - Fraction of the coinbase reward kept at each cut, between 0 and 1.
+   *    The default of 0.5 halves it.
+   * @param {number} [cfg.supplyCap] - Most gold that coinbase rewards may create, on top of the
+   *    starting balances.  Without it, there is no limit.
    * @param {number} [cfg.defaultTxFee] - Amount of gold awarded to a miner for accepting a transaction,
    *    if not overridden by the client.
+   * @param {number} [cfg.replacementFeeIncrement] - How much more than the transactions it replaces
+   *    a replacement transaction must pay in fees.
+   * @param {number} [cfg.minFeeRate] - Smallest fee, for every started 1000 bytes of a transaction,
+   *    that miners relay and include.
+   * @param {number} [cfg.maxDataSize] - Most bytes of data that a transaction may carry.
+   * @param {number} [cfg.dataFeeRate] - Fee required for every started 32 bytes of a transaction's data.
    * @param {number} [cfg.confirmedDepth] - Number of blocks required after a block before it is
    *    considered confirmed.
+   * @param {number} [cfg.addressPrefix] - Network prefix of addresses.  Different networks should
+   *    use different prefixes, so that an address for one network is rejected by the other.
+   * @param {boolean} [cfg.allowLegacyAddresses] - Whether the legacy address format, without a
+   *    checksum, is accepted for outputs and starting balances.
    *
    * @returns {Blockchain} - The blockchain configuration instance.
    */
   static createInstance(cfg) {
     this.instance = new Blockchain(cfg);
+    // Clients are created once the instance is set, so that they use its address prefix.
+    this.instance.createClients(cfg.clients || []);
     this.instance.genesis = this.makeGenesis();
     return this.instance;
   }
@@ -198,11 +528,25 @@ module.exports = class Blockchain {
     transactionClass,
     clientClass,
     minerClass,
+    lightClientClass,
     powLeadingZeroes = POW_LEADING_ZEROES,
+    targetBlockTime,
+    retargetInterval = RETARGET_INTERVAL,
+    retargetWindow = retargetInterval,
+    maxRetargetFactor = MAX_RETARGET_FACTOR,
+    maxTimeDrift = MAX_TIME_DRIFT,
     coinbaseReward = COINBASE_AMT_ALLOWED,
+    halvingInterval,
+    rewardDecay = REWARD_DECAY,
+    supplyCap,
     defaultTxFee = DEFAULT_TX_FEE,
+    replacementFeeIncrement = REPLACEMENT_FEE_INCREMENT,
+    minFeeRate = MIN_FEE_RATE,
+    maxDataSize = MAX_DATA_SIZE,
+    dataFeeRate = DATA_FEE_RATE,
     confirmedDepth = CONFIRMED_DEPTH,
-    clients = [],
+    addressPrefix = utils.DEFAULT_ADDRESS_PREFIX,
+    allowLegacyAddresses = false,
     mnemonic,
     net,
     startingBalances,
@@ -233,6 +577,11 @@ module.exports = class Blockchain {
     } else {
       this.minerClass = require('./miner');
     }
+    if (lightClientClass) {
+      this.lightClientClass = lightClientClass;
+    } else {
+      this.lightClientClass = require('./light-client');
+    }
 
     this.clients = [];
     this.miners = [];
@@ -242,10 +591,27 @@ module.exports = class Blockchain {
 
     this.powLeadingZeroes = powLeadingZeroes;
     this.coinbaseReward = coinbaseReward;
+    if (!(rewardDecay >= 0 && rewardDecay <= 1)) {
+      throw new Error(`The reward decay must be between 0 and 1, but is ${rewardDecay}.`);
+    }
+    this.halvingInterval = halvingInterval;
+    this.rewardDecay = rewardDecay;
+    this.supplyCap = supplyCap;
     this.defaultTxFee = defaultTxFee;
+    this.replacementFeeIncrement = replacementFeeIncrement;
+    this.minFeeRate = minFeeRate;
+    this.maxDataSize = maxDataSize;
+    this.dataFeeRate = dataFeeRate;
     this.confirmedDepth = confirmedDepth;
+    this.addressPrefix = addressPrefix;
+    this.allowLegacyAddresses = allowLegacyAddresses;
 
     this.powTarget = POW_BASE_TARGET >> BigInt(powLeadingZeroes);
+    this.targetBlockTime = targetBlockTime;
+    this.retargetInterval = retargetInterval;
+    this.retargetWindow = retargetWindow;
+    this.maxRetargetFactor = maxRetargetFactor;
+    this.maxTimeDrift = maxTimeDrift;
 
     // ADDITIONAL IMPLEMENTATION:
     // If we passed in starting balances, add them to the genesis block, else create a blank balance map
@@ -253,6 +619,11 @@ module.exports = class Blockchain {
       this.initialBalances = new Map();
       // Add each address and their assoicated amount int
       Object.keys(startingBalances).forEach((addr) => {
+        try {
+          utils.validateAddress(addr, { prefix: addressPrefix, allowLegacy: allowLegacyAddresses });
+        } catch (e) {
+          throw new Error(`Bad starting balance: ${e.message}`);
+        }
         let amount = startingBalances[addr];
         this.initialBalances.set(addr, amount);
       })
@@ -272,7 +643,15 @@ module.exports = class Blockchain {
     else{
       this.mnemonic = mnemonic;
     }
+  }
 
+  /**
+   * Creates the clients and miners specified in the configuration, giving
+   * each one its starting gold.
+   *
+   * @param {Array} clients - An array of client/miner configurations.
+   */
+  createClients(clients) {
     clients.forEach((clientCfg) => {
       console.log(`Adding client ${clientCfg.name}`);
       let client;
@@ -282,17 +661,18 @@ module.exports = class Blockchain {
           password: clientCfg.password ? clientCfg.password : clientCfg.name+'_pswd',
           net: this.net,
           miningRounds: clientCfg.miningRounds,
+          mnemonic: this.mnemonic,
         });
-        client.generateAddress(this.mnemonic);
         // Miners are stored as both miners and clients.
         this.miners.push(client);
       } else {
-        client = new this.clientClass({
+        let clientClass = clientCfg.light ? this.lightClientClass : this.clientClass;
+        client = new clientClass({
           name: clientCfg.name,
           password: clientCfg.password ? clientCfg.password : clientCfg.name+'_pswd',
           net: this.net,
+          mnemonic: this.mnemonic,
         });
-        client.generateAddress(this.mnemonic);
       }
 
       this.clientAddressMap.set(client.address, client);
@@ -303,7 +683,6 @@ module.exports = class Blockchain {
 
       this.initialBalances.set(client.address, clientCfg.amount);
     });
-
   }
 
   /**
@@ -328,9 +707,9 @@ module.exports = class Blockchain {
    * @param {Function} [f] - Callback function that will be executed when the
    */
   start(ms, f) {
-    this.miners.forEach((miner) => {
+    Blockchain.runWith(this, () => this.miners.forEach((miner) => {
       miner.initialize();
-    });
+    }));
 
     if (ms) {
       setTimeout(() => {
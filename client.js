@@ -6,8 +6,46 @@ let Blockchain = require('./blockchain.js');
 
 let utils = require('./utils.js');
 
+let HDKey = require('./hdkey.js');
+let coinSelection = require('./coin-selection.js');
+let PartialTransaction = require('./partial-transaction.js');
+let shamir = require('./shamir.js');
+
 const { mnemonicToSeedSync } = require('bip39');
-const { pki, random } = require('node-forge');
+
+// BIP44 derivation settings.  Addresses are derived from the path
+// m/purpose'/coinType'/account'/chain/index.  SpartanGold has no registered
+// coin type, so we use 1, which SLIP-44 reserves for test networks.
+const BIP44_PURPOSE = 44;
+const COIN_TYPE = 1;
+
+// Each kind of address is derived on its own chain.
+const EXTERNAL_CHAIN = 0;
+const CHANGE_CHAIN = 1;
+const REWARD_CHAIN = 2;
+
+// States of a wallet entry.  An entry is available until a posted transaction
+// reserves it.  It becomes spent once that transaction is confirmed, or goes
+// back to available if the transaction is dropped, expires, or is rolled back.
+const AVAILABLE = "available";
+const RESERVED = "reserved";
+const SPENT = "spent";
+
+// Number of blocks a transaction may stay pending before its inputs are released.
+const PENDING_TX_EXPIRY = 20;
+
+// Number of unused public keys per chain included when exporting a watch-only wallet,
+// so that the watch-only wallet can hand out fresh receiving and change addresses.
+const WATCH_ONLY_LOOKAHEAD = 10;
+
+// Fee estimates are based on the fee rates paid in this many of the most recent blocks,
+// together with the transactions still waiting to be mined.
+const FEE_ESTIMATE_BLOCKS = 10;
+
+// For confirmation in the next block, the fee rate recommended is the 90th percentile of those
+// rates.  Each block of extra time allowed lowers the percentile by 10, down to the median.
+const NEXT_BLOCK_PERCENTILE = 0.9;
+const FEE_ESTIMATE_STEP = 0.1;
 
 /**
  * A client has a public/private keypair and an address.
@@ -16,14 +54,25 @@ const { pki, random } = require('node-forge');
  * Credit: UVNishanth from Github and the SparanGold repo for giving us a starting point with determinisitic address generation.
  */
 module.exports = class Client extends EventEmitter {
+  static get EXTERNAL_CHAIN() { return EXTERNAL_CHAIN; }
+  static get CHANGE_CHAIN() { return CHANGE_CHAIN; }
+  static get REWARD_CHAIN() { return REWARD_CHAIN; }
+
+  static get AVAILABLE() { return AVAILABLE; }
+  static get RESERVED() { return RESERVED; }
+  static get SPENT() { return SPENT; }
+
+  static get WATCH_ONLY_LOOKAHEAD() { return WATCH_ONLY_LOOKAHEAD; }
+
+  static get FEE_ESTIMATE_BLOCKS() { return FEE_ESTIMATE_BLOCKS; }
 
   /**
    * The net object determines how the client communicates
    * with other entities in the system. (This approach allows us to
    * simplify our testing setup.)
    * 
-   * ADDITIONAL IMPLEMENTATION: Takes the mnemonic and creates a PRNG instance that always reproduces the same sequence of data, allowing us
-   * to deterministically generate keypairs
+   * ADDITIONAL IMPLEMENTATION: Takes the mnemonic and derives the BIP32 master key from it, so that every
+   * address in the wallet can be re-derived directly from its path.
    * 
    * @constructor
    * @param {Object} obj - The properties of the client.
@@ -33,30 +82,107 @@ module.exports = class Client extends EventEmitter {
    *    to send messages to all miners and clients.
    * @param {Block} [obj.startingBlock] - The starting point of the blockchain for the client.
    * @param {Object} [obj.keyPair] - The public private keypair for the client.
-   * @param {String} [obj.mnemonic] - the mnemonic that the user would like to use for their wallet
+   * @param {String} [obj.mnemonic] - the mnemonic that the user would like to use for their wallet.
+   *    Defaults to the mnemonic of the blockchain instance.
+   * @param {Number} [obj.account] - The BIP44 account used for all derived addresses.
+   * @param {Object} [obj.derivationIndexes] - The next index to use on each chain, as saved from
+   *    a previous session.  All addresses below these indexes are restored to the wallet.
+   * @param {Object} [obj.labels] - Map of addresses to user-friendly labels.
+   * @param {Array} [obj.importedKeys] - Keypairs that were not derived from the mnemonic.
+   * @param {String | Function} [obj.coinSelection] - Default coin selection strategy for
+   *    transactions; see coin-selection.js.
+   * @param {Number} [obj.pendingTxExpiry] - Number of blocks after which an unconfirmed
+   *    transaction is given up on, and its inputs are released.
+   * @param {String} [obj.keyType] - Type of the keys derived for the wallet: 'secp256k1' (the default), or
+   *    'rsa' for wallets created before the switch to elliptic-curve keys.
+   * @param {Array} [obj.shares] - Shamir shares of the mnemonic (see shamir.js), used instead of
+   *    the mnemonic.  Enough shares to meet the threshold must be given.
+   * @param {Object} [obj.watchOnly] - Public key material from exportWatchOnly.  The client then
+   *    holds no private keys: it tracks balances and builds unsigned transactions, but cannot sign.
+   *    The account, derivation indexes, labels, imported keys and multisig scripts are taken from this material.
+   * @param {Array} [obj.multisig] - Scripts of the multisignature addresses tracked by the wallet, in the
+   *    form {threshold, keys}; see createMultisigAddress.
    */
-  constructor({name, password, net, startingBlock, mnemonic} = {}) {
+  constructor({name, password, net, startingBlock, mnemonic, account=0, derivationIndexes={}, labels={}, importedKeys=[],
+      coinSelection='oldest-first', pendingTxExpiry=PENDING_TX_EXPIRY, keyType=utils.DEFAULT_KEY_TYPE, shares, watchOnly,
+      multisig=[]} = {}) {
     super();
 
+    // The blockchain this client belongs to.  Events are handled with it as the current instance,
+    // so that a process may run clients of several blockchains; see emit.
+    this.blockchain = Blockchain.hasInstance() ? Blockchain.getInstance() : undefined;
+
+    this.watchOnly = watchOnly !== undefined;
+    if (this.watchOnly) {
+      // Material exported before the switch to elliptic-curve keys has no key type.
+      ({account=0, derivationIndexes={}, labels={}, keyType=utils.RSA, multisig=[]} = watchOnly);
+      importedKeys = (watchOnly.importedKeys || []).map((pub) => ({ public: pub }));
+    }
+    this.keyType = keyType;
+
     this.net = net;
     this.name = name;
 
     this.password = password ? password : this.name+"_pswd";
     this.mnemonic = mnemonic;
     this.wallet = [];
-
-    // If the blockchain exists
-    if (Blockchain.hasInstance()){
+    this.coinSelection = coinSelection;
+    this.pendingTxExpiry = pendingTxExpiry;
+
+    // Wallet entries reserved by each pending outgoing transaction, keyed by transaction ID.
+    this.reservations = new Map();
+
+    // The account and the next unused index on each chain.  Together with
+    // the mnemonic, these are all that is needed to rebuild the wallet.
+    this.account = account;
+    this.derivationIndexes = Object.assign({
+      [EXTERNAL_CHAIN]: 0,
+      [CHANGE_CHAIN]: 0,
+      [REWARD_CHAIN]: 0,
+    }, derivationIndexes);
+
+    if (this.watchOnly) {
+      // Without the mnemonic, keys are looked up by their derivation path, or derived from the
+      // extended public key.  The latter only works for secp256k1 keys.
+      this.extendedPublicKey = watchOnly.extendedPublicKey;
+      if (this.extendedPublicKey && this.keyType !== utils.RSA) {
+        this.accountKey = HDKey.fromExtendedKey(this.extendedPublicKey);
+      }
+      this.publicKeys = new Map();
+      (watchOnly.publicKeys || []).forEach(({path, public: pub}) => this.publicKeys.set(path, pub));
+    } else {
+      if (shares !== undefined) {
+        this.mnemonic = shamir.combine(shares).words();
+      }
+      if (this.mnemonic === undefined && Blockchain.hasInstance()) {
+        this.mnemonic = Blockchain.getInstance().mnemonic;
+      }
       if (this.mnemonic === undefined){
         throw new Error(`mnemonic not set`);
       }
-       // Create seed
-       this.seed = mnemonicToSeedSync(this.mnemonic, this.password).toString('hex');
-       this.prng = random.createInstance();
-       // Set seed
-       this.prng.seedFileSync = () => this.seed;
-       // Generate initial/starting address
-       this.generateAddress();
+
+      // Create seed and the account node that every address is derived from.
+      this.seed = mnemonicToSeedSync(this.mnemonic, this.password).toString('hex');
+      this.accountKey = HDKey.fromSeed(this.seed).derive(this.derivationPath());
+      this.extendedPublicKey = this.accountKey.toExtendedPublicKey();
+    }
+
+    this.restoreAddresses();
+
+    // Labels the user has given to addresses, keyed by address.
+    this.labels = Object.assign({}, labels);
+
+    // Keys imported from elsewhere cannot be re-derived, so they are kept separately.
+    this.importedKeys = [];
+    importedKeys.forEach((keyPair) => this.importKeypair(keyPair));
+
+    // Shared addresses are rebuilt from their scripts, which must also be saved with the wallet.
+    this.multisigScripts = [];
+    multisig.forEach(({threshold, keys}) => this.createMultisigAddress(threshold, keys));
+
+    // Generate initial/starting address
+    if (this.address === undefined) {
+      this.generateAddress();
     }
 
     // Establishes order of transactions.  Incremented with each
@@ -71,6 +197,18 @@ module.exports = class Client extends EventEmitter {
     // A map of transactions received but not yet confirmed.
     this.pendingReceivedTransactions = new Map();
 
+    // Every posted transaction that is not yet in the chain, whoever it pays, with the height
+    // of the last block when it was heard of.  Used for estimating fees.
+    this.mempool = new Map();
+
+    // Transactions and block rewards involving the wallet in the current chain, oldest first,
+    // and those that were orphaned by a reorganization.  See getTransactionHistory.
+    this.transactionHistory = [];
+    this.orphanedHistory = [];
+
+    // The last block of the chain that transactionHistory was built from.
+    this.historyHead = undefined;
+
     // A map of all block hashes to the accepted blocks.
     this.blocks = new Map();
 
@@ -85,6 +223,21 @@ module.exports = class Client extends EventEmitter {
     // Setting up listeners to receive messages from other clients.
     this.on(Blockchain.PROOF_FOUND, this.receiveBlock);
     this.on(Blockchain.MISSING_BLOCK, this.provideMissingBlock);
+    this.on(Blockchain.POST_TRANSACTION, this.receivePendingTransaction);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Handles an event with the client's own blockchain as the current instance.
+   * 
+   * @param {String} eventName - The event.
+   * @param {...any} args - Arguments for the listeners.
+   * @returns {Boolean} - true if the event had listeners
+   */
+  emit(eventName, ...args) {
+    if (this.blockchain === undefined) return super.emit(eventName, ...args);
+    return Blockchain.runWith(this.blockchain, () => super.emit(eventName, ...args));
   }
 
   /**
@@ -115,32 +268,24 @@ module.exports = class Client extends EventEmitter {
    * transactions.  This getter looks at the last confirmed block, since
    * transactions in newer blocks may roll back.
    */
-
-  // This one will likely need to be re-implemented
   get confirmedBalance() {
-
-    let balance = 0;
-
-    this.wallet.forEach(({ address }) => {
-      balance += this.lastConfirmedBlock.balanceOf(address);
-    })
-
-    return balance;
+    return this.getConfirmedBalance();
   }
 
   /**
    * Any gold received in the last confirmed block or before is considered
    * spendable, but any gold received more recently is not yet available.
    * However, any gold given by the client to other clients in unconfirmed
-   * transactions is treated as unavailable.
+   * transactions is treated as unavailable, since the wallet entries paying
+   * for those transactions are reserved.  Gold held by multisignature addresses is
+   * shared with the co-signers, so it is not counted.
    */
   get availableGold() {
-    let pendingSpent = 0;
-    this.pendingOutgoingTransactions.forEach((tx) => {
-      pendingSpent += tx.totalOutput();
+    let balance = 0;
+    this.wallet.forEach(({ address, state, multisig }) => {
+      if (state === AVAILABLE && !multisig) balance += this.lastConfirmedBlock.balanceOf(address);
     });
-
-    return this.confirmedBalance - pendingSpent;
+    return balance;
   }
 
   /**
@@ -149,62 +294,250 @@ module.exports = class Client extends EventEmitter {
    * be more or less than the default value.
    * 
    * ADDTIONAL IMPLEMENTATION: UTXO-based, ignores the postGeneric function as implemented from HW2 (Kevin Chau)
+   * The wallet entries to spend are picked by a coin selection strategy (see coin-selection.js).
    * 
    * @param {Array} outputs - The list of outputs of other addresses and
    *    amounts to pay.
-   * @param {number} [fee] - The transaction fee reward to pay the miner.
+   * @param {number | Object} [fee] - The transaction fee reward to pay the miner.  Defaults to the smallest fee miners
+   *    accept for the transaction's size and data (see Blockchain.minimumFee), but no less than the default fee.
+   *    Instead of a fee, a target of {target} blocks may be given, to pay the fee recommended by estimateFee
+   *    for the transaction to be mined within that many blocks.
+   * @param {Object} [opts] - Additional options for the transaction.
+   * @param {String | Function} [opts.coinSelection] - Coin selection strategy for this transaction,
+   *    overriding the client's default strategy.
+   * @param {Object} [opts.lock] - Earliest block the transaction may be included in, in the form {height, time};
+   *    see Transaction.  Miners hold locked transactions until they can be included.
+   * @param {Object} [opts.data] - Data to attach to the transaction, such as {memo} or {anchor}; see Transaction.
    * 
    * @returns {Transaction} - The posted transaction.
    */
-  postTransaction(outputs, fee=Blockchain.DEFAULT_TX_FEE) {
-    // We calculate the total value of gold needed.
-    let total = 0;
-    outputs.forEach(({amount, address}) => {
-        total += amount;
-    });
-    total += fee;
+  postTransaction(outputs, fee, opts={}) {
+    // Checked first, so that no inputs are reserved for a transaction that can never be signed.
+    this.checkCanSign();
+
+    let ptx = this.createPartialTransaction(outputs, fee, opts);
+
+    // Sign the transaction with all private keys
+    this.signPartialTransaction(ptx);
+
+    return this.broadcastTransaction(ptx.finalize());
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Builds an unsigned transaction paying the given outputs, choosing the inputs and adding change as
+   * postTransaction does.  The inputs are reserved, so they are not spent twice while the transaction is
+   * signed elsewhere; call releaseReservation to abandon it.
+   *
+   * Output addresses are checked with Blockchain.validateAddress, so a mistyped address is rejected.
+   *
+   * To spend from a multisignature address, name it with the from option.  Its change goes back to the
+   * same address, and the transaction must be signed by enough co-signers before it is finalized.
+   *
+   * Without a fee, or with a target, the fee is worked out from the size the transaction will have once signed.
+   * Since a higher fee may need more inputs or change, which make the transaction larger, this is repeated
+   * until the fee covers the transaction.  A fee that is given is checked against Blockchain.minimumFee instead.
+   *
+   * @param {Array} outputs - The list of outputs of other addresses and amounts to pay.
+   * @param {number | Object} [fee] - The transaction fee reward to pay the miner, or a {target}, as for postTransaction.
+   * @param {Object} [opts] - Additional options for the transaction, as for postTransaction.
+   * @param {String} [opts.from] - A wallet address to spend from, instead of choosing inputs by coin selection.
+   * 
+   * @returns {PartialTransaction} - The transaction, ready to be signed.
+   */
+  createPartialTransaction(outputs, fee, {coinSelection=this.coinSelection, from, lock, data={}} = {}) {
+    outputs = outputs.slice();
+
+    // Catching typos before any gold is sent to an address nobody holds.
+    outputs.forEach(({address}) => Blockchain.validateAddress(address));
 
-    if (total > this.getConfirmedBalance()) {
-        throw new Error("Not enough money!");
+    // Blocks would reject data that is too large or not paid for.
+    let dataSize = utils.dataSize(data);
+    if (dataSize > Blockchain.MAX_DATA_SIZE) {
+      throw new Error(`The data is ${dataSize} bytes, more than the limit of ${Blockchain.MAX_DATA_SIZE}.`);
     }
+    // Without a fee, the fee is worked out from the size of the transaction once signed.
+    let target;
+    if (fee !== undefined && typeof fee === 'object') {
+      ({target} = fee);
+      fee = undefined;
+    }
+    let estimating = fee === undefined;
+    if (estimating) {
+      fee = Math.max(Blockchain.DEFAULT_TX_FEE, Blockchain.dataFee(data));
+    } else if (fee < Blockchain.dataFee(data)) {
+      throw new Error(`A fee of at least ${Blockchain.dataFee(data)} is needed for ${dataSize} bytes of data.`);
+    }
+
+    let nonce = utils.generateNonce();
+    let changeAddress;
+    let ptx, selected;
+    for (;;) {
+      // We calculate the total value of gold needed.
+      let total = 0;
+      outputs.forEach(({amount}) => {
+          total += amount;
+      });
+      total += fee;
+
+      if (from === undefined && total > this.availableGold) {
+          throw new Error("Not enough money!");
+      }
 
-    // Gather UTXOs
-    let gathered = 0;
-    // let walletPos = 0;
-    let gatheredPriv = [];
-    let gatheredAddrs = [];
-    let gatheredKeys = [];
+      // Gather UTXOs
+      selected = from === undefined ? this.selectCoins(total, coinSelection) : this.selectAddress(from, total);
+      let gathered = 0;
+      selected.forEach((entry) => {
+          gathered += entry.amount;
+      });
+
+      // If how much we gathered is more than total, we need to create a change address
+      let txOutputs = outputs.slice();
+      if (gathered > total) {
+        let change = gathered - total;
+        // Co-signers cannot derive our change addresses, so shared gold stays at the shared address.
+        // The change address is kept if the fee has to be worked out again.
+        if (changeAddress === undefined) {
+          changeAddress = from !== undefined && selected[0].multisig ? from : this.generateAddress(CHANGE_CHAIN);
+        }
+        txOutputs.push({amount: change, address: changeAddress});
+      }
 
-    while (total > gathered) {
-        // Takes and removes the oldest UTXO from the array first
-        let nextKey = this.wallet.shift();
-        gathered += this.lastConfirmedBlock.balanceOf(nextKey["address"]);
-        gatheredAddrs.push(nextKey["address"]);
-        gatheredKeys.push(nextKey["keyPair"].public);
-        gatheredPriv.push(nextKey["keyPair"].private);
+      // Make the transaction
+      ptx = new PartialTransaction({
+        tx: {
+          from: selected.map(({address}) => address),
+          nonce: nonce,
+          pubKey: selected.map(({keyPair, script}) => script || keyPair.public),
+          outputs: txOutputs,
+          fee: fee,
+          data: data,
+          lock: lock,
+        },
+        inputs: selected.map(({address, amount, path}) => ({address, amount, path})),
+      });
+
+      // More inputs or change make the transaction bigger, so the fee is checked again
+      // until it covers the transaction it is part of.
+      if (!estimating) break;
+      let size = ptx.estimateSize();
+      let needed = Math.max(Blockchain.DEFAULT_TX_FEE, target === undefined ?
+        Blockchain.minimumFee(ptx.transaction, size) : this.estimateFee(ptx.transaction, target, size));
+      if (needed <= fee) break;
+      fee = needed;
     }
 
-    // If how much we gathered is more than total, we need to create a change address
-    if (gathered > total) {
-      let change = gathered - total;
+    // Miners would drop the transaction, leaving its inputs reserved for nothing.
+    if (!estimating) {
+      let minimum = Blockchain.minimumFee(ptx.transaction, ptx.estimateSize());
+      if (fee < minimum) {
+        throw new Error(`A fee of at least ${minimum} is needed for a transaction of this size.`);
+      }
+    }
+
+    if (ptx.tx.outputs.length > outputs.length) {
       console.log();
-      console.log(`***Need to make ${change} change, with ${gathered} in and ${total} out.`);
+      console.log(`***Need to make ${ptx.tx.outputs[outputs.length].amount} change, paying a fee of ${fee}.`);
       console.log();
-      let newAddr = this.generateAddress();
-      outputs.push({amount: change, address: newAddr});
     }
 
-    // Make the transaction
-    let tx = Blockchain.makeTransaction(Object.assign({
-      from: gatheredAddrs,
-      nonce: 0,
-      pubKey: gatheredKeys},
-      {outputs: outputs, fee: fee}));
+    // Holding its UTXOs until it confirms or is dropped.
+    this.reserve(ptx.transaction, selected.map(({entry}) => entry));
 
-    // Sign the transaction with all private keys
-    gatheredPriv.forEach((pk) => {
-        tx.sign(pk);
+    return ptx;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Signs every input of a partially signed transaction that this wallet holds the key for.
+   * Keys are found by address, or derived from the input's derivation path, so an offline
+   * client restored from the mnemonic can sign without first regenerating its addresses.
+   * Multisignature inputs get a signature for each of the script's keys that the wallet holds.
+   * 
+   * @param {PartialTransaction} ptx - The transaction to sign.
+   * @returns {Number} - the number of signatures added
+   */
+  signPartialTransaction(ptx) {
+    this.checkCanSign();
+
+    let signed = 0;
+    ptx.inputs.forEach((input, i) => {
+      let script = ptx.multisigScript(i);
+      if (script) {
+        script.keys.forEach((key, j) => {
+          if (ptx.sig[i][j] !== null) return;
+          let keyPair = this.findKeypair({ address: this.calcAddress(key) });
+          if (keyPair) {
+            ptx.signInput(i, keyPair.private, j);
+            signed++;
+          }
+        });
+        return;
+      }
+      if (ptx.sig[i] !== null) return;
+      let keyPair = this.findKeypair(input);
+      if (keyPair) {
+        ptx.signInput(i, keyPair.private);
+        signed++;
+      }
     });
+    return signed;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Throws an error if this is a watch-only wallet, which holds no private keys.
+   */
+  checkCanSign() {
+    if (this.watchOnly) {
+      throw new Error("Watch-only wallets cannot sign transactions.");
+    }
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Finalizes a fully signed transaction and broadcasts it.
+   * 
+   * @param {PartialTransaction} ptx - The signed transaction.
+   * @returns {Transaction} - The posted transaction.
+   */
+  finalizePartialTransaction(ptx) {
+    return this.broadcastTransaction(ptx.finalize());
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Looks up the keypair for an input, first in the wallet and then by deriving it from its path.
+   * 
+   * @param {Object} input - The input, with its address and (optionally) derivation path.
+   * @returns {Object | undefined} - the keypair, if this wallet holds it
+   */
+  findKeypair({address, path}) {
+    let entry = this.wallet.find((e) => e.address === address);
+    if (entry) return entry.keyPair;
+
+    let accountPath = this.derivationPath();
+    if (path && path.startsWith(accountPath + '/')) {
+      let [chain, index] = path.slice(accountPath.length + 1).split('/').map((n) => parseInt(n, 10));
+      let keyPair = this.deriveKeypair(chain, index);
+      if (this.calcAddress(keyPair.public) === address) return keyPair;
+    }
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Broadcasts a signed transaction and tracks it as pending.
+   * 
+   * @param {Transaction} tx - The signed transaction.
+   * @returns {Transaction} - The posted transaction.
+   */
+  broadcastTransaction(tx) {
     // Adding transaction to pending.
     this.pendingOutgoingTransactions.set(tx.id, tx);
 
@@ -218,6 +551,443 @@ module.exports = class Client extends EventEmitter {
     return tx;
   }
 
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Replaces a pending transaction that is stuck, for instance because its fee is too low, with one spending
+   * the same inputs and paying the same outputs at a higher fee.  The extra fee comes out of the change.
+   * Miners accept the replacement only if the new fee is at least the old fee plus
+   * Blockchain.REPLACEMENT_FEE_INCREMENT; see acceptsReplacement.
+   * 
+   * @param {String} txID - ID of the pending transaction.
+   * @param {Number} [fee] - The new fee.  Defaults to the lowest fee miners accept.
+   * 
+   * @returns {Transaction} - The posted replacement.
+   */
+  replaceTransaction(txID, fee) {
+    let {tx, gathered, fee: newFee} = this.prepareReplacement(txID, fee);
+    let change = tx.outputs.filter(({address}) => this.isChangeAddress(address, tx));
+    let outputs = tx.outputs.filter((output) => !change.includes(output));
+    let total = outputs.reduce((sum, {amount}) => sum + amount, newFee);
+    if (total > gathered) {
+      throw new Error(`Not enough change in transaction ${txID} to pay a fee of ${newFee}.`);
+    }
+    if (gathered > total) {
+      let address = change.length > 0 ? change[0].address : this.generateAddress(CHANGE_CHAIN);
+      outputs.push({amount: gathered - total, address});
+    }
+    return this.postReplacement(txID, outputs, newFee);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Cancels a pending transaction by replacing it with one that pays everything it spends, less the fee,
+   * back to a new change address of this wallet.  The same replacement rules as for replaceTransaction
+   * apply, and the original transaction may still be confirmed if a miner included it first.
+   * 
+   * @param {String} txID - ID of the pending transaction.
+   * @param {Number} [fee] - The fee for the cancellation.  Defaults to the lowest fee miners accept.
+   * 
+   * @returns {Transaction} - The posted cancellation.
+   */
+  cancelTransaction(txID, fee) {
+    let {tx, gathered, fee: newFee} = this.prepareReplacement(txID, fee);
+    if (newFee > gathered) {
+      throw new Error(`Transaction ${txID} spends only ${gathered}, less than a fee of ${newFee}.`);
+    }
+    // Multisignature inputs cannot pay our own change addresses without the co-signers' agreement.
+    let address = tx.pubKey.some((key) => utils.keyType(key) === utils.MULTISIG) ?
+      tx.from[0] : this.generateAddress(CHANGE_CHAIN);
+    return this.postReplacement(txID, [{amount: gathered - newFee, address}], newFee);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Checks that a pending transaction can still be replaced, and works out the fee for its replacement.
+   * 
+   * @param {String} txID - ID of the pending transaction.
+   * @param {Number} [fee] - The requested fee.
+   * @returns {Object} - the transaction, the gold its inputs hold, and the fee, in the form {tx, gathered, fee}
+   */
+  prepareReplacement(txID, fee) {
+    this.checkCanSign();
+    let tx = this.pendingOutgoingTransactions.get(txID);
+    let reservation = this.reservations.get(txID);
+    if (!tx || !reservation) {
+      throw new Error(`No pending transaction ${txID} to replace.`);
+    }
+    if (reservation.inChain) {
+      throw new Error(`Transaction ${txID} is already in a block.`);
+    }
+    // Miners also want the replacement to meet the minimum fee for its size, which is about that of the original.
+    let minFee = Math.max(tx.fee + Blockchain.REPLACEMENT_FEE_INCREMENT, Blockchain.minimumFee(tx));
+    if (fee === undefined) fee = minFee;
+    if (fee < minFee) {
+      throw new Error(`A replacement must pay a fee of at least ${minFee}.`);
+    }
+    let gathered = tx.from.reduce((sum, address) => sum + this.lastConfirmedBlock.balanceOf(address), 0);
+    return { tx, gathered, fee };
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Signs and broadcasts a transaction spending the same inputs as a pending transaction, which it replaces.
+   * The inputs stay reserved, and the replaced transaction is remembered, in case a miner confirms it after all.
+   * 
+   * @param {String} txID - ID of the pending transaction.
+   * @param {Array} outputs - Outputs of the replacement.
+   * @param {Number} fee - Fee of the replacement.
+   * @returns {Transaction} - the posted replacement
+   */
+  postReplacement(txID, outputs, fee) {
+    let old = this.pendingOutgoingTransactions.get(txID);
+    let reservation = this.reservations.get(txID);
+    let entries = reservation.entries;
+
+    let ptx = new PartialTransaction({
+      tx: {
+        from: old.from,
+        nonce: old.nonce,
+        pubKey: old.pubKey,
+        outputs: outputs,
+        fee: fee,
+        data: old.data,
+        lock: old.lock,
+      },
+      inputs: entries.map(({address, path}) => ({address, amount: this.lastConfirmedBlock.balanceOf(address), path})),
+    });
+    this.signPartialTransaction(ptx);
+    let tx = ptx.finalize();
+
+    this.reservations.delete(txID);
+    this.pendingOutgoingTransactions.delete(txID);
+    this.reserve(tx, entries);
+    Object.assign(this.reservations.get(tx.id), {
+      postedHeight: reservation.postedHeight,
+      replaced: (reservation.replaced || []).concat([old]),
+    });
+    this.log(`Replacing transaction ${txID} with ${tx.id}.`);
+
+    return this.broadcastTransaction(tx);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Determines whether an output of one of our transactions is change: gold paid back to a change address,
+   * or to the multisignature address it was spent from.
+   * 
+   * @param {String} address - The output address.
+   * @param {Transaction} tx - The transaction.
+   * @returns {Boolean}
+   */
+  isChangeAddress(address, tx) {
+    let entry = this.wallet.find((e) => e.address === address);
+    return entry !== undefined && (entry.chain === CHANGE_CHAIN || (entry.multisig && tx.from.includes(address)));
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Anchors the hash of a document in the blockchain, as proof that the document existed by the time of the
+   * block that includes it.  The transaction pays nothing to anyone; its inputs go back to a change address.
+   * 
+   * @param {String} hash - The SHA-256 hash of the document, in hex; see utils.hash.
+   * @param {number} [fee] - The transaction fee reward to pay the miner.
+   * @param {Object} [opts] - Additional options for the transaction, as for postTransaction.  A memo may be
+   *    added to the data, for instance to name the document.
+   * @returns {Transaction} - The posted transaction.
+   */
+  anchorHash(hash, fee, opts={}) {
+    let data = Object.assign({}, opts.data, { anchor: hash });
+    return this.postTransaction([], fee, Object.assign({}, opts, { data }));
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Looks through the current chain for transactions anchoring the given hash.  The earliest block holding
+   * one shows when the document was known to exist.
+   * 
+   * @param {String} hash - The SHA-256 hash of the document, in hex.
+   * @returns {Array} - the anchoring transactions with their blocks, oldest first, in the form {tx, block}
+   */
+  findAnchoredTransactions(hash) {
+    let found = [];
+    this.getChainBlocks().forEach((block) => {
+      block.transactions.forEach((tx) => {
+        if (tx.data && tx.data.anchor === hash) found.push({ tx, block });
+      });
+    });
+    return found;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Starts an atomic swap by paying gold into a hash time-locked contract.  The other party can claim the gold
+   * with the contract's secret until the timeout height, after which this client can refund it.
+   * 
+   * The party that starts the swap leaves out the hashlock, and a new secret is made for it.  The other party
+   * then starts their side on the other chain with the same hashlock and an earlier timeout, so that the secret
+   * is revealed (by the claim on their chain) in time to claim this side.
+   * 
+   * @param {Object} terms - The terms of the contract.
+   * @param {Number} terms.amount - Gold to pay into the contract.
+   * @param {String} terms.claimKey - Public key of the other party, which may claim the gold.
+   * @param {Number} terms.timeout - Block height from which the gold can only be refunded.
+   * @param {String} [terms.hashlock] - Hash of the secret, if the other party made it.
+   * @param {Number} [terms.fee] - The transaction fee reward to pay the miner.
+   * @returns {Object} - the contract, its address, the secret (if it was made here), and the posted transaction
+   */
+  initiateSwap({amount, claimKey, timeout, hashlock, fee}) {
+    let secret;
+    if (hashlock === undefined) {
+      secret = utils.generateSecret();
+      hashlock = utils.hashSecret(secret);
+    }
+    let contract = utils.htlcScript({ hashlock, claimKey, refundKey: this.keyPair.public, timeout });
+    if (this.lastBlock.chainLength >= timeout) {
+      throw new Error(`Contract timeout ${timeout} has already passed.`);
+    }
+    let address = this.calcAddress(contract);
+    let tx = this.postTransaction([{ amount, address }], fee);
+    return { contract, address, secret, tx };
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Claims the gold of a hash time-locked contract by revealing its secret.  This must be done before
+   * the contract's timeout, and only once the gold paid into the contract is confirmed.
+   * 
+   * @param {Object} contract - The contract's script; see utils.htlcScript.
+   * @param {String} secret - The preimage of the contract's hashlock.
+   * @param {Number} [fee] - The transaction fee reward to pay the miner.  Defaults to the fee for the claim's size.
+   * @returns {Transaction} - The posted transaction.
+   */
+  claimSwap(contract, secret, fee) {
+    if (utils.hashSecret(secret) !== contract.hashlock) {
+      throw new Error("The secret does not match the contract's hashlock.");
+    }
+    if (this.lastBlock.chainLength + 1 >= contract.timeout) {
+      throw new Error(`Contract timed out at height ${contract.timeout}; it can only be refunded.`);
+    }
+    return this.spendContract(contract, contract.claimKey, fee, secret);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Takes back the gold of a hash time-locked contract that was not claimed.  The refund is locked until
+   * the contract's timeout, so it may be posted early; miners hold it until then.
+   * 
+   * @param {Object} contract - The contract's script; see utils.htlcScript.
+   * @param {Number} [fee] - The transaction fee reward to pay the miner.  Defaults to the fee for the refund's size.
+   * @returns {Transaction} - The posted transaction.
+   */
+  refundSwap(contract, fee) {
+    return this.spendContract(contract, contract.refundKey, fee);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Moves the confirmed gold of a hash time-locked contract to a new address of this wallet.  Used by
+   * claimSwap and refundSwap.
+   * 
+   * @param {Object} contract - The contract's script.
+   * @param {String} pubKey - The contract key that this wallet signs with.
+   * @param {Number} [fee] - The transaction fee reward to pay the miner.  If omitted, the transaction is
+   *    signed at the default fee, and signed again if its size calls for more.
+   * @param {String} [secret] - The secret, for a claim.  A refund leaves it out.
+   * @returns {Transaction} - The posted transaction.
+   */
+  spendContract(contract, pubKey, fee, secret) {
+    this.checkCanSign();
+    let keyPair = this.findKeypair({ address: this.calcAddress(pubKey) });
+    if (!keyPair) {
+      throw new Error(`This wallet does not hold the ${secret === undefined ? "refund" : "claim"} key of the contract.`);
+    }
+    let address = this.calcAddress(contract);
+    let amount = this.lastConfirmedBlock.balanceOf(address);
+    let nonce = utils.generateNonce();
+    let destination = this.generateAddress();
+    let sign = (fee) => {
+      if (amount <= fee) {
+        throw new Error(`Not enough confirmed gold in contract ${address}.`);
+      }
+      let tx = Blockchain.makeTransaction({
+        from: [address],
+        nonce: nonce,
+        pubKey: [contract],
+        outputs: [{ amount: amount - fee, address: destination }],
+        fee: fee,
+        lock: secret === undefined ? { height: contract.timeout } : undefined,
+      });
+      tx.signContract(keyPair.private, 0, secret);
+      return tx;
+    };
+
+    let tx = sign(fee === undefined ? Blockchain.DEFAULT_TX_FEE : fee);
+    while (fee === undefined && tx.fee < Blockchain.minimumFee(tx)) {
+      tx = sign(Blockchain.minimumFee(tx));
+    }
+    return this.broadcastTransaction(tx);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Looks through the current chain for a claim on a hash time-locked contract, returning the secret it
+   * revealed.  The other party of a swap uses this to learn the secret for claiming their side.
+   * 
+   * @param {Object} contract - The contract's script.
+   * @returns {String | undefined} - the secret, if the contract has been claimed
+   */
+  findSwapSecret(contract) {
+    let address = this.calcAddress(contract);
+    for (let block of this.getChainBlocks()) {
+      for (let tx of block.transactions.values()) {
+        let i = tx.from.indexOf(address);
+        if (i >= 0 && tx.isClaim(i)) return tx.sig[i].preimage;
+      }
+    }
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Recommends a fee rate, in gold per started Blockchain.FEE_RATE_UNIT bytes, for a transaction to be mined
+   * within the target number of blocks.  The rates sampled are those paid in the most recent blocks of the chain,
+   * where a block's rate is the fees it collected (its total rewards minus the coinbase) over the size of its
+   * transactions, and those of the transactions waiting in the mempool.  Data fees are left out, since they are
+   * paid on top of the rate.
+   * 
+   * The rate is a whole number of gold, never less than Blockchain.MIN_FEE_RATE.
+   * 
+   * @param {Number} [target] - The number of blocks the transaction should be mined within; 1 for the next block.
+   * @param {Number} [blocks] - The number of recent blocks to sample.
+   * 
+   * @returns {Number} - The recommended fee rate.
+   */
+  estimateFeeRate(target=1, blocks=FEE_ESTIMATE_BLOCKS) {
+    if (!Number.isInteger(target) || target < 1) {
+      throw new Error(`The target must be a whole number of blocks, not ${target}.`);
+    }
+    // Rates are per started unit of size, the way fees are charged.
+    let units = (tx) => Math.ceil(tx.size() / Blockchain.FEE_RATE_UNIT);
+    let sizeFees = (tx) => tx.fee - Blockchain.dataFee(tx.data);
+
+    let rates = [];
+    this.getChainBlocks().slice(-blocks).forEach((block) => {
+      let txs = [...block.transactions.values()];
+      if (txs.length === 0) return;
+      let dataFees = txs.reduce((sum, tx) => sum + Blockchain.dataFee(tx.data), 0);
+      let totalUnits = txs.reduce((sum, tx) => sum + units(tx), 0);
+      rates.push((block.totalRewards() - block.coinbaseReward - dataFees) / totalUnits);
+    });
+    this.mempool.forEach(({tx}) => rates.push(sizeFees(tx) / units(tx)));
+    if (rates.length === 0) return Blockchain.MIN_FEE_RATE;
+
+    rates.sort((a, b) => a - b);
+    let percentile = Math.max(0.5, NEXT_BLOCK_PERCENTILE - (target - 1) * FEE_ESTIMATE_STEP);
+    let rate = rates[Math.ceil(percentile * rates.length) - 1];
+    return Math.max(Blockchain.MIN_FEE_RATE, Math.ceil(rate));
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Recommends a fee for a transaction to be mined within the target number of blocks, at the
+   * rate given by estimateFeeRate.
+   * 
+   * @param {Transaction} tx - The transaction.
+   * @param {Number} [target] - The number of blocks the transaction should be mined within.
+   * @param {Number} [size] - The size of the transaction, if it is not signed yet; see
+   *    PartialTransaction.estimateSize.
+   * 
+   * @returns {Number} - The recommended fee.
+   */
+  estimateFee(tx, target=1, size=tx.size()) {
+    return Blockchain.feeAtRate(tx, this.estimateFeeRate(target), size);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Reports the total gold issued by the given height: the starting balances of the genesis block,
+   * plus the coinbase rewards of every block up to that height; see Blockchain.coinbaseIssued.
+   * Fees only move gold around, so they are not counted.
+   * 
+   * @param {Number} [height] - The height, defaulting to that of the latest block.
+   * 
+   * @returns {Number} - The gold issued.
+   */
+  totalSupply(height=this.lastBlock.chainLength) {
+    let genesis = this.getChainBlocks()[0];
+    let startingSupply = [...genesis.balances.values()].reduce((total, amount) => total + amount, 0);
+    return startingSupply + Blockchain.coinbaseIssued(height);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Picks the wallet entries to spend for a transaction.  Only available entries with a confirmed balance are considered.
+   * Entries with the same label are treated as related by the privacy strategy.
+   * 
+   * @param {Number} total - Gold needed, including the fee.
+   * @param {String | Function} [strategy] - Coin selection strategy, defaulting to the client's strategy.
+   * 
+   * @returns {Array} - Copies of the wallet entries to spend, each with its amount and a reference
+   *    to the original wallet entry.
+   */
+  selectCoins(total, strategy=this.coinSelection) {
+    let candidates = [];
+    this.wallet.forEach((entry) => {
+      let amount = this.lastConfirmedBlock.balanceOf(entry.address);
+      // Shared gold is only spent when asked for by address; see selectAddress.
+      if (entry.state === AVAILABLE && amount > 0 && !entry.multisig) {
+        candidates.push(Object.assign({}, entry, { amount, cluster: this.labels[entry.address], entry }));
+      }
+    });
+
+    let selected = coinSelection.select(strategy, candidates, total);
+    if (selected === null) {
+      throw new Error("Not enough money!");
+    }
+
+    return selected;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Picks a single wallet address to spend, as selectCoins does for a coin selection strategy.
+   * 
+   * @param {String} address - The wallet address to spend from.
+   * @param {Number} total - Gold needed, including the fee.
+   * 
+   * @returns {Array} - A copy of the wallet entry, with its amount and a reference to the original entry.
+   */
+  selectAddress(address, total) {
+    let entry = this.wallet.find((e) => e.address === address);
+    if (!entry) {
+      throw new Error(`Address ${address} is not in the wallet.`);
+    }
+    if (entry.state !== AVAILABLE) {
+      throw new Error(`Address ${address} is ${entry.state}.`);
+    }
+    let amount = this.lastConfirmedBlock.balanceOf(address);
+    if (total > amount) {
+      throw new Error("Not enough money!");
+    }
+    return [Object.assign({}, entry, { amount, entry })];
+  }
+
   /**
    * Broadcasts a transaction from the client.  No validation is performed,
    * so the transaction might be rejected by other miners.
@@ -230,6 +1000,8 @@ module.exports = class Client extends EventEmitter {
    * @returns {Transaction} - The posted transaction.
    */
   postGenericTransaction(txData) {
+    this.checkCanSign();
+
     // Creating a transaction, with defaults for the
     // from, nonce, and pubKey fields.
     let tx = Blockchain.makeTransaction(
@@ -269,7 +1041,12 @@ module.exports = class Client extends EventEmitter {
    */
   receiveBlock(block) {
     // If the block is a string, then deserialize it.
-    block = Blockchain.deserializeBlock(block);
+    try {
+      block = Blockchain.deserializeBlock(block);
+    } catch (e) {
+      this.log(`Rejecting block: ${e.message}`);
+      return null;
+    }
 
     // Ignore the block if it has been received previously.
     if (this.blocks.has(block.id)) return null;
@@ -294,11 +1071,36 @@ module.exports = class Client extends EventEmitter {
       }
       stuckBlocks.add(block);
 
-      this.pendingBlocks.set(block.prevBlockHash, stuckBlocks);
-      return null;
-    }
+      this.pendingBlocks.set(block.prevBlockHash, stuckBlocks);
+      return null;
+    }
+
+    if (!block.isGenesisBlock()) {
+      // The coinbase reward depends on the height, so the block must follow on from the one before it.
+      if (block.chainLength !== prevBlock.chainLength + 1) {
+        this.log(`Block ${block.id} claims a height of ${block.chainLength} after block ${prevBlock.chainLength}.`);
+        return null;
+      }
+      // The target is worked out from timestamps, so they are checked first.
+      try {
+        block.checkTimestamp(prevBlock);
+      } catch (e) {
+        this.log(`Rejecting block: ${e.message}`);
+        return null;
+      }
+      // The block claims its coinbase reward in its header, which must match the reward for its height.
+      let reward = Blockchain.coinbaseRewardAt(block.chainLength);
+      if (block.coinbaseReward !== reward) {
+        this.log(`Block ${block.id} pays a coinbase reward of ${block.coinbaseReward}, instead of ${reward}.`);
+        return null;
+      }
+
+      // The proof only counts if the block uses the target that the chain calls for.
+      if (block.target !== Blockchain.expectedTarget(prevBlock, this.blocks)) {
+        this.log(`Block ${block.id} does not have the expected proof-of-work target.`);
+        return null;
+      }
 
-    if (!block.isGenesisBlock()) {
       // Verify the block, and store it if everything looks good.
       // This code will trigger an exception if there are any invalid transactions.
       let success = block.rerun(prevBlock);
@@ -310,7 +1112,8 @@ module.exports = class Client extends EventEmitter {
 
     // If it is a better block than the client currently has, set that
     // as the new currentBlock, and update the lastConfirmedBlock.
-    if (this.lastBlock.chainLength < block.chainLength) {
+    // A chain with more work wins, even if it is shorter.
+    if (block.isHeavierThan(this.lastBlock)) {
       this.lastBlock = block;
       this.setLastConfirmed();
     }
@@ -385,10 +1188,142 @@ module.exports = class Client extends EventEmitter {
 
     // Update pending transactions according to the new last confirmed block.
     this.pendingOutgoingTransactions.forEach((tx, txID) => {
-      if (this.lastConfirmedBlock.contains(tx)) {
-        this.pendingOutgoingTransactions.delete(txID);
+      this.updateReservation(txID);
+    });
+    // Received transactions are tracked by the history once they are in a block.
+    this.pendingReceivedTransactions.forEach((tx, txID) => {
+      if (this.findBlockContaining(tx, this.lastConfirmedBlock.chainLength)) {
+        this.pendingReceivedTransactions.delete(txID);
+      }
+    });
+
+    // Transactions leave the mempool once mined, or once they have been waiting too long to still be relayed.
+    this.mempool.forEach(({tx, seen}, txID) => {
+      if (this.lastBlock.spentTransactions.has(tx.id) || this.lastBlock.chainLength - seen > this.pendingTxExpiry) {
+        this.mempool.delete(txID);
       }
     });
+
+    this.updateTransactionHistory();
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Marks the wallet entries spent by a transaction as reserved, so that they are not selected again
+   * while the transaction is pending.
+   * 
+   * A transaction locked until a height does not expire until that many blocks after the height.  One locked
+   * until a time never expires, since the height it will be mined at is not known; release it by hand instead.
+   * 
+   * @param {Transaction} tx - The pending transaction.
+   * @param {Array} entries - The wallet entries it spends.
+   */
+  reserve(tx, entries) {
+    entries.forEach((entry) => {
+      entry.state = RESERVED;
+      entry.reservedBy = tx.id;
+    });
+    let {height, time} = tx.lock || {};
+    let expiresAt = this.lastBlock.chainLength + this.pendingTxExpiry;
+    if (time !== undefined) {
+      expiresAt = Infinity;
+    } else if (height !== undefined) {
+      expiresAt = Math.max(expiresAt, height + this.pendingTxExpiry);
+    }
+    this.reservations.set(tx.id, {
+      entries: entries,
+      postedHeight: this.lastBlock.chainLength,
+      expiresAt: expiresAt,
+      inChain: false,
+    });
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Moves a pending transaction's wallet entries to their next state, based on the current chain:
+   *   - confirmed (or a transaction it replaced is): the entries are spent, and the transaction is no longer pending.
+   *   - included in an unconfirmed block: nothing changes yet.
+   *   - rolled back by a reorganization, expired, or its inputs spent by another transaction:
+   *     the transaction is dropped and the entries are released.
+   * 
+   * @param {String} txID - ID of the pending transaction.
+   */
+  updateReservation(txID) {
+    let tx = this.pendingOutgoingTransactions.get(txID);
+    let reservation = this.reservations.get(txID);
+    if (!reservation) {
+      // Transactions without reserved entries (e.g. from postGenericTransaction) only need confirming.
+      if (this.lastConfirmedBlock.contains(tx)) this.pendingOutgoingTransactions.delete(txID);
+      return;
+    }
+
+    // A transaction this one replaced may have been mined first, spending the same inputs.
+    let block = [tx, ...(reservation.replaced || [])]
+      .map((t) => this.findBlockContaining(t, reservation.postedHeight))
+      .find((b) => b !== undefined);
+    if (block && block.chainLength <= this.lastConfirmedBlock.chainLength) {
+      reservation.entries.forEach((entry) => {
+        entry.state = SPENT;
+        // Multisignature addresses receive their own change, so they are used again.
+        if (entry.multisig) {
+          entry.state = AVAILABLE;
+          delete entry.reservedBy;
+        }
+      });
+      this.reservations.delete(txID);
+      this.pendingOutgoingTransactions.delete(txID);
+    } else if (block) {
+      reservation.inChain = true;
+    } else if (reservation.inChain) {
+      this.releaseReservation(txID, "rolled back by a chain reorganization");
+    } else if (this.lastBlock.chainLength >= reservation.expiresAt) {
+      this.releaseReservation(txID, `not confirmed within ${this.pendingTxExpiry} blocks`);
+    } else if (tx.from.some((address) => this.lastBlock.balanceOf(address) === 0)) {
+      this.releaseReservation(txID, "inputs spent by another transaction");
+    }
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Gives up on a pending transaction, making the wallet entries it reserved available again.
+   * This can also be called directly to drop a transaction that is known to be lost.
+   * 
+   * @param {String} txID - ID of the pending transaction.
+   * @param {String} [reason] - Why the transaction was dropped, for logging.
+   */
+  releaseReservation(txID, reason="dropped") {
+    let reservation = this.reservations.get(txID);
+    if (reservation) {
+      reservation.entries.forEach((entry) => {
+        if (entry.reservedBy === txID) {
+          entry.state = AVAILABLE;
+          delete entry.reservedBy;
+        }
+      });
+    }
+    this.log(`Releasing inputs of transaction ${txID}: ${reason}.`);
+    this.reservations.delete(txID);
+    this.pendingOutgoingTransactions.delete(txID);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Searches the current chain, from the last block back to the given height, for the block holding a transaction.
+   * 
+   * @param {Transaction} tx - The transaction to look for.
+   * @param {Number} [minHeight] - Height to stop searching at.
+   * @returns {Block | undefined} - the block containing the transaction, if it is in the chain
+   */
+  findBlockContaining(tx, minHeight=0) {
+    let block = this.lastBlock;
+    while (block !== undefined && block.chainLength >= minHeight) {
+      if (block.contains(tx)) return block;
+      block = this.blocks.get(block.prevBlockHash);
+    }
   }
 
   /**
@@ -438,14 +1373,210 @@ module.exports = class Client extends EventEmitter {
   /**
    * ADDITIONAL IMPLEMENTATION:
    * 
-   * Generate client address using mnemonic set by client or config file. After generating it, adds it to client's wallet
+   * Generate client address using mnemonic set by client or config file. After generating it, adds it to client's wallet.
+   * Only receiving addresses on the external chain replace the client's current address.
+   * 
+   * @param {Number} [chain] - The chain to derive the address on.
+   * @returns {String} - the new address
    */
-  generateAddress(){
-    this.keyPair = this.generateKeypairFromMnemonic();
-    this.address = utils.calcAddress(this.keyPair.public);
-    this.wallet.push({ address: this.address, keyPair: this.keyPair});
+  generateAddress(chain=EXTERNAL_CHAIN){
+    let index = this.derivationIndexes[chain] || 0;
+    let address = this.addToWallet(chain, index, this.deriveKeypair(chain, index));
+    this.derivationIndexes[chain] = index + 1;
+
+    return address;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Stores a derived keypair in the wallet, along with where it was derived from.
+   * 
+   * @param {Number} chain - The chain the keypair was derived on.
+   * @param {Number} index - The index of the keypair on that chain.
+   * @param {Object} keyPair - The derived public and private key.
+   * @returns {String} - the address of the keypair
+   */
+  addToWallet(chain, index, keyPair) {
+    let address = this.calcAddress(keyPair.public);
+    let path = this.derivationPath(chain, index);
+    this.wallet.push({ address, keyPair, chain, index, path, state: AVAILABLE });
+
+    if (chain === EXTERNAL_CHAIN) {
+      this.keyPair = keyPair;
+      this.address = address;
+    }
+
+    return address;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Re-derives every address below the saved derivation indexes, so that a wallet
+   * restored from a previous session holds the same addresses as before.
+   */
+  restoreAddresses() {
+    Object.keys(this.derivationIndexes).forEach((chain) => {
+      chain = parseInt(chain, 10);
+      for (let index = 0; index < this.derivationIndexes[chain]; index++) {
+        this.addToWallet(chain, index, this.deriveKeypair(chain, index));
+      }
+    });
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Builds the BIP44 path for this client's account.  If chain and index are
+   * omitted, the path of the account node itself is returned.
+   * 
+   * @param {Number} [chain] - The chain of the address.
+   * @param {Number} [index] - The index of the address on the chain.
+   * @returns {String} - the derivation path, e.g. m/44'/1'/0'/0/3
+   */
+  derivationPath(chain, index) {
+    let path = `m/${BIP44_PURPOSE}'/${COIN_TYPE}'/${this.account}'`;
+    if (chain !== undefined) path += `/${chain}/${index}`;
+    return path;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Adds a keypair that was not derived from the client's mnemonic, such as a key
+   * from an older wallet.  Imported keys cannot be recovered from the mnemonic,
+   * so they must be saved along with the wallet.
+   * 
+   * @param {Object} keyPair - The public and private key to import.
+   * @param {String} [label] - Optional label for the imported address.
+   * @returns {String} - the address of the imported key
+   */
+  importKeypair(keyPair, label) {
+    let address = this.calcAddress(keyPair.public);
+    if (!this.wallet.some((entry) => entry.address === address)) {
+      this.wallet.push({ address, keyPair, imported: true, state: AVAILABLE });
+      this.importedKeys.push(keyPair);
+    }
+    if (label !== undefined) this.labelAddress(address, label);
+    return address;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Adds an m-of-n multisignature address to the wallet, such as a treasury shared with other people.
+   * Every co-signer creates the address from the same threshold and public keys, in any order, and gets
+   * the same address.  Gold sent to it is spent with createPartialTransaction's from option, and each
+   * co-signer adds their signature with signPartialTransaction.
+   * 
+   * @param {Number} threshold - Number of signatures needed to spend from the address.
+   * @param {Array} pubKeys - Public keys of all co-signers, usually including one from this wallet.
+   * @param {String} [label] - Optional label for the address.
+   * @returns {String} - the multisignature address
+   */
+  createMultisigAddress(threshold, pubKeys, label) {
+    let script = utils.multisigScript(threshold, pubKeys);
+    let address = this.calcAddress(script);
+    if (!this.wallet.some((entry) => entry.address === address)) {
+      this.wallet.push({ address, script, multisig: true, state: AVAILABLE });
+      this.multisigScripts.push(script);
+    }
+    if (label !== undefined) this.labelAddress(address, label);
+    return address;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Calculates the address of a public key, using the network prefix of the blockchain.
+   * 
+   * @param {String | Object} pubKey - The public key, or a multisignature script.
+   * @returns {String} - the address
+   */
+  calcAddress(pubKey) {
+    return utils.calcAddress(pubKey, Blockchain.hasInstance() ? Blockchain.ADDRESS_PREFIX : undefined);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Attaches a user-friendly label to an address.
+   * 
+   * @param {String} address - The address to label.
+   * @param {String} label - The label to show for the address.
+   */
+  labelAddress(address, label) {
+    this.labels[address] = label;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Returns everything needed to rebuild the wallet: the mnemonic and password it
+   * is derived from, the derivation indexes, labels, any imported keys, and the
+   * scripts of multisignature addresses.
+   * The result contains secrets, and should be encrypted before it is stored;
+   * see keystore.js.
+   * 
+   * @returns {Object} - the wallet details, suitable for passing to the constructor
+   */
+  exportWallet() {
+    // A watch-only wallet has no secrets, so its public material is all there is to save.
+    if (this.watchOnly) {
+      return { name: this.name, watchOnly: this.exportWatchOnly(0) };
+    }
+    return {
+      name: this.name,
+      mnemonic: this.mnemonic,
+      password: this.password,
+      account: this.account,
+      keyType: this.keyType,
+      derivationIndexes: Object.assign({}, this.derivationIndexes),
+      labels: Object.assign({}, this.labels),
+      importedKeys: this.importedKeys.slice(),
+      multisig: this.multisigScripts.slice(),
+    };
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Returns the public half of the wallet, for building a watch-only client on a machine that should
+   * not hold the mnemonic.  This includes the account's extended public key, and the public key of every
+   * address in use plus a number of unused ones on each chain, so that the watch-only client can hand out
+   * new addresses.  (The RSA keys of wallets created before the switch to secp256k1 cannot be derived
+   * from the extended public key, so the public keys are listed explicitly.)
+   * 
+   * @param {Number} [lookahead] - Number of unused public keys to include on each chain.
+   * @returns {Object} - the watch-only material, suitable for the watchOnly option of the constructor
+   */
+  exportWatchOnly(lookahead=WATCH_ONLY_LOOKAHEAD) {
+    let publicKeys = [];
+    [EXTERNAL_CHAIN, CHANGE_CHAIN, REWARD_CHAIN].forEach((chain) => {
+      let end = (this.derivationIndexes[chain] || 0) + lookahead;
+      for (let index = 0; ; index++) {
+        let path = this.derivationPath(chain, index);
+        // A watch-only wallet passes on every key it was given.
+        if (this.watchOnly ? !this.publicKeys.has(path) : index >= end) break;
+
+        let entry = this.wallet.find((e) => e.path === path);
+        let keyPair = entry ? entry.keyPair : this.deriveKeypair(chain, index);
+        publicKeys.push({ path, chain, index, public: keyPair.public });
+      }
+    });
 
-    return this.address;
+    return {
+      name: this.name,
+      account: this.account,
+      keyType: this.keyType,
+      extendedPublicKey: this.extendedPublicKey,
+      derivationIndexes: Object.assign({}, this.derivationIndexes),
+      publicKeys: publicKeys,
+      importedKeys: this.importedKeys.map((keyPair) => keyPair.public),
+      multisig: this.multisigScripts.slice(),
+      labels: Object.assign({}, this.labels),
+    };
   }
 
   /**
@@ -465,9 +1596,9 @@ module.exports = class Client extends EventEmitter {
    */
   showAllUTXOs() {
     let table= [];
-    this.wallet.forEach(({ address }) => {
+    this.wallet.forEach(({ address, state }) => {
       let amount = this.lastConfirmedBlock.balanceOf(address);
-      table.push({ address: address, amount: amount });
+      table.push({ address: address, amount: amount, state: state });
     });
     table.push({ address: "***TOTAL***", amount: this.confirmedBalance });
     console.table(table);
@@ -476,16 +1607,28 @@ module.exports = class Client extends EventEmitter {
   /**
    * ADDITIONAL IMPLEMENTATION:
    * 
-   * Generates keypairs deterministically use the prng (Psuedo-random-number generator) library. By default use the prng instance created from instantiation
-   * @param {*} prng - instance of PRNG, basicall the seed
+   * Derives the keypair at the given chain and index of the client's account.  Any address can
+   * be re-derived directly, without generating the addresses before it.
+   * 
+   * A watch-only wallet instead looks up the exported public key, or derives it from the extended
+   * public key, and has no private key.
+   * @param {Number} chain - the chain to derive from (external, change, or reward)
+   * @param {Number} index - the index of the address on the chain
    * @returns {object} - returns public and private key
    */
-  generateKeypairFromMnemonic(prng=this.prng) {
-    const { privateKey, publicKey } = pki.rsa.generateKeyPair({ bits: 512, prng: prng, workers: 2 });
-    return {
-        public: pki.publicKeyToPem(publicKey),
-        private: pki.privateKeyToPem(privateKey),
-    };
+  deriveKeypair(chain, index) {
+    let path = this.derivationPath(chain, index);
+    if (this.watchOnly && this.publicKeys.has(path)) {
+      return { public: this.publicKeys.get(path) };
+    }
+    if (!this.accountKey) {
+      throw new Error(`Watch-only wallet has no public key for ${path}; export it again from the full wallet.`);
+    }
+    let node = this.accountKey.deriveChild(chain).deriveChild(index);
+    if (this.watchOnly) {
+      return { public: utils.secp256k1PublicKeyToPem(node.publicKey) };
+    }
+    return utils.keypairFromHDNode(node, this.keyType);
   }
 
   /**
@@ -505,30 +1648,408 @@ module.exports = class Client extends EventEmitter {
   /**
    * ADDITIONAL IMPLEMENTATION:
    * 
-   * Generates the next key and checks if there are funds, does it until it doesn't detect any more funds plus the no. of attempts. Ex. keys with money + 5 more
+   * Rescans the whole chain for addresses derived from the mnemonic.  Each chain is scanned from index 0,
+   * and an address counts as used if it ever appeared in the chain, even if its balance has since been spent.
+   * Scanning stops once the no. of attempts in a row find an unused address. Ex. used keys + 5 more
+   * 
+   * The wallet's address list, derivation indexes and transaction history are rebuilt from the scan.
    * @param {int} maxAttempts check how many more attempts until it stops. default 5
    */
   recoverFunds(maxAttempts=5) {
-    let attempts = 0;
-    let genKeyPair;
-    let checkAddress;
-    // While there still is money in the addresses we are checking or we haven't exceeded our max number of attempts
-    while(this.lastConfirmedBlock.balanceOf(checkAddress) !== 0 || attempts < maxAttempts) {
-      // Generates key/address
-      genKeyPair = this.generateKeypairFromMnemonic();
-      checkAddress = utils.calcAddress(genKeyPair.public);
-      console.log(`Checking for funds at address: ${checkAddress}`);
-      // Is there money in that address? If not, move on, else we add it to the wallet and reset our attempts.
-      if (this.lastConfirmedBlock.balanceOf(checkAddress) === 0) {
-        attempts += 1;
-        console.log(`No funds were found at address: ${checkAddress}`);
+    let chainBlocks = this.getChainBlocks();
+    let usedAddresses = this.constructor.findUsedAddresses(chainBlocks);
+
+    // Keys we already hold do not need to be derived again.
+    let knownKeys = new Map();
+    this.wallet.forEach((entry) => {
+      if (entry.path) knownKeys.set(entry.path, entry.keyPair);
+    });
+
+    let nextIndexes = {};
+    [EXTERNAL_CHAIN, CHANGE_CHAIN, REWARD_CHAIN].forEach((chain) => {
+      let attempts = 0;
+      let index = 0;
+      let nextIndex = this.derivationIndexes[chain] || 0;
+      // While we haven't exceeded our max number of attempts since the last used address
+      while (attempts < maxAttempts) {
+        // Generates key/address
+        let path = this.derivationPath(chain, index);
+        // A watch-only wallet can only check the public keys it was given.
+        if (this.watchOnly && !this.accountKey && !this.publicKeys.has(path)) break;
+        let genKeyPair = knownKeys.get(path) || this.deriveKeypair(chain, index);
+        knownKeys.set(path, genKeyPair);
+        let checkAddress = this.calcAddress(genKeyPair.public);
+        // Has the address ever been used? If not, move on, else we note it and reset our attempts.
+        if (!usedAddresses.has(checkAddress)) {
+          attempts += 1;
+        }
+        else {
+          attempts = 0;
+          nextIndex = Math.max(nextIndex, index + 1);
+          console.log(`Found used address ${checkAddress} (${path}), holding ${this.lastConfirmedBlock.balanceOf(checkAddress)}`);
+        }
+        index++;
+      }
+      nextIndexes[chain] = nextIndex;
+    });
+
+    // Rebuilding the wallet with every address below the new indexes, plus any imported keys and shared addresses.
+    let imported = this.wallet.filter((entry) => entry.imported || entry.multisig);
+    this.wallet = [];
+    this.derivationIndexes = nextIndexes;
+    Object.keys(nextIndexes).forEach((chain) => {
+      chain = parseInt(chain, 10);
+      for (let index = 0; index < nextIndexes[chain]; index++) {
+        let path = this.derivationPath(chain, index);
+        this.addToWallet(chain, index, knownKeys.get(path) || this.deriveKeypair(chain, index));
+      }
+    });
+    imported.forEach((entry) => this.wallet.push(entry));
+
+    // Addresses already spent from in the confirmed chain stay spent, unless they were funded again.
+    let spentAddresses = new Set();
+    chainBlocks.forEach((block) => {
+      if (block.chainLength > this.lastConfirmedBlock.chainLength) return;
+      block.transactions.forEach((tx) => tx.from.forEach((address) => spentAddresses.add(address)));
+    });
+    this.wallet.forEach((entry) => {
+      if (!entry.multisig && spentAddresses.has(entry.address) && this.lastConfirmedBlock.balanceOf(entry.address) === 0) {
+        entry.state = SPENT;
+      }
+    });
+
+    // Pending transactions keep their inputs reserved.
+    this.reservations.forEach((reservation, txID) => {
+      reservation.entries = reservation.entries.map((old) => {
+        let entry = this.wallet.find(({address}) => address === old.address) || old;
+        entry.state = RESERVED;
+        entry.reservedBy = txID;
+        return entry;
+      });
+    });
+
+    // A wallet always has a receiving address.
+    if (nextIndexes[EXTERNAL_CHAIN] === 0) {
+      this.address = undefined;
+      this.generateAddress();
+    }
+
+    // The recovered addresses may have history anywhere in the chain, so it is rebuilt from the start.
+    this.transactionHistory = [];
+    this.orphanedHistory = [];
+    this.historyHead = undefined;
+    this.updateTransactionHistory();
+    console.log(`Recovered ${this.wallet.length} addresses holding ${this.getConfirmedBalance()} gold.`);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Lists the blocks of the current chain, from the genesis block up to the last block.
+   * @param {Block} [head] - The last block of the chain to walk.  Defaults to the client's last block.
+   * @returns {Array} - the blocks of the chain, oldest first
+   */
+  getChainBlocks(head=this.lastBlock) {
+    let chainBlocks = [];
+    let block = head;
+    while (block !== undefined) {
+      chainBlocks.unshift(block);
+      block = this.blocks.get(block.prevBlockHash);
+    }
+    return chainBlocks;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Collects every address that ever appeared in the given blocks: as a starting balance in the
+   * genesis block, as a transaction input or output, or as the receiver of a block reward.
+   * @param {Array} chainBlocks - the blocks to search
+   * @returns {Set} - the addresses found
+   */
+  static findUsedAddresses(chainBlocks) {
+    let used = new Set();
+    chainBlocks.forEach((block) => {
+      if (block.isGenesisBlock()) {
+        block.balances.forEach((amount, address) => used.add(address));
+      }
+      if (block.rewardAddr) used.add(block.rewardAddr);
+      block.transactions.forEach((tx) => {
+        tx.from.forEach((address) => used.add(address));
+        tx.outputs.forEach(({address}) => used.add(address));
+      });
+    });
+    return used;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Brings the history of transactions and block rewards involving the wallet's addresses up to date with
+   * the current chain.  Only the blocks after the point where the current chain parts from the one the history
+   * was built from are looked at.  Entries from blocks that are no longer part of the chain after a
+   * reorganization are kept and marked as orphaned, unless the new blocks include them again.
+   */
+  updateTransactionHistory() {
+    let {newBlocks, forkHeight} = this.blocksSinceFork(this.historyHead);
+    this.historyHead = this.lastBlock;
+
+    let mine = new Set(this.wallet.map(({address}) => address));
+    let added = [];
+    newBlocks.forEach((block) => {
+      if (block.rewardAddr && mine.has(block.rewardAddr)) {
+        added.push(this.describeReward(block));
+      }
+      block.transactions.forEach((tx) => {
+        let entry = this.describeTransaction(tx, mine, block);
+        if (entry) added.push(entry);
+      });
+    });
+    let seen = new Set(added.map(({key}) => key));
+
+    let orphaned = this.transactionHistory.filter(({height}) => height > forkHeight)
+      .map((entry) => Object.assign({}, entry, { status: "orphaned", confirmations: 0 }));
+    this.orphanedHistory = this.orphanedHistory.concat(orphaned).filter(({key}) => !seen.has(key));
+    this.transactionHistory = this.transactionHistory.filter(({height}) => height <= forkHeight).concat(added);
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Finds the blocks of the current chain after the point where it parts from the chain ending at the given block.
+   * @param {Block} [head] - the last block of the other chain; if omitted, the whole current chain is returned
+   * @returns {Object} - the blocks, oldest first, as newBlocks, and the height of the last block the chains have
+   *    in common as forkHeight, or -1 if they have none
+   */
+  blocksSinceFork(head) {
+    // Walking back from both heads to the block they have in common.
+    let newBlocks = [];
+    let block = this.lastBlock;
+    let fork = head;
+    while (block !== undefined && (fork === undefined || block.chainLength > fork.chainLength)) {
+      newBlocks.unshift(block);
+      block = this.blocks.get(block.prevBlockHash);
+    }
+    while (fork !== undefined && fork.chainLength > block.chainLength) {
+      fork = this.blocks.get(fork.prevBlockHash);
+    }
+    while (block !== undefined && fork !== undefined && block.id !== fork.id) {
+      newBlocks.unshift(block);
+      block = this.blocks.get(block.prevBlockHash);
+      fork = this.blocks.get(fork.prevBlockHash);
+    }
+    return { newBlocks, forkHeight: block === undefined ? -1 : block.chainLength };
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Makes the next updateTransactionHistory look at the blocks of the chain from the given height on again,
+   * for when the transactions known for a block change without the chain changing.
+   * @param {Number} height - the height of the first block to look at again
+   */
+  rewindTransactionHistory(height) {
+    while (this.historyHead !== undefined && this.historyHead.chainLength >= height) {
+      this.historyHead = this.blocks.get(this.historyHead.prevBlockHash);
+    }
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Returns the wallet's transaction history, oldest first.  Each entry has the form:
+   *    {txId, direction, counterparties, amount, fee, memo, height, blockId, confirmations, status}
+   * where direction is 'sent', 'received', 'self' or 'reward', and status is 'pending',
+   * 'confirmed' or 'orphaned'.  Transactions that are not in a block yet have a null height.
+   * The memo is the one attached to the transaction, if any.
+   * @returns {Array} - the history entries
+   */
+  getTransactionHistory() {
+    let mine = new Set(this.wallet.map(({address}) => address));
+    // The depth of the entries in the chain changes with every new block, so it is worked out here.
+    let history = this.transactionHistory.map((entry) =>
+      Object.assign({}, entry, this.describeDepth(this.blocks.get(entry.blockId))));
+    history = history.concat(this.orphanedHistory);
+    let known = new Set(history.filter(({status}) => status !== "orphaned").map(({key}) => key));
+
+    // Adding transactions that have not made it into a block yet.
+    [...this.pendingOutgoingTransactions.values(), ...this.pendingReceivedTransactions.values()].forEach((tx) => {
+      if (known.has(tx.id)) return;
+      let entry = this.describeTransaction(tx, mine);
+      if (entry) {
+        known.add(tx.id);
+        history.push(entry);
+      }
+    });
+    return history;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Summarizes a transaction from the point of view of the wallet.
+   * @param {Transaction} tx - the transaction
+   * @param {Set} mine - the wallet's addresses
+   * @param {Block} [block] - the block holding the transaction, if any
+   * @returns {Object | undefined} - the history entry, or undefined if the transaction does not involve the wallet
+   */
+  describeTransaction(tx, mine, block) {
+    let sent = tx.from.some((address) => mine.has(address));
+    let received = tx.outputs.some(({address}) => mine.has(address));
+    if (!sent && !received) return;
+
+    let external = tx.outputs.filter(({address}) => !mine.has(address));
+    let internal = tx.outputs.filter(({address}) => mine.has(address));
+    let sum = (outputs) => outputs.reduce((total, {amount}) => total + amount, 0);
+
+    let direction, counterparties, amount;
+    if (sent && external.length === 0) {
+      direction = "self";
+      counterparties = [];
+      amount = sum(internal);
+    } else if (sent) {
+      direction = "sent";
+      counterparties = external.map(({address}) => address);
+      amount = sum(external);
+    } else {
+      direction = "received";
+      counterparties = tx.from.slice();
+      amount = sum(internal);
+    }
+
+    return Object.assign({
+      key: tx.id,
+      txId: tx.id,
+      direction: direction,
+      counterparties: counterparties,
+      amount: amount,
+      fee: sent ? tx.fee : 0,
+      memo: tx.data && tx.data.memo,
+    }, this.describeDepth(block));
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Summarizes a block reward paid to the wallet.
+   * @param {Block} block - the block whose reward was paid to one of the wallet's addresses
+   * @returns {Object} - the history entry
+   */
+  describeReward(block) {
+    return Object.assign({
+      key: `reward:${block.id}`,
+      txId: null,
+      direction: "reward",
+      counterparties: [],
+      amount: block.totalRewards(),
+      fee: 0,
+    }, this.describeDepth(block));
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Works out the height, confirmations and status of a history entry from the block holding it.
+   * @param {Block} [block] - the block, or undefined for a transaction that is not in a block yet
+   * @returns {Object} - the height, blockId, confirmations and status fields of the entry
+   */
+  describeDepth(block) {
+    if (!block) {
+      return { height: null, blockId: null, confirmations: 0, status: "pending" };
+    }
+    return {
+      height: block.chainLength,
+      blockId: block.id,
+      confirmations: this.lastBlock.chainLength - block.chainLength + 1,
+      status: block.chainLength <= this.lastConfirmedBlock.chainLength ? "confirmed" : "pending",
+    };
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Keeps track of transactions paying the wallet that have been posted, but are not yet in a block.
+   * Every other posted transaction that miners would accept is kept in the mempool, for estimating fees.
+   * Transactions without a valid signature are ignored, and one spending the same inputs as a transaction
+   * we hold only replaces it under the policy of acceptsReplacement.
+   * @param {Transaction | Object} tx - the posted transaction
+   */
+  receivePendingTransaction(tx) {
+    tx = Blockchain.makeTransaction(tx);
+    // Forged transactions could otherwise push out genuine ones, or skew the fee estimates.
+    if (!tx.validSignature()) {
+      this.log(`Ignoring pending transaction ${tx.id}: invalid signature.`);
+      return;
+    }
+
+    // A transaction spending the same inputs as ones we hold supersedes them, if it may replace them.
+    let conflictsWith = (others) => others.filter((other) =>
+      other.id !== tx.id && other.from.some((address) => tx.from.includes(address)));
+    let supersedes = (conflicts) => conflicts.length === 0 || this.acceptsReplacement(tx, conflicts);
+
+    if (tx.fee >= Blockchain.minimumFee(tx) && this.lastBlock !== undefined && !this.mempool.has(tx.id)) {
+      let conflicts = conflictsWith([...this.mempool.values()].map(({tx: other}) => other));
+      if (supersedes(conflicts)) {
+        conflicts.forEach(({id}) => this.mempool.delete(id));
+        this.mempool.set(tx.id, {tx, seen: this.lastBlock.chainLength});
       }
-      // Reset attempts if it finds money
-      else {
-        attempts = 0;
-        this.wallet.push({ address: checkAddress, keyPair: genKeyPair});
-        console.log(`Successfully recovered ${this.lastConfirmedBlock.balanceOf(checkAddress)} at address ${checkAddress}!`);
+    }
+    let mine = new Set(this.wallet.map(({address}) => address));
+    let paysUs = tx.outputs.some(({address}) => mine.has(address));
+    let fromUs = tx.from.some((address) => mine.has(address));
+    if (paysUs && !fromUs) {
+      let conflicts = conflictsWith([...this.pendingReceivedTransactions.values()]);
+      if (supersedes(conflicts)) {
+        conflicts.forEach(({id}) => this.pendingReceivedTransactions.delete(id));
+        this.pendingReceivedTransactions.set(tx.id, tx);
       }
     }
   }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * The replacement policy, which miners apply to their queues and clients to the pending transactions
+   * they track.  A transaction may replace the pending transactions it conflicts with if:
+   *   - its signature is valid, so that nobody can evict a transaction they could not have signed, and
+   *   - its fee is at least the sum of their fees plus Blockchain.REPLACEMENT_FEE_INCREMENT, so that miners
+   *     earn more from it, and replacements cannot be repeated for free.
+   * 
+   * @param {Transaction} tx - The replacement transaction.
+   * @param {Array} conflicts - The held transactions that spend some of the same inputs.
+   * 
+   * @returns {Boolean} - True if the replacement is accepted.
+   */
+  acceptsReplacement(tx, conflicts) {
+    if (!tx.validSignature()) {
+      this.log(`Rejecting replacement ${tx.id}: invalid signature.`);
+      return false;
+    }
+    let minFee = conflicts.reduce((total, {fee}) => total + fee, Blockchain.REPLACEMENT_FEE_INCREMENT);
+    if (tx.fee < minFee) {
+      this.log(`Rejecting replacement ${tx.id}: fee ${tx.fee} is below ${minFee}.`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Prints a table of the wallet's transaction history.
+   */
+  showTransactionHistory() {
+    let table = this.getTransactionHistory().map((entry) => ({
+      txId: entry.txId ? entry.txId.substring(0, 12) : "(coinbase)",
+      direction: entry.direction,
+      counterparties: entry.counterparties.map((address) => this.labels[address] || address.substring(0, 12)).join(", "),
+      amount: entry.amount,
+      fee: entry.fee,
+      memo: entry.memo || "",
+      height: entry.height,
+      confirmations: entry.confirmations,
+      status: entry.status,
+    }));
+    console.table(table);
+  }
 };
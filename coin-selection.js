@@ -0,0 +1,168 @@
+"use strict";
+
+// Branch-and-bound gives up after this many steps and falls back to
+// another strategy, so that large wallets do not stall the client.
+const BNB_MAX_TRIES = 100000;
+
+/**
+ * Coin selection strategies pick which wallet entries pay for a transaction.
+ *
+ * Every strategy has the same signature:
+ *
+ *    strategy(candidates, target) => Array | null
+ *
+ * The candidates are wallet entries with a positive balance, in the order
+ * they were added to the wallet (oldest first), each in the form:
+ *    {address, keyPair, amount, [cluster]}
+ * The target is the total gold needed, including the fee.  A strategy returns
+ * the entries to spend, or null if the candidates cannot cover the target.
+ * Strategies must not modify the candidates array.
+ */
+
+/**
+ * Sums the amounts of a list of candidates.
+ */
+function total(entries) {
+  return entries.reduce((sum, {amount}) => sum + amount, 0);
+}
+
+/**
+ * Takes entries in order until the target is covered.
+ */
+function takeUntilCovered(entries, target) {
+  let selected = [];
+  let gathered = 0;
+  for (let entry of entries) {
+    if (gathered >= target) break;
+    selected.push(entry);
+    gathered += entry.amount;
+  }
+  return gathered >= target ? selected : null;
+}
+
+/**
+ * Spends the oldest entries first.  This was the only behavior before
+ * coin selection was configurable.
+ */
+function oldestFirst(candidates, target) {
+  return takeUntilCovered(candidates, target);
+}
+
+/**
+ * Spends the largest entries first, which keeps the number of inputs
+ * (and therefore signatures) down.
+ */
+function largestFirst(candidates, target) {
+  let sorted = candidates.slice().sort((a, b) => b.amount - a.amount);
+  return takeUntilCovered(sorted, target);
+}
+
+/**
+ * Spends the single smallest entry that covers the target.  If no single
+ * entry is large enough, falls back to largest-first.
+ */
+function smallestSufficient(candidates, target) {
+  let best = null;
+  candidates.forEach((entry) => {
+    if (entry.amount >= target && (best === null || entry.amount < best.amount)) {
+      best = entry;
+    }
+  });
+  return best ? [best] : largestFirst(candidates, target);
+}
+
+/**
+ * Searches for a set of entries that adds up to exactly the target, so that
+ * no change output is needed.  The search is a depth-first branch and bound
+ * over the entries sorted largest first.  If no exact match is found within
+ * BNB_MAX_TRIES steps, falls back to smallest-sufficient.
+ */
+function branchAndBound(candidates, target) {
+  let sorted = candidates.slice().sort((a, b) => b.amount - a.amount);
+
+  // remaining[i] is the total of all entries from i onward, used to prune
+  // branches that can no longer reach the target.
+  let remaining = new Array(sorted.length + 1).fill(0);
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    remaining[i] = remaining[i+1] + sorted[i].amount;
+  }
+
+  let tries = 0;
+  let chosen = [];
+  let search = (i, sum) => {
+    if (sum === target) return true;
+    if (i >= sorted.length || sum > target || sum + remaining[i] < target) return false;
+    if (++tries > BNB_MAX_TRIES) return false;
+
+    // Include the entry, then try without it.
+    chosen.push(sorted[i]);
+    if (search(i+1, sum + sorted[i].amount)) return true;
+    chosen.pop();
+    return search(i+1, sum);
+  };
+
+  if (search(0, 0)) return chosen;
+  return smallestSufficient(candidates, target);
+}
+
+/**
+ * Avoids spending entries from unrelated clusters together, since a
+ * transaction with several inputs reveals that they share an owner.  Entries
+ * with the same cluster (the address label, by default) are considered
+ * related.  A single entry is used when possible; otherwise the fewest
+ * entries from a single cluster.  Clusters are only merged if no single
+ * cluster can cover the target.
+ */
+function privacy(candidates, target) {
+  let single = candidates.filter(({amount}) => amount >= target);
+  if (single.length > 0) return smallestSufficient(single, target);
+
+  let clusters = new Map();
+  candidates.forEach((entry) => {
+    let key = entry.cluster === undefined ? entry.address : entry.cluster;
+    if (!clusters.has(key)) clusters.set(key, []);
+    clusters.get(key).push(entry);
+  });
+
+  let best = null;
+  clusters.forEach((entries) => {
+    let selected = largestFirst(entries, target);
+    if (selected && (best === null || selected.length < best.length)) {
+      best = selected;
+    }
+  });
+
+  return best || largestFirst(candidates, target);
+}
+
+const STRATEGIES = {
+  'oldest-first': oldestFirst,
+  'largest-first': largestFirst,
+  'smallest-sufficient': smallestSufficient,
+  'branch-and-bound': branchAndBound,
+  'privacy': privacy,
+};
+
+exports.strategies = STRATEGIES;
+
+/**
+ * Selects wallet entries to cover a target amount.
+ *
+ * @param {String | Function} strategy - Name of a built-in strategy, or a
+ *    function with the same signature as the built-in strategies.
+ * @param {Array} candidates - Wallet entries with their spendable amounts.
+ * @param {Number} target - Total gold needed, including the fee.
+ *
+ * @returns {Array | null} - The entries to spend, or null if the target cannot be covered.
+ */
+exports.select = function(strategy, candidates, target) {
+  let fn = typeof strategy === 'function' ? strategy : STRATEGIES[strategy];
+  if (!fn) {
+    throw new Error(`Unknown coin selection strategy "${strategy}".`);
+  }
+  let selected = fn(candidates, target);
+  if (selected && total(selected) < target) {
+    throw new Error(`Coin selection strategy "${strategy}" did not cover ${target} gold.`);
+  }
+  return selected;
+};
@@ -20,6 +20,8 @@ let bc = Blockchain.createInstance({
   ],
   mnemonic: "antenna dwarf settle sleep must wool ocean once banana tiger distance gate great similar chief cheap dinner dolphin picture swing twenty two file nuclear",
   net: new FakeNet(),
+  // Donald joins partway through, so the target is adjusted to keep blocks coming about once a second.
+  targetBlockTime: 1000,
 });
 
 // Get Alice and Bob
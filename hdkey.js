@@ -0,0 +1,298 @@
+"use strict";
+
+const crypto = require('crypto');
+
+const base58 = require('./base58.js');
+
+// Key used for the HMAC that produces the master key, as defined in BIP32.
+const MASTER_SECRET = Buffer.from('Bitcoin seed', 'utf8');
+
+// Indexes at or above this offset use hardened derivation.
+const HARDENED_OFFSET = 0x80000000;
+
+// Order of the secp256k1 curve.  Derived private keys must be smaller than this value.
+const CURVE_ORDER = BigInt("0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141");
+
+// Prime of the field that secp256k1 is defined over.
+const FIELD_PRIME = BigInt("0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f");
+
+// Version bytes of a serialized extended public key ("xpub").
+const XPUB_VERSION = 0x0488B21E;
+
+function modPow(base, exp, mod) {
+  let result = 1n;
+  base %= mod;
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % mod;
+    base = (base * base) % mod;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+function toBigInt(buf) {
+  return BigInt(`0x${buf.toString('hex')}`);
+}
+
+function toBuffer32(n) {
+  return Buffer.from(n.toString(16).padStart(64, '0'), 'hex');
+}
+
+/**
+ * Converts a compressed or uncompressed public key to the point {x, y}.
+ */
+function decodePoint(pub) {
+  let x = toBigInt(pub.slice(1, 33));
+  if (pub[0] === 0x04) {
+    return { x, y: toBigInt(pub.slice(33, 65)) };
+  }
+  // Solving y^2 = x^3 + 7.  Since p = 3 mod 4, the square root is a power.
+  let y = modPow((modPow(x, 3n, FIELD_PRIME) + 7n) % FIELD_PRIME, (FIELD_PRIME + 1n) / 4n, FIELD_PRIME);
+  if ((y & 1n) !== BigInt(pub[0] & 1)) y = FIELD_PRIME - y;
+  return { x, y };
+}
+
+/**
+ * Converts the point {x, y} to a compressed public key.
+ */
+function encodePoint({x, y}) {
+  return Buffer.concat([Buffer.from([(y & 1n) ? 0x03 : 0x02]), toBuffer32(x)]);
+}
+
+/**
+ * Adds two points on the curve.
+ */
+function addPoints(P, Q) {
+  let slope;
+  if (P.x === Q.x) {
+    if (P.y !== Q.y) throw new Error("Derived public key is the point at infinity.");
+    slope = (3n * P.x * P.x * modPow(2n * P.y, FIELD_PRIME - 2n, FIELD_PRIME)) % FIELD_PRIME;
+  } else {
+    let dx = (Q.x - P.x + FIELD_PRIME) % FIELD_PRIME;
+    let dy = (Q.y - P.y + FIELD_PRIME) % FIELD_PRIME;
+    slope = (dy * modPow(dx, FIELD_PRIME - 2n, FIELD_PRIME)) % FIELD_PRIME;
+  }
+  let x = (slope * slope - P.x - Q.x) % FIELD_PRIME;
+  x = (x + 2n * FIELD_PRIME) % FIELD_PRIME;
+  let y = (slope * (P.x - x) - P.y) % FIELD_PRIME;
+  y = (y + FIELD_PRIME) % FIELD_PRIME;
+  return { x, y };
+}
+
+/**
+ * An HDKey is one node in a BIP32 hierarchical deterministic key tree.  Each
+ * node holds a secp256k1 private key and a chain code, and any child node can
+ * be re-derived directly from its parent and an index.  This lets a wallet
+ * find its Nth address without generating the N-1 addresses before it.
+ */
+module.exports = class HDKey {
+  static get HARDENED_OFFSET() { return HARDENED_OFFSET; }
+
+  /**
+   * Creates the master node of a key tree from a seed, such as the
+   * seed produced from a BIP39 mnemonic.
+   *
+   * @param {Buffer | String} seed - The seed, either as a buffer or a hex string.
+   *
+   * @returns {HDKey} - The master node of the tree.
+   */
+  static fromSeed(seed) {
+    if (typeof seed === 'string') seed = Buffer.from(seed, 'hex');
+    let I = crypto.createHmac('sha512', MASTER_SECRET).update(seed).digest();
+    return new HDKey({
+      privateKey: I.slice(0, 32),
+      chainCode: I.slice(32),
+    });
+  }
+
+  /**
+   * Reads a serialized extended public key ("xpub").  The resulting node
+   * has no private key, so only its non-hardened children can be derived.
+   *
+   * @param {String} xpub - The extended public key in Base58Check form.
+   *
+   * @returns {HDKey} - A public-only node.
+   */
+  static fromExtendedKey(xpub) {
+    let buf = base58.decodeCheck(xpub);
+    if (buf.length !== 78 || buf.readUInt32BE(0) !== XPUB_VERSION) {
+      throw new Error("Not a serialized extended public key.");
+    }
+    return new HDKey({
+      publicKey: buf.slice(45, 78),
+      chainCode: buf.slice(13, 45),
+      depth: buf[4],
+      parentFingerprint: buf.readUInt32BE(5),
+      index: buf.readUInt32BE(9),
+    });
+  }
+
+  /**
+   * Converts a path segment such as "44'" or "0" to a child index.
+   *
+   * @param {String} segment - One segment of a derivation path.
+   *
+   * @returns {Number} - The child index, including the hardened offset if needed.
+   */
+  static parseIndex(segment) {
+    let hardened = segment.endsWith("'") || segment.endsWith("h");
+    let digits = hardened ? segment.slice(0, -1) : segment;
+    if (!/^\d+$/.test(digits)) {
+      throw new Error(`Invalid derivation path segment "${segment}".`);
+    }
+    let index = parseInt(digits, 10);
+    if (index >= HARDENED_OFFSET) {
+      throw new Error(`Derivation index ${index} is out of range.`);
+    }
+    return hardened ? index + HARDENED_OFFSET : index;
+  }
+
+  /**
+   * @constructor
+   * @param {Object} obj - The key material for the node.
+   * @param {Buffer} [obj.privateKey] - The 32-byte secp256k1 private key.
+   * @param {Buffer} [obj.publicKey] - The compressed public key, for nodes without a private key.
+   * @param {Buffer} obj.chainCode - The 32-byte chain code.
+   * @param {Number} [obj.depth] - Distance from the master node.
+   * @param {Number} [obj.index] - The index used to derive this node from its parent.
+   * @param {Number} [obj.parentFingerprint] - The fingerprint of the parent node.
+   */
+  constructor({privateKey=null, publicKey, chainCode, depth=0, index=0, parentFingerprint=0}) {
+    this.privateKey = privateKey;
+    this._publicKey = publicKey;
+    this.chainCode = chainCode;
+    this.depth = depth;
+    this.index = index;
+    this.parentFingerprint = parentFingerprint;
+  }
+
+  /**
+   * The compressed secp256k1 public key for this node.
+   */
+  get publicKey() {
+    if (!this._publicKey) {
+      let ecdh = crypto.createECDH('secp256k1');
+      ecdh.setPrivateKey(this.privateKey);
+      this._publicKey = ecdh.getPublicKey(null, 'compressed');
+    }
+    return this._publicKey;
+  }
+
+  /**
+   * The first 4 bytes of the HASH160 of the public key, used to
+   * identify the parent of a node.
+   */
+  get fingerprint() {
+    let sha = crypto.createHash('sha256').update(this.publicKey).digest();
+    let h160 = crypto.createHash('ripemd160').update(sha).digest();
+    return h160.readUInt32BE(0);
+  }
+
+  /**
+   * Serializes the public half of this node as an extended public key
+   * ("xpub").  Anyone holding it can derive the node's non-hardened
+   * descendants' public keys, but none of the private keys.
+   *
+   * @returns {String} - The extended public key in Base58Check form.
+   */
+  toExtendedPublicKey() {
+    let buf = Buffer.alloc(78);
+    buf.writeUInt32BE(XPUB_VERSION, 0);
+    buf[4] = this.depth;
+    buf.writeUInt32BE(this.parentFingerprint, 5);
+    buf.writeUInt32BE(this.index, 9);
+    this.chainCode.copy(buf, 13);
+    this.publicKey.copy(buf, 45);
+    return base58.encodeCheck(buf);
+  }
+
+  /**
+   * Derives a single child node.  Nodes without a private key can only
+   * derive non-hardened children, and the children have no private key.
+   *
+   * @param {Number} index - Index of the child.  Values of HARDENED_OFFSET
+   *    or more produce hardened children.
+   *
+   * @returns {HDKey} - The child node.
+   */
+  deriveChild(index) {
+    let indexBuf = Buffer.alloc(4);
+    indexBuf.writeUInt32BE(index, 0);
+
+    let data;
+    if (index >= HARDENED_OFFSET) {
+      if (!this.privateKey) {
+        throw new Error("Hardened children cannot be derived from a public key.");
+      }
+      data = Buffer.concat([Buffer.alloc(1), this.privateKey, indexBuf]);
+    } else {
+      data = Buffer.concat([this.publicKey, indexBuf]);
+    }
+
+    let I = crypto.createHmac('sha512', this.chainCode).update(data).digest();
+    let IL = toBigInt(I.slice(0, 32));
+
+    // BIP32 says to skip to the next index in these cases, which happen
+    // with a probability of less than 1 in 2^127.
+    if (IL >= CURVE_ORDER || IL === 0n) {
+      throw new Error(`Invalid child key at index ${index}; use the next index.`);
+    }
+
+    let child = {
+      chainCode: I.slice(32),
+      depth: this.depth + 1,
+      index: index,
+      parentFingerprint: this.fingerprint,
+    };
+
+    if (this.privateKey) {
+      let k = (IL + toBigInt(this.privateKey)) % CURVE_ORDER;
+      if (k === 0n) {
+        throw new Error(`Invalid child key at index ${index}; use the next index.`);
+      }
+      child.privateKey = toBuffer32(k);
+    } else {
+      // The child's public key is IL*G plus the parent's public key.
+      let ecdh = crypto.createECDH('secp256k1');
+      ecdh.setPrivateKey(I.slice(0, 32));
+      let point = addPoints(decodePoint(ecdh.getPublicKey()), decodePoint(this.publicKey));
+      child.publicKey = encodePoint(point);
+    }
+
+    return new HDKey(child);
+  }
+
+  /**
+   * Returns a copy of this node without its private key.
+   *
+   * @returns {HDKey} - A public-only node.
+   */
+  neutered() {
+    return new HDKey({
+      publicKey: this.publicKey,
+      chainCode: this.chainCode,
+      depth: this.depth,
+      index: this.index,
+      parentFingerprint: this.parentFingerprint,
+    });
+  }
+
+  /**
+   * Derives a descendant node from a path such as "m/44'/1'/0'/0/3".
+   * Paths must start from the master node, so this method should
+   * normally be called on the master node.
+   *
+   * @param {String} path - The derivation path.
+   *
+   * @returns {HDKey} - The node at the end of the path.
+   */
+  derive(path) {
+    let segments = path.split('/');
+    if (segments[0] !== 'm') {
+      throw new Error(`Derivation path "${path}" must start with "m".`);
+    }
+    return segments.slice(1).reduce(
+      (node, segment) => node.deriveChild(HDKey.parseIndex(segment)),
+      this);
+  }
+};
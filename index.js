@@ -4,17 +4,25 @@ const Blockchain = require('./blockchain.js');
 const Block = require('./block.js');
 const Client = require('./client.js');
 const Miner = require('./miner.js');
+const LightClient = require('./light-client.js');
 const Transaction = require('./transaction.js');
+const HDKey = require('./hdkey.js');
+const PartialTransaction = require('./partial-transaction.js');
 
 const FakeNet = require('./fake-net.js');
 const utils = require('./utils.js');
+const shamir = require('./shamir.js');
 
 module.exports = {
   Blockchain: Blockchain,
   Block: Block,
   Client: Client,
   Miner: Miner,
+  LightClient: LightClient,
   Transaction: Transaction,
+  HDKey: HDKey,
+  PartialTransaction: PartialTransaction,
   FakeNet: FakeNet,
   utils: utils,
+  shamir: shamir,
 };
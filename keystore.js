@@ -0,0 +1,226 @@
+"use strict";
+
+const crypto = require('crypto');
+const { writeFileSync } = require('fs');
+
+// Version of the wallet file format.  Bump this if the layout changes,
+// and keep decrypt able to read the older versions.
+const KEYSTORE_VERSION = 1;
+
+// Key derivation settings.  scrypt is the default; PBKDF2 is available for
+// environments where scrypt's memory requirements are a problem.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const PBKDF2_ITERATIONS = 262144;
+const PBKDF2_DIGEST = 'sha256';
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+
+// AES-GCM authenticates the ciphertext, so a wrong password is detected
+// rather than producing garbage.
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// Config fields that older versions used to store wallet secrets unencrypted.  The derivation
+// indexes are not secret, but belong with the mnemonic, so they move into the wallet with it.
+const PLAINTEXT_SECRETS = ['mnemonic', 'keyPair'];
+const PLAINTEXT_FIELDS = PLAINTEXT_SECRETS.concat('derivationIndexes');
+
+/**
+ * Derives the encryption key from a password, using the KDF settings
+ * stored in the wallet file.
+ *
+ * @param {String} password - The wallet password.
+ * @param {String} kdf - Either 'scrypt' or 'pbkdf2'.
+ * @param {Object} kdfParams - Parameters for the KDF, including the hex-encoded salt.
+ *
+ * @returns {Buffer} - The derived key.
+ */
+function deriveKey(password, kdf, kdfParams) {
+  let salt = Buffer.from(kdfParams.salt, 'hex');
+  switch (kdf) {
+    case 'scrypt':
+      return crypto.scryptSync(password, salt, kdfParams.keyLength, {
+        N: kdfParams.N,
+        r: kdfParams.r,
+        p: kdfParams.p,
+        maxmem: 256 * kdfParams.N * kdfParams.r,
+      });
+    case 'pbkdf2':
+      return crypto.pbkdf2Sync(password, salt, kdfParams.iterations, kdfParams.keyLength, kdfParams.digest);
+    default:
+      throw new Error(`Unsupported key derivation function "${kdf}".`);
+  }
+}
+
+/**
+ * Encrypts wallet details with a key derived from the password.
+ *
+ * @param {Object} data - The wallet details, such as the output of Client.exportWallet.
+ * @param {String} password - Password used to protect the wallet.
+ * @param {Object} [opts] - Options for the wallet file.
+ * @param {String} [opts.kdf] - Either 'scrypt' (the default) or 'pbkdf2'.
+ *
+ * @returns {Object} - The wallet file contents, safe to serialize to JSON.
+ */
+exports.encrypt = function(data, password, {kdf='scrypt'} = {}) {
+  if (!password) throw new Error("A password is required to encrypt the wallet.");
+
+  let kdfParams = { salt: crypto.randomBytes(SALT_LENGTH).toString('hex'), keyLength: KEY_LENGTH };
+  if (kdf === 'scrypt') {
+    Object.assign(kdfParams, SCRYPT_PARAMS);
+  } else {
+    Object.assign(kdfParams, { iterations: PBKDF2_ITERATIONS, digest: PBKDF2_DIGEST });
+  }
+
+  let key = deriveKey(password, kdf, kdfParams);
+  let iv = crypto.randomBytes(IV_LENGTH);
+  let cipher = crypto.createCipheriv(CIPHER, key, iv);
+  let ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    kdf: kdf,
+    kdfParams: kdfParams,
+    cipher: CIPHER,
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+  };
+};
+
+/**
+ * Decrypts a wallet file produced by encrypt.
+ *
+ * @param {Object} keystore - The wallet file contents.
+ * @param {String} password - Password used to protect the wallet.
+ *
+ * @returns {Object} - The wallet details.
+ */
+exports.decrypt = function(keystore, password) {
+  if (keystore.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported wallet file version ${keystore.version}.`);
+  }
+  if (keystore.cipher !== CIPHER) {
+    throw new Error(`Unsupported wallet cipher "${keystore.cipher}".`);
+  }
+
+  let key = deriveKey(password, keystore.kdf, keystore.kdfParams);
+  let decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(keystore.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(keystore.authTag, 'hex'));
+
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([
+      decipher.update(Buffer.from(keystore.ciphertext, 'hex')),
+      decipher.final(),
+    ]);
+  } catch (e) {
+    // GCM authentication fails for a wrong password or a tampered file alike.
+    throw new Error("Incorrect password, or the wallet file has been modified.");
+  }
+  return JSON.parse(plaintext.toString('utf8'));
+};
+
+/**
+ * Determines whether a config object holds an encrypted wallet.
+ *
+ * @param {Object} o - A parsed config or wallet file.
+ *
+ * @returns {Boolean} - True if the object looks like an encrypted wallet.
+ */
+exports.isKeystore = function(o) {
+  return !!o && typeof o === 'object' && o.version !== undefined && o.ciphertext !== undefined;
+};
+
+/**
+ * Adds the key pair that older configs held in the clear to the wallet as an imported key,
+ * so that its funds are not lost.
+ *
+ * @param {Object} config - The parsed config.
+ * @param {Object} walletState - The wallet details.
+ *
+ * @returns {Object} - The wallet details, with the config's key pair among the imported keys.
+ */
+exports.importConfigKeyPair = function(config, walletState) {
+  let importedKeys = walletState.importedKeys || [];
+  if (config.keyPair && !importedKeys.some((keyPair) => keyPair.public === config.keyPair.public)) {
+    walletState = Object.assign({}, walletState, { importedKeys: importedKeys.concat(config.keyPair) });
+  }
+  return walletState;
+};
+
+/**
+ * Replaces the plaintext secrets of a config with an encrypted wallet.  Older configs held the
+ * mnemonic, and sometimes a key pair, in the clear.  A key pair is kept as an imported key of
+ * the wallet; see importConfigKeyPair.
+ *
+ * @param {Object} config - The parsed config.
+ * @param {Object} walletState - The wallet details to encrypt, such as the output of Client.exportWallet.
+ * @param {String} password - Password used to protect the wallet.
+ *
+ * @returns {Object} - A copy of the config, holding the wallet encrypted and no plaintext secrets.
+ */
+exports.encryptConfig = function(config, walletState, password) {
+  walletState = exports.importConfigKeyPair(config, walletState);
+  let encrypted = Object.assign({}, config, { wallet: exports.encrypt(walletState, password) });
+  PLAINTEXT_FIELDS.forEach((field) => delete encrypted[field]);
+  return encrypted;
+};
+
+/**
+ * Determines whether a config holds any wallet secrets in plaintext.
+ *
+ * @param {Object} config - The parsed config.
+ *
+ * @returns {Boolean} - True if the config must be encrypted before it is used.
+ */
+exports.hasPlaintextSecrets = function(config) {
+  return PLAINTEXT_SECRETS.some((field) => config[field] !== undefined);
+};
+
+/**
+ * Asks for a password on the command line without echoing what is typed.
+ *
+ * @param {readline.Interface} rl - The interface to ask with.
+ * @param {String} query - The prompt to show.
+ * @param {Function} callback - Called with the password.
+ */
+exports.askPassword = function(rl, query, callback) {
+  // In a terminal, readline echoes each keystroke through _writeToOutput.  Only the prompt and
+  // the end of the line are let through while the password is typed.
+  let writeToOutput = rl._writeToOutput;
+  rl._writeToOutput = function(s) {
+    if (s.startsWith(query)) {
+      writeToOutput.call(rl, query);
+    } else if (s === '\r\n' || s === '\n') {
+      writeToOutput.call(rl, s);
+    }
+  };
+  rl.question(query, (password) => {
+    rl._writeToOutput = writeToOutput;
+    callback(password);
+  });
+};
+
+/**
+ * Encrypts a config that still holds its wallet in plaintext, asking for a new password and
+ * writing the encrypted config over the old file, so the secrets do not stay on disk.
+ *
+ * @param {readline.Interface} rl - The interface to ask for the password with.
+ * @param {String} fileName - Path of the config file.
+ * @param {Object} config - The parsed config.
+ * @param {Object} walletState - The wallet details to encrypt.
+ * @param {Function} callback - Called once the file is written, with the new password and the wallet
+ *    details as encrypted, including any key pair from the config.
+ */
+exports.migrateConfig = function(rl, fileName, config, walletState, callback) {
+  console.log(`***${fileName} holds the wallet in plaintext.  Choose a password to encrypt it.`);
+  exports.askPassword(rl, `  new wallet password: `, (password) => {
+    if (password === "") {
+      console.log(`***A password is required to encrypt the wallet.`);
+      return exports.migrateConfig(rl, fileName, config, walletState, callback);
+    }
+    writeFileSync(fileName, JSON.stringify(exports.encryptConfig(config, walletState, password)));
+    callback(password, exports.importConfigKeyPair(config, walletState));
+  });
+};
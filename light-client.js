@@ -0,0 +1,310 @@
+"use strict";
+
+let Blockchain = require('./blockchain.js');
+let Block = require('./block.js');
+let Client = require('./client.js');
+
+// When asking for headers, this many of the latest blocks are listed one by one.
+// Older blocks are listed with gaps that double each time, back to the genesis block.
+const LOCATOR_DENSE_BLOCKS = 10;
+
+/**
+ * ADDITIONAL IMPLEMENTATION:
+ *
+ * A light client, for wallets that cannot download and rerun every block.  It keeps only block headers,
+ * checking their proofs of work and that each one follows the one before.  Full nodes prove each payment
+ * to or from the wallet with a Merkle proof against the header of the block it is in, and the balances of
+ * the wallet's addresses are worked out from these payments alone.  Confirmations come from the depth of
+ * the headers, as for a full client.
+ *
+ * Full nodes could leave payments out, and learn which addresses belong to the wallet, so a light client
+ * trusts them more than a full client does.  Block rewards are not tracked, so a light client cannot mine.
+ */
+module.exports = class LightClient extends Client {
+
+  /**
+   * Takes the same properties as a Client, listening for the headers and proofs
+   * sent by full nodes as well.
+   *
+   * @constructor
+   * @param {Object} obj - The properties of the client; see Client.
+   */
+  constructor(obj) {
+    super(obj);
+
+    // IDs of the blocks whose proofs have been received.
+    this.provenBlocks = new Set();
+
+    // The wallet addresses asked about for each block, by block ID; see requestProofs.
+    this.proofRequests = new Map();
+
+    // The last block whose balances were worked out; see updateBalances.
+    this.balancesHead = undefined;
+
+    this.on(Blockchain.HEADERS, this.receiveHeaders);
+    this.on(Blockchain.MERKLE_PROOFS, this.receiveProofs);
+  }
+
+  /**
+   * Catches up with the blocks found before the light client joined the network.
+   */
+  initialize() {
+    this.requestHeaders();
+  }
+
+  /**
+   * Accepts the header of a block, which may be sent as a whole block.  The header must have a valid
+   * proof against the expected target, and follow a header we already have.  If it does not, the missing headers are asked for.
+   *
+   * The block's balances start as those of the previous block, until the proofs for the block arrive.
+   *
+   * @param {Block | Object} o - The block header.
+   *
+   * @returns {Block | null} The block holding the header, or null if it was not accepted.
+   */
+  receiveBlock(o) {
+    let lastBlock = this.lastBlock;
+    let block = this.addHeader(o);
+    if (block === null) return null;
+
+    this.requestProofs([block]);
+    if (this.lastBlock !== lastBlock) {
+      this.updateBalances();
+      this.setLastConfirmed();
+    }
+
+    return block;
+  }
+
+  /**
+   * Checks a header and adds it to the chain, as described for receiveBlock, but leaves
+   * updating the balances and asking for proofs to the caller, so that a batch of headers
+   * costs a single update.
+   *
+   * @param {Block | Object} o - The block header.
+   *
+   * @returns {Block | null} The block holding the header, or null if it was not accepted.
+   */
+  addHeader(o) {
+    let block = Blockchain.deserializeHeader(o);
+
+    // The genesis block is set up when the light client is created, and never replaced.
+    if (block.isGenesisBlock() || this.blocks.has(block.id)) return null;
+
+    if (!block.hasValidProof()) {
+      this.log(`Block ${block.id} does not have a valid proof.`);
+      return null;
+    }
+
+    let prevBlock = this.blocks.get(block.prevBlockHash);
+    if (prevBlock === undefined) {
+      this.requestHeaders();
+      return null;
+    }
+    if (block.chainLength !== prevBlock.chainLength + 1) {
+      this.log(`Block ${block.id} claims a height of ${block.chainLength} after block ${prevBlock.chainLength}.`);
+      return null;
+    }
+    try {
+      block.checkTimestamp(prevBlock);
+    } catch (e) {
+      this.log(`Rejecting block: ${e.message}`);
+      return null;
+    }
+    let reward = Blockchain.coinbaseRewardAt(block.chainLength);
+    if (block.coinbaseReward !== reward) {
+      this.log(`Block ${block.id} pays a coinbase reward of ${block.coinbaseReward}, instead of ${reward}.`);
+      return null;
+    }
+    if (block.target !== Blockchain.expectedTarget(prevBlock, this.blocks)) {
+      this.log(`Block ${block.id} does not have the expected proof-of-work target.`);
+      return null;
+    }
+
+    block.balances = new Map(prevBlock.balances);
+    block.chainWork = prevBlock.chainWork + block.work();
+    block.prevTimestamps = prevBlock.recentTimestamps();
+    this.blocks.set(block.id, block);
+
+    if (block.isHeavierThan(this.lastBlock)) this.lastBlock = block;
+
+    return block;
+  }
+
+  /**
+   * Accepts headers sent by a full node in answer to requestHeaders, oldest first.  Headers
+   * that do not follow on from our chain are ignored, rather than asked for again.  The proofs
+   * for the new blocks are asked for together, and the balances are updated once for the batch.
+   *
+   * @param {Object} msg - The headers.
+   * @param {Array} msg.headers - Block headers, each following the one before.
+   */
+  receiveHeaders({headers}) {
+    if (!Array.isArray(headers) || headers.length === 0 || !this.blocks.has(headers[0].prevBlockHash)) {
+      this.log(`Ignoring headers that do not connect to our chain.`);
+      return;
+    }
+    let lastBlock = this.lastBlock;
+    let blocks = headers.map((header) => this.addHeader(header)).filter((block) => block !== null);
+
+    if (blocks.length > 0) this.requestProofs(blocks);
+    if (this.lastBlock !== lastBlock) {
+      this.updateBalances();
+      this.setLastConfirmed();
+    }
+  }
+
+  /**
+   * Accepts the transactions in blocks that involve the wallet, sent by a full node in answer
+   * to requestProofs.  The reply must say that it covers every address that was asked about, and
+   * the transactions of a block are only accepted if every proof matches the Merkle root of the
+   * block's header.  Proofs cannot show that nothing was left out, so a later answer replaces an
+   * earlier one if it proves more transactions, and a node sending too few cannot lock out an
+   * honest one.  The balances are updated once for all of the blocks.
+   *
+   * @param {Object} msg - The proofs.
+   * @param {Array} msg.addresses - The addresses that the full node looked for.
+   * @param {Array} msg.blocks - For each block, its ID as blockId and, as proofs, the transactions
+   *      in the order of the block, each with its Merkle proof.
+   */
+  receiveProofs({addresses, blocks}) {
+    if (!Array.isArray(addresses) || !Array.isArray(blocks)) {
+      this.log(`Ignoring a malformed reply with proofs.`);
+      return;
+    }
+    let covered = new Set(addresses);
+    let updated = false;
+    blocks.forEach((reply) => {
+      if (this.acceptProofs(reply, covered)) updated = true;
+    });
+
+    if (updated) {
+      this.updateBalances();
+      this.setLastConfirmed();
+    }
+  }
+
+  /**
+   * Checks the proofs sent for one block, as described for receiveProofs, and stores the
+   * block's transactions if they are accepted.
+   *
+   * @param {Object} reply - The proofs for the block.
+   * @param {String} reply.blockId - ID of the block.
+   * @param {Array} reply.proofs - The transactions, each with its Merkle proof.
+   * @param {Set} covered - The addresses that the full node looked for.
+   *
+   * @returns {Boolean} - True if the block's transactions were replaced.
+   */
+  acceptProofs(reply, covered) {
+    let {blockId, proofs} = reply || {};
+    let block = this.blocks.get(blockId);
+    let asked = this.proofRequests.get(blockId);
+    if (block === undefined || asked === undefined) return false;
+
+    if (!Array.isArray(proofs) || proofs.some((p) => !p || !Array.isArray(p.proof))) {
+      this.log(`Ignoring malformed proofs for block ${blockId}.`);
+      return false;
+    }
+    if (asked.some((address) => !covered.has(address))) {
+      this.log(`Proofs for block ${blockId} do not cover every address asked about.`);
+      return false;
+    }
+
+    let txs;
+    try {
+      txs = new Map(proofs.map(({tx, proof}) => {
+        tx = Blockchain.makeTransaction(tx);
+        if (!Block.verifyMerkleProof(tx.id, proof, block.merkleRoot)) throw new Error(`Invalid Merkle proof.`);
+        return [tx.id, tx];
+      }));
+    } catch (e) {
+      this.log(`Invalid proofs for block ${blockId}: ${e.message}`);
+      return false;
+    }
+
+    if (this.provenBlocks.has(blockId) && txs.size <= block.transactions.size) return false;
+    block.transactions = txs;
+    this.provenBlocks.add(blockId);
+    this.rewindTransactionHistory(block.chainLength);
+    this.rewindBalances(block.chainLength);
+    return true;
+  }
+
+  /**
+   * Asks full nodes for the headers we are missing.
+   */
+  requestHeaders() {
+    this.net.broadcast(Blockchain.GET_HEADERS, {from: this.address, locator: this.blockLocator()});
+  }
+
+  /**
+   * Asks full nodes for the transactions in some blocks that involve the wallet's addresses.
+   *
+   * @param {Array} blocks - The blocks.
+   */
+  requestProofs(blocks) {
+    let addresses = this.wallet.map(({address}) => address);
+    blocks.forEach((block) => this.proofRequests.set(block.id, addresses));
+    this.net.broadcast(Blockchain.GET_PROOFS, {
+      from: this.address,
+      blockIds: blocks.map((block) => block.id),
+      addresses: addresses,
+    });
+  }
+
+  /**
+   * Lists blocks of the current chain, so that a full node can find where its chain and ours part.
+   *
+   * @returns {Array} - IDs of blocks in the current chain, latest first, ending with the genesis block.
+   */
+  blockLocator() {
+    let chainBlocks = this.getChainBlocks();
+    let locator = [];
+    let step = 1;
+    for (let i = chainBlocks.length - 1; i > 0; i -= step) {
+      locator.push(chainBlocks[i].id);
+      if (locator.length >= LOCATOR_DENSE_BLOCKS) step *= 2;
+    }
+    locator.push(chainBlocks[0].id);
+    return locator;
+  }
+
+  /**
+   * Works out the balances of the blocks in the current chain from the proven transactions.  Only the
+   * blocks after the point where the current chain parts from the one last worked out are looked at, each
+   * starting from the balances of the block before it.  Blocks whose proofs have not arrived yet are treated
+   * as holding no transactions for the wallet.
+   */
+  updateBalances() {
+    let {newBlocks} = this.blocksSinceFork(this.balancesHead);
+    this.balancesHead = this.lastBlock;
+
+    newBlocks.forEach((block) => {
+      if (block.isGenesisBlock()) return;
+      block.balances = new Map(this.blocks.get(block.prevBlockHash).balances);
+      // As in Block.addTransaction, spending empties the input addresses.
+      block.transactions.forEach((tx) => {
+        tx.from.forEach((address) => block.balances.delete(address));
+        tx.outputs.forEach(({amount, address}) => block.balances.set(address, block.balanceOf(address) + amount));
+      });
+    });
+  }
+
+  /**
+   * Makes the next updateBalances work out the balances of the chain from the given height on again,
+   * for when the proven transactions of a block change.
+   *
+   * @param {Number} height - The height of the first block to work out again.
+   */
+  rewindBalances(height) {
+    while (this.balancesHead !== undefined && this.balancesHead.chainLength >= height) {
+      this.balancesHead = this.blocks.get(this.balancesHead.prevBlockHash);
+    }
+  }
+
+  /**
+   * A light client only has the headers of blocks, so it cannot provide missing blocks.
+   */
+  provideMissingBlock() {
+  }
+};
@@ -21,12 +21,18 @@ module.exports = class Miner extends Client {
    * @param {Block} [startingBlock] - The most recently ALREADY ACCEPTED block.
    * @param {Object} [obj.keyPair] - The public private keypair for the client.
    * @param {String} [obj.mnemonic] - The mnemonic used to generate the user's keys
+   * @param {Number} [obj.account] - The BIP44 account used for all derived addresses.
+   * @param {Object} [obj.derivationIndexes] - The next index to use on each chain.
+   * @param {Object} [obj.labels] - Map of addresses to user-friendly labels.
+   * @param {Array} [obj.importedKeys] - Keypairs that were not derived from the mnemonic.
+   * @param {String} [obj.keyType] - Type of the keys derived for the wallet; see Client.
+   * @param {Array} [obj.multisig] - Scripts of the multisignature addresses tracked by the wallet.
    * @param {Number} [miningRounds] - The number of rounds a miner mines before checking
    *      for messages.  (In single-threaded mode with FakeNet, this parameter can
    *      simulate miners with more or less mining power.)
    */
-  constructor({name, password, net, startingBlock, keyPair, mnemonic, miningRounds=Blockchain.NUM_ROUNDS_MINING} = {}) {
-    super({name, password, net, startingBlock, keyPair, mnemonic});
+  constructor({name, password, net, startingBlock, keyPair, mnemonic, account, derivationIndexes, labels, importedKeys, keyType, multisig, miningRounds=Blockchain.NUM_ROUNDS_MINING} = {}) {
+    super({name, password, net, startingBlock, keyPair, mnemonic, account, derivationIndexes, labels, importedKeys, keyType, multisig});
     this.miningRounds=miningRounds;
 
     // Set of transactions to be added to the next block.
@@ -37,12 +43,15 @@ module.exports = class Miner extends Client {
    * Starts listeners and begins mining.
    * 
    * ADDITIONAL IMPLEMENTATION: Added a delay of 5000 ms to reduce/eliminate likelihood of race condition
+   * Miners also serve light clients the block headers and Merkle proofs they ask for.
    */
   initialize() {
     this.startNewSearch();
 
     this.on(Blockchain.START_MINING, this.findProof);
     this.on(Blockchain.POST_TRANSACTION, this.addTransaction);
+    this.on(Blockchain.GET_HEADERS, this.provideHeaders);
+    this.on(Blockchain.GET_PROOFS, this.provideProofs);
     
     // Set timeout here to prevent race condition
     setTimeout(() => this.emit(Blockchain.START_MINING), 5000);
@@ -51,29 +60,33 @@ module.exports = class Miner extends Client {
   /**
    * Sets up the miner to start searching for a new block.
    * 
-   * ADDITIONAL IMPLEMENTATION: Add UTXO model by forcing a new address to be generated after they find a reward
+   * ADDITIONAL IMPLEMENTATION: Add UTXO model by forcing a new address to be generated after they find a reward.
+   * Reward addresses are derived on their own chain, so the miner's receiving address is left alone.
    * 
    * @param {Set} [txSet] - Transactions the miner has that have not been accepted yet.
    */
   startNewSearch(txSet=new Set()) {
-    let rewardAddr = this.lastBlock.rewardAddr
+    let rewardAddr = this.lastBlock.rewardAddr;
 
-    // If the miner's address matches the rewarded address of the last block, we can continue we the checks
-    if (this.address === rewardAddr || this.lastBlock.balanceOf(this.addr) !== 0) {
-        this.generateAddress();
+    // If the reward address was already paid, or is about to be by the last block, we need a fresh one
+    if (this.rewardAddress === undefined || this.rewardAddress === rewardAddr || this.lastBlock.balanceOf(this.rewardAddress) !== 0) {
+        this.rewardAddress = this.generateAddress(Client.REWARD_CHAIN);
     }
-    this.currentBlock = Blockchain.makeBlock(this.address, this.lastBlock);
+    let target = Blockchain.expectedTarget(this.lastBlock, this.blocks);
+    this.currentBlock = Blockchain.makeBlock(this.rewardAddress, this.lastBlock, target);
 
     // Merging txSet into the transaction queue.
     // These transactions may include transactions not already included
     // by a recently received block, but that the miner is aware of.
     txSet.forEach((tx) => this.transactions.add(tx));
 
-    // Add queued-up transactions to block.
+    // Add queued-up transactions to block.  Locked transactions with a valid signature
+    // stay in the queue until a block can include them.
     this.transactions.forEach((tx) => {
+      if (!tx.isUnlocked(this.currentBlock) && tx.validSignature()) return;
       this.currentBlock.addTransaction(tx, this);
+      this.transactions.delete(tx);
     });
-    this.transactions.clear();
 
     // Start looking for a proof at 0.
     this.currentBlock.proof = 0;
@@ -116,7 +129,7 @@ module.exports = class Miner extends Client {
 
   /**
    * Receives a block from another miner. If it is valid,
-   * the block will be stored. If it is also a longer chain,
+   * the block will be stored. If it is also a heavier chain,
    * the miner will accept it and replace the currentBlock.
    * 
    * @param {Block | Object} b - The block
@@ -126,8 +139,9 @@ module.exports = class Miner extends Client {
 
     if (b === null) return null;
 
-    // We switch over to the new chain only if it is better.
-    if (this.currentBlock && b.chainLength >= this.currentBlock.chainLength) {
+    // We switch over to the new chain only if it is better, which the client has
+    // already decided; the better chain may be shorter than the one we were on.
+    if (this.currentBlock && b === this.lastBlock) {
       this.log(`cutting over to new chain.`);
       let txSet = this.syncTransactions(b);
       this.startNewSearch(txSet);
@@ -159,6 +173,12 @@ module.exports = class Miner extends Client {
       nb = this.blocks.get(nb.prevBlockHash);
     }
 
+    // A heavier chain may also be shorter, so the old chain may need rolling back as well.
+    while (cb.chainLength > nb.chainLength) {
+      cb.transactions.forEach((tx) => cbTxs.add(tx));
+      cb = this.blocks.get(cb.prevBlockHash);
+    }
+
     // Step back in sync until we hit the common ancestor.
     while (cb && cb.id !== nb.id) {
       // Store any transactions in the two chains.
@@ -179,24 +199,98 @@ module.exports = class Miner extends Client {
    * Returns false if transaction is not accepted. Otherwise stores
    * the transaction to be added to the next block.
    * 
+   * ADDITIONAL IMPLEMENTATION: A transaction spending an input of a transaction that the miner already
+   * holds, either queued or in the block being mined, is a replacement.  It is accepted only under the
+   * policy of acceptsReplacement, and the transactions it conflicts with are dropped.  If one of them was
+   * in the block being mined, the search starts over with a new block.  Transactions that are still locked
+   * wait in the queue without conflicting with anything, since whichever is unlocked first spends the inputs.
+   * Transactions paying less than Blockchain.minimumFee for their size are refused, so they are neither
+   * queued nor mined.
+   * 
    * @param {Transaction | String} tx - The transaction to add.
+   * 
+   * @returns {Boolean} - True if the transaction was accepted.
    */
   addTransaction(tx) {
     tx = Blockchain.makeTransaction(tx);
+
+    let blockTxs = this.currentBlock ? [...this.currentBlock.transactions.values()] : [];
+    let held = [...this.transactions, ...blockTxs];
+    if (held.some((other) => other.id === tx.id)) return false;
+
+    let minFee = Blockchain.minimumFee(tx);
+    if (tx.fee < minFee) {
+      this.log(`Refusing ${tx.id}: fee ${tx.fee} is below the minimum of ${minFee} for ${tx.size()} bytes.`);
+      return false;
+    }
+
+    let unlocked = (t) => !this.currentBlock || t.isUnlocked(this.currentBlock);
+    let conflicts = !unlocked(tx) ? [] : held.filter((other) =>
+      unlocked(other) && other.from.some((address) => tx.from.includes(address)));
+    if (conflicts.length > 0) {
+      if (!this.acceptsReplacement(tx, conflicts)) return false;
+      this.log(`Replacing ${conflicts.map(({id}) => id).join(', ')} with ${tx.id}.`);
+      conflicts.forEach((other) => this.transactions.delete(other));
+    }
     this.transactions.add(tx);
+
+    if (conflicts.some((other) => blockTxs.includes(other))) {
+      this.startNewSearch(new Set(blockTxs.filter((other) => !conflicts.includes(other))));
+    }
+    return true;
   }
 
   /**
-   * When a miner posts a transaction, it must also add it to its current list of transactions.
-   *
-   * @param  {...any} args - Arguments needed for Client.postTransaction.
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Sends a light client the headers of the blocks in our chain that it does not have.  The light client
+   * lists some of the blocks in its own chain, and the headers sent follow the latest of them that is also in
+   * ours.  If none is, all of our headers after the genesis block are sent.
+   * 
+   * @param {Object} msg - Request for headers.
+   * @param {String} msg.from - Address of the light client.
+   * @param {Array} msg.locator - IDs of blocks in the light client's chain; see LightClient.blockLocator.
    */
-  postTransaction(...args) {
-    let tx = super.postTransaction(...args);
-    return this.addTransaction(tx);
+  provideHeaders({from, locator}) {
+    let known = new Set(locator);
+    let headers = [];
+    for (let block = this.lastBlock; !block.isGenesisBlock() && !known.has(block.id);
+        block = this.blocks.get(block.prevBlockHash)) {
+      headers.unshift(block.header());
+    }
+    if (headers.length > 0) {
+      this.log(`Providing ${headers.length} headers to ${from}`);
+      this.net.sendMessage(from, Blockchain.HEADERS, {headers});
+    }
   }
 
-  get confirmedBalance() {
-    return this.getConfirmedBalance();
-}
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * 
+   * Sends a light client the transactions in some blocks that spend from or pay any of the given addresses,
+   * each with the Merkle proof that it is in its block.  The reply lists the addresses looked for, and
+   * leaves out the blocks we do not have.
+   * 
+   * @param {Object} msg - Request for proofs.
+   * @param {String} msg.from - Address of the light client.
+   * @param {Array} msg.blockIds - IDs of the blocks.
+   * @param {Array} msg.addresses - The light client's addresses.
+   */
+  provideProofs({from, blockIds, addresses}) {
+    if (!Array.isArray(blockIds) || !Array.isArray(addresses)) return;
+    let watched = new Set(addresses);
+    let blocks = [];
+    blockIds.forEach((blockId) => {
+      let block = this.blocks.get(blockId);
+      if (block === undefined) return;
+      let proofs = [];
+      block.transactions.forEach((tx, txID) => {
+        if (tx.from.some((address) => watched.has(address)) || tx.outputs.some(({address}) => watched.has(address))) {
+          proofs.push({tx, proof: block.merkleProof(txID)});
+        }
+      });
+      blocks.push({blockId, proofs});
+    });
+    if (blocks.length > 0) this.net.sendMessage(from, Blockchain.MERKLE_PROOFS, {addresses, blocks});
+  }
 };
@@ -6,13 +6,24 @@ const bip39 = require('bip39');
 
 
 const HASH_ALG = 'sha256';
-const NUM_BYTES = 32;
+
+// Entropy sizes allowed by BIP39, in bits.  Each 32 bits of entropy adds
+// one checksum bit, and every 11 bits of entropy plus checksum is one word,
+// giving 12, 15, 18, 21 or 24 words.
+const VALID_STRENGTHS = [128, 160, 192, 224, 256];
+const DEFAULT_STRENGTH = 256;
+const BITS_PER_WORD = 11;
 
 const SALT_BASE = "mnemonic";
 const NUM_PBKDF2_ROUNDS = 2048;
 const KEY_LENGTH = 64; // 64 bytes = 512 bits
 const PBKDF2_DIGEST = 'sha512'; // Should be 'hmac-sha512'
 
+// BIP39 text is compared in Unicode normalization form NFKD.
+function normalize(s) {
+  return (s || "").normalize('NFKD');
+}
+
 class Mnemonic {
 
   // Converts a byte to a string of zeroes and ones.
@@ -32,12 +43,11 @@ class Mnemonic {
 
   // Converts a string of zeroes and ones to a byte
   static convertBinStringToByte(bs) {
-   
-	return parseInt(bs,2);
-	
+    return parseInt(bs,2);
   }
 
-  // Takes a buffer and returns an array of 11-bit unsigned ints
+  // Takes a buffer and returns an array of 11-bit unsigned ints.
+  // Any bits left over at the end are dropped.
   static split(seq) {
     // convert seq to binary string
     let bitString = '';
@@ -78,25 +88,67 @@ class Mnemonic {
     return bs;
   }
 
+  // Looks up one of the bip39 wordlists by name ("english", "spanish", "japanese", ...),
+  // or checks a wordlist given as an array.
+  static getWordlist(wordlist) {
+    if (typeof wordlist === 'string') {
+      if (!bip39.wordlists[wordlist]) {
+        throw new Error(`Unknown wordlist "${wordlist}".`);
+      }
+      return bip39.wordlists[wordlist];
+    }
+    if (!Array.isArray(wordlist) || wordlist.length !== 2048) {
+      throw new Error("A wordlist must hold exactly 2048 words.");
+    }
+    return wordlist;
+  }
 
-  // Loads a wordlist file and creates a random sequence
-  // to generate the mnemonic words.
-  constructor() {
-    
-    this.wordlist = bip39.wordlists.english;
+  // Parses and checks a phrase, throwing an error that says what is wrong with it:
+  // the number of words, a word that is not in the wordlist, or the checksum.
+  static validate(words, wordlist='english') {
+    let mnemonic = new Mnemonic({ words, wordlist });
+    if (!mnemonic.isValid()) {
+      throw new Error("Invalid mnemonic: checksum mismatch.");
+    }
+    return mnemonic;
+  }
 
-    // New mnemonic.
-    
-     // Creating the sequence, with an extra byte for the checksum.
-    this.seq = Buffer.alloc(NUM_BYTES + 1);
+  // Creates a mnemonic from the given words or entropy, or else from a new
+  // random sequence of the given strength (in bits).  With no arguments, a
+  // random 24-word mnemonic is created from the English wordlist.
+  //
+  // The sequence holds the entropy, followed by one extra byte for the checksum.
+  // The checksum bits are stored in the high bits of that byte.
+  constructor({ words, entropy, strength=DEFAULT_STRENGTH, wordlist='english' } = {}) {
+    this.wordlist = this.constructor.getWordlist(wordlist);
+
+    if (words !== undefined) {
+      this.calculateSequence(words);
+      return;
+    }
 
-	  crypto.randomFillSync(this.seq); 
-	  
-	  this.seq.writeUInt8(this.calcChecksum(), NUM_BYTES);
-	
-	 
-     
+    if (entropy !== undefined) {
+      if (typeof entropy === 'string') entropy = Buffer.from(entropy, 'hex');
+      strength = entropy.length * 8;
+    }
+    if (!VALID_STRENGTHS.includes(strength)) {
+      throw new Error(`Invalid mnemonic strength ${strength}; expected one of ${VALID_STRENGTHS.join(', ')} bits.`);
+    }
 
+    // Creating the sequence, with an extra byte for the checksum.
+    let numBytes = strength / 8;
+    this.seq = Buffer.alloc(numBytes + 1);
+    if (entropy !== undefined) {
+      entropy.copy(this.seq);
+    } else {
+      crypto.randomFillSync(this.seq, 0, numBytes);
+    }
+    this.seq.writeUInt8(this.calcChecksum(), numBytes);
+  }
+
+  // The random bytes of the mnemonic, without the checksum.
+  get entropy() {
+    return this.seq.slice(0, this.seq.length - 1);
   }
 
   // Returns a string with the sequence of words matching to
@@ -105,74 +157,64 @@ class Mnemonic {
     // Returns an array of 11-bit numbers.
     let arr = this.constructor.split(this.seq);
 
-  
-	let stringBuilder = "";
-	for(let i in arr){
-	
-		stringBuilder += " " + this.wordlist[arr[i]];
-	}
-	stringBuilder = stringBuilder.substring(1);
-	return stringBuilder;
-	
+    // Japanese phrases are separated with an ideographic space, as bip39 does.
+    let separator = this.wordlist === bip39.wordlists.japanese ? '\u3000' : ' ';
+    return arr.map((n) => this.wordlist[n]).join(separator);
   }
 
-  // Hash the sequence, returning the first byte.
+  // Hash the entropy, returning the first ENT/32 bits of the hash in the
+  // high bits of a byte, as they are stored in the sequence.
   calcChecksum() {
-    // Dropping the last byte, holding the checksum.
-    let seqHex = this.seq.toString('hex').slice(0, NUM_BYTES);
-    let buf = Buffer.from(seqHex);
-
-    // Hashing the buffer, returning the first byte of the hash
-    // as the checksum.
-    let h = crypto.createHash(HASH_ALG).update(buf).digest();
-    return h[0];
+    let checksumBits = this.entropy.length * 8 / 32;
+    let h = crypto.createHash(HASH_ALG).update(this.entropy).digest();
+    return h[0] & (0xff << (8 - checksumBits)) & 0xff;
   }
 
+  // Rebuilds the sequence from a phrase.  Throws an error if the phrase has
+  // the wrong number of words or a word is not in the wordlist; use isValid
+  // to check the checksum afterwards.
   calculateSequence(words) {
-    let wordArray = words.split(' ');
-    // Extra byte for checksum
-    this.seq = Buffer.alloc(NUM_BYTES + 1);
-
-	let binString = "";
-	for(let i in wordArray){
-		
-		for(let j in this.wordlist){
-			
-			if(wordArray[i] === this.wordlist[j]){
-				binString += "" + this.constructor.translate11bit(j);
-				
-			}				
-			
-		}
-
-		
-		
-	}
-	
-	
-	let position = 0;
-	while(position !== NUM_BYTES+ 1){
-		let temp = this.constructor.convertBinStringToByte(binString.substring(0,8));
-		this.seq.writeUInt8(temp,position);
-		position++;
-		binString = binString.substring(8);
-		
-	}
-	
+    let wordArray = normalize(words).trim().split(/\s+/);
+    let numBits = wordArray.length * BITS_PER_WORD;
+    // Every 33 bits holds 32 bits of entropy and one checksum bit.
+    let strength = numBits * 32 / 33;
+    if (!VALID_STRENGTHS.includes(strength)) {
+      throw new Error(`Invalid mnemonic: expected 12, 15, 18, 21 or 24 words, got ${wordArray.length}.`);
+    }
+
+    let normalizedList = this.wordlist.map(normalize);
+    let binString = "";
+    wordArray.forEach((word, i) => {
+      let index = normalizedList.indexOf(word);
+      if (index < 0) {
+        throw new Error(`Invalid mnemonic: word ${i+1} not in wordlist ("${word}").`);
+      }
+      binString += this.constructor.translate11bit(index);
+    });
+
+    // Padding the checksum bits out to a full byte.
+    let numBytes = strength / 8;
+    binString = binString.padEnd((numBytes + 1) * 8, "0");
+    this.seq = Buffer.alloc(numBytes + 1);
+    for (let position = 0; position <= numBytes; position++) {
+      let byteString = binString.substring(position * 8, position * 8 + 8);
+      this.seq.writeUInt8(this.constructor.convertBinStringToByte(byteString), position);
+    }
   }
- 
+
   // Returns true if the checksum matches its contents.
   isValid() {
     let checksum = this.calcChecksum();
-    return checksum === this.seq.readUInt8(NUM_BYTES);
+    return checksum === this.seq.readUInt8(this.seq.length - 1);
   }
 
-  // Returns a random seed derived from the mnemonic and an optional passphrase.
+  // Returns the seed derived from the mnemonic and an optional passphrase,
+  // the same seed that bip39's mnemonicToSeedSync produces.
   generateSeed(passphrase="") {
-    let key = crypto.pbkdf2Sync(this.seq, SALT_BASE + passphrase, NUM_PBKDF2_ROUNDS, KEY_LENGTH, PBKDF2_DIGEST);
+    let key = crypto.pbkdf2Sync(normalize(this.words()), SALT_BASE + normalize(passphrase),
+      NUM_PBKDF2_ROUNDS, KEY_LENGTH, PBKDF2_DIGEST);
     return key.toString('hex');
   }
 }
 
 exports.Mnemonic = Mnemonic;
-
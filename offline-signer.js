@@ -0,0 +1,109 @@
+"use strict";
+
+const readline = require('readline');
+const { readFileSync, writeFileSync } = require('fs');
+
+const Blockchain = require('./blockchain.js');
+const Client = require('./client.js');
+const PartialTransaction = require('./partial-transaction.js');
+const keystore = require('./keystore.js');
+
+/**
+ * ADDITIONAL IMPLEMENTATION:
+ * Signs a partially signed transaction file with the keys of a wallet, without ever
+ * connecting to the network.  The file is exported by a (possibly watch-only) miner,
+ * signed here on an offline machine, and then finalized and broadcast by any miner.
+ *
+ * Usage: node offline-signer.js <config.json> <transaction.json>
+ */
+
+if (process.argv.length !== 4) {
+  console.error(`Usage: ${process.argv[0]} ${process.argv[1]} <config.json> <transaction.json>`);
+  process.exit();
+}
+let config = JSON.parse(readFileSync(process.argv[2]));
+let ptxFile = process.argv[3];
+
+// Transactions are created through the blockchain configuration.  The signer must use the
+// network's address settings, or it will not recognize the wallet's addresses.
+Blockchain.createInstance({
+  addressPrefix: config.addressPrefix,
+  allowLegacyAddresses: config.allowLegacyAddresses,
+});
+
+let rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
+
+/**
+ * Prints what the transaction does, so that it can be checked before it is signed.
+ *
+ * @param {Client} signer - The wallet, used to point out its own addresses.
+ * @param {PartialTransaction} ptx - The transaction.
+ */
+function showSummary(signer, ptx) {
+  let tx = ptx.tx;
+  let total = ptx.inputs.reduce((sum, {amount}) => sum + amount, 0);
+  console.log(`Transaction ${ptx.id}`);
+  console.log(`  Spending ${total} gold from:`);
+  ptx.inputs.forEach(({address, amount}) => console.log(`    ${address}: ${amount}`));
+  console.log(`  Paying:`);
+  tx.outputs.forEach(({address, amount}) => {
+    let note = signer.isChangeAddress(address, tx) ? " (change, back to this wallet)" : "";
+    console.log(`    ${address}: ${amount}${note}`);
+  });
+  console.log(`  Fee: ${tx.fee}`);
+  if (tx.data && tx.data.memo !== undefined) console.log(`  Memo: ${tx.data.memo}`);
+  if (tx.data && tx.data.anchor !== undefined) console.log(`  Anchors: ${tx.data.anchor}`);
+  if (tx.lock !== undefined) console.log(`  Locked until: ${JSON.stringify(tx.lock)}`);
+}
+
+/**
+ * Signs every input of the transaction file that the wallet holds a key for, once
+ * the user has checked the transaction and confirmed it.
+ *
+ * @param {Object} walletState - Details from Client.exportWallet, or at least a mnemonic.
+ */
+function signFile(walletState) {
+  let signer = new Client(Object.assign({ name: config.name }, walletState));
+  let ptx = PartialTransaction.deserialize(readFileSync(ptxFile, 'utf8'));
+  showSummary(signer, ptx);
+
+  rl.question(`  Sign this transaction? (y/N) `, (answer) => {
+    rl.close();
+    if (answer.trim().toLowerCase() !== 'y') {
+      console.log(`Not signed.`);
+      return;
+    }
+    let signed = signer.signPartialTransaction(ptx);
+    writeFileSync(ptxFile, ptx.serialize());
+
+    console.log(`Added ${signed} signature(s) to transaction ${ptx.id}.`);
+    if (ptx.isComplete()) {
+      console.log(`All inputs are signed.  The transaction is ready to broadcast.`);
+    } else {
+      console.log(`Still missing signatures for inputs ${ptx.missingSignatures().join(', ')}.`);
+    }
+  });
+}
+
+if (config.wallet) {
+  keystore.askPassword(rl, `  wallet password: `, (pw) => {
+    let walletState;
+    try {
+      walletState = keystore.decrypt(config.wallet, pw);
+    } catch (e) {
+      console.error(`***Could not unlock wallet: ${e.message}`);
+      process.exit(1);
+    }
+    signFile(walletState);
+  });
+} else if (config.mnemonic) {
+  // The mnemonic is encrypted before anything is signed, so it does not stay on disk in plaintext.
+  let walletState = { mnemonic: config.mnemonic, derivationIndexes: config.derivationIndexes };
+  keystore.migrateConfig(rl, process.argv[2], config, walletState, (pw, migrated) => signFile(migrated));
+} else {
+  console.error(`***${process.argv[2]} has no wallet to sign with.`);
+  process.exit(1);
+}
@@ -0,0 +1,208 @@
+"use strict";
+
+const Blockchain = require('./blockchain.js');
+const utils = require('./utils.js');
+
+// Version of the serialized format.  Bump this if the layout changes.
+const PTX_VERSION = 1;
+
+/**
+ * A partially signed transaction holds an unsigned transaction, plus the
+ * details a signer needs to find the right key for each input.  It lets a
+ * watch-only client build a transaction, an offline process holding the
+ * mnemonic sign it, and any node finalize and broadcast it.  The design is
+ * similar in spirit to Bitcoin's PSBTs.
+ *
+ * Signatures do not change a transaction's ID, so signatures may be added
+ * by different parties, in any order.  An input from a multisignature address
+ * collects one signature per co-signer, and is complete once it has as many
+ * as the address's threshold.
+ */
+module.exports = class PartialTransaction {
+
+  /**
+   * @constructor
+   * @param {Object} obj - The contents of the partially signed transaction.
+   * @param {Object} obj.tx - The transaction fields (from, nonce, pubKey, outputs, fee, data).
+   * @param {Array} obj.inputs - Details for each input, in the same order as tx.from, in the form:
+   *    {address, amount, [path]}
+   *    The path is the derivation path of the key that must sign the input.
+   * @param {Array} [obj.sig] - Signatures collected so far, with null for unsigned inputs.
+   *    Multisignature inputs hold an array with a signature (or null) for each key of their script.
+   * @param {Number} [obj.version] - Version of the format.
+   */
+  constructor({tx, inputs, sig=[], version=PTX_VERSION}) {
+    if (version !== PTX_VERSION) {
+      throw new Error(`Unsupported partially signed transaction version ${version}.`);
+    }
+    this.version = version;
+    this.tx = Object.assign({}, tx);
+    delete this.tx.sig;
+    this.inputs = inputs;
+    this.sig = this.inputs.map((input, i) => {
+      let script = this.multisigScript(i);
+      if (script) return script.keys.map((key, j) => (sig[i] && sig[i][j]) || null);
+      return sig[i] || null;
+    });
+  }
+
+  /**
+   * The script of a multisignature input, or undefined for a single-key input.
+   *
+   * @param {Number} i - Index of the input.
+   */
+  multisigScript(i) {
+    let pubKey = this.tx.pubKey[i];
+    if (utils.keyType(pubKey) === utils.MULTISIG) return pubKey;
+  }
+
+  /**
+   * Reads a partially signed transaction from its serialized form.
+   *
+   * @param {String | Object} o - A JSON string or a parsed object.
+   *
+   * @returns {PartialTransaction}
+   */
+  static deserialize(o) {
+    if (typeof o === 'string') o = JSON.parse(o);
+    return new PartialTransaction(o);
+  }
+
+  /**
+   * Converts the partially signed transaction to a JSON string, suitable for a file.
+   *
+   * @returns {String}
+   */
+  serialize() {
+    return JSON.stringify(this, null, 2);
+  }
+
+  /**
+   * Builds the transaction, including any signatures collected so far.
+   */
+  get transaction() {
+    return Blockchain.makeTransaction(Object.assign({}, this.tx, { sig: this.sig.slice() }));
+  }
+
+  /**
+   * The ID of the transaction, which signatures do not change.
+   */
+  get id() {
+    return this.transaction.id;
+  }
+
+  /**
+   * Signs one input of the transaction.
+   *
+   * @param {Number} i - Index of the input.
+   * @param {String} privKey - Private key matching the public key of the input.
+   * @param {Number} [keyIndex] - For a multisignature input, the position of the
+   *    signer's key in the input's script.
+   */
+  signInput(i, privKey, keyIndex) {
+    if (i < 0 || i >= this.inputs.length) {
+      throw new Error(`No input ${i} in transaction ${this.id}.`);
+    }
+    let script = this.multisigScript(i);
+    if (script && (keyIndex === undefined || keyIndex < 0 || keyIndex >= script.keys.length)) {
+      throw new Error(`Input ${i} of transaction ${this.id} needs the position of the signing key.`);
+    }
+    let tx = this.transaction;
+    tx.sign(privKey, i, script ? keyIndex : undefined);
+    this.sig[i] = tx.sig[i];
+  }
+
+  /**
+   * Copies the signatures from another copy of the same transaction, such as
+   * one signed by a co-signer.  Signatures already held are kept.
+   *
+   * @param {PartialTransaction} other - Another copy of this transaction.
+   */
+  merge(other) {
+    if (other.id !== this.id) {
+      throw new Error(`Cannot merge signatures of transaction ${other.id} into transaction ${this.id}.`);
+    }
+    this.sig = this.sig.map((sig, i) => {
+      if (Array.isArray(sig)) return sig.map((s, j) => s || other.sig[i][j]);
+      return sig || other.sig[i];
+    });
+  }
+
+  /**
+   * Counts the signatures an input has, and how many it needs.
+   *
+   * @param {Number} i - Index of the input.
+   *
+   * @returns {Object} - The counts, in the form {signed, needed}.
+   */
+  signatureCount(i) {
+    let script = this.multisigScript(i);
+    if (!script) return { signed: this.sig[i] === null ? 0 : 1, needed: 1 };
+    return {
+      signed: this.sig[i].filter((sig) => sig !== null).length,
+      needed: script.threshold,
+    };
+  }
+
+  /**
+   * Lists the inputs that are still missing a signature.
+   *
+   * @returns {Array} - Indexes of unsigned inputs.
+   */
+  missingSignatures() {
+    let missing = [];
+    this.sig.forEach((sig, i) => {
+      let {signed, needed} = this.signatureCount(i);
+      if (signed < needed) missing.push(i);
+    });
+    return missing;
+  }
+
+  /**
+   * Determines whether every input has been signed.
+   *
+   * @returns {Boolean}
+   */
+  isComplete() {
+    return this.missingSignatures().length === 0;
+  }
+
+  /**
+   * Works out how large the transaction will be once it is signed, counting the longest
+   * possible signature for each signature still missing.  For a multisignature input,
+   * only as many signatures as the threshold are counted.
+   *
+   * @returns {Number} - The size in bytes; see Transaction.size.
+   */
+  estimateSize() {
+    let sig = this.sig.map((sig, i) => {
+      let script = this.multisigScript(i);
+      let placeholder = (key) => "0".repeat(utils.maxSignatureLength(key));
+      if (!script) return sig === null ? placeholder(this.tx.pubKey[i]) : sig;
+      let {signed, needed} = this.signatureCount(i);
+      return sig.map((s, j) => {
+        if (s !== null || signed >= needed) return s;
+        signed++;
+        return placeholder(script.keys[j]);
+      });
+    });
+    return Blockchain.makeTransaction(Object.assign({}, this.tx, { sig })).size();
+  }
+
+  /**
+   * Produces the final, fully signed transaction, ready to broadcast.
+   *
+   * @returns {Transaction}
+   */
+  finalize() {
+    let missing = this.missingSignatures();
+    if (missing.length > 0) {
+      throw new Error(`Transaction ${this.id} is missing signatures for inputs ${missing.join(', ')}.`);
+    }
+    let tx = this.transaction;
+    if (!tx.validSignature()) {
+      throw new Error(`Transaction ${this.id} has an invalid signature.`);
+    }
+    return tx;
+  }
+};
@@ -0,0 +1,127 @@
+"use strict";
+
+const readline = require('readline');
+const { readFileSync, writeFileSync } = require('fs');
+
+const Blockchain = require('./blockchain.js');
+const Client = require('./client.js');
+const keystore = require('./keystore.js');
+const shamir = require('./shamir.js');
+const utils = require('./utils.js');
+
+/**
+ * ADDITIONAL IMPLEMENTATION:
+ * Backs up the mnemonic of a miner's wallet as Shamir shares, any <threshold> of which
+ * can recover it, and restores a wallet from such shares.
+ *
+ * Usage: node shamir-backup.js split <config.json> <threshold> <count>
+ *        node shamir-backup.js combine <config.json> [keyType]
+ *
+ * Splitting prints one share per line; hand each one to a different person.  Combining asks
+ * for the shares, then saves the recovered wallet (encrypted) to the config file.  Start the
+ * miner from that config and choose (f)und recovery to find the wallet's addresses again.
+ *
+ * The shares only hold the mnemonic.  The wallet's BIP39 password defaults to one based
+ * on the miner's name, so the name in the config file must match the original wallet.  Wallets
+ * created before the switch to elliptic-curve keys must be restored with the key type "rsa".
+ */
+
+let [command, configFile, threshold, count] = process.argv.slice(2);
+let keyType = command === 'combine' && threshold !== undefined ? threshold : utils.DEFAULT_KEY_TYPE;
+if (!(command === 'split' && count !== undefined) && !(command === 'combine' && configFile !== undefined)) {
+  console.error(`Usage: ${process.argv[0]} ${process.argv[1]} split <config.json> <threshold> <count>`);
+  console.error(`       ${process.argv[0]} ${process.argv[1]} combine <config.json> [keyType]`);
+  process.exit();
+}
+let config = JSON.parse(readFileSync(configFile));
+
+// The mnemonic is checked by building a client from it, under the network's address settings.
+Blockchain.createInstance({
+  addressPrefix: config.addressPrefix,
+  allowLegacyAddresses: config.allowLegacyAddresses,
+});
+
+let rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
+
+/**
+ * Prints the shares of the wallet's mnemonic.
+ *
+ * @param {Object} walletState - Details from Client.exportWallet, or at least a mnemonic.
+ */
+function splitWallet(walletState) {
+  let shares;
+  try {
+    shares = shamir.split(walletState.mnemonic, parseInt(threshold, 10), parseInt(count, 10));
+  } catch (e) {
+    console.error(`***${e.message}`);
+    process.exit(1);
+  }
+  console.log(`Any ${threshold} of these ${count} shares recover the mnemonic of ${config.name}:`);
+  shares.forEach((share, i) => console.log(`\n  share ${i+1}: ${share}`));
+  rl.close();
+}
+
+/**
+ * Asks for shares until there are enough to meet their threshold.
+ *
+ * @param {Array} shares - The shares entered so far.
+ * @param {Function} next - Called with the shares once there are enough.
+ */
+function readShares(shares, next) {
+  rl.question(`  share ${shares.length+1}: `, (share) => {
+    try {
+      let { threshold } = shamir.parseShare(share, shares.length+1);
+      shares.push(share.trim());
+      if (shares.length >= threshold) return next(shares);
+    } catch (e) {
+      console.log(`***${e.message}  Please enter it again.`);
+    }
+    readShares(shares, next);
+  });
+}
+
+/**
+ * Recovers the mnemonic from the shares, and saves it encrypted to the config file.
+ *
+ * @param {Array} shares - Enough shares to meet the threshold.
+ */
+function saveRecoveredWallet(shares) {
+  let client;
+  try {
+    client = new Client({ name: config.name, shares: shares, keyType: keyType });
+  } catch (e) {
+    console.error(`***${e.message}`);
+    process.exit(1);
+  }
+  keystore.askPassword(rl, `  new wallet password: `, (pw) => {
+    rl.close();
+    writeFileSync(configFile, JSON.stringify(keystore.encryptConfig(config, client.exportWallet(), pw)));
+    console.log(`Recovered the wallet of ${config.name} (first address ${client.address}).`);
+    console.log(`Start the miner with ${configFile} and choose (f)und recovery to find its funds.`);
+  });
+}
+
+if (command === 'combine') {
+  readShares([], saveRecoveredWallet);
+} else if (config.wallet) {
+  keystore.askPassword(rl, `  wallet password: `, (pw) => {
+    let walletState;
+    try {
+      walletState = keystore.decrypt(config.wallet, pw);
+    } catch (e) {
+      console.error(`***Could not unlock wallet: ${e.message}`);
+      process.exit(1);
+    }
+    splitWallet(walletState);
+  });
+} else if (config.mnemonic) {
+  // The mnemonic is encrypted before it is split, so it does not stay on disk in plaintext.
+  let walletState = { mnemonic: config.mnemonic, derivationIndexes: config.derivationIndexes };
+  keystore.migrateConfig(rl, configFile, config, walletState, (pw, migrated) => splitWallet(migrated));
+} else {
+  console.error(`***${configFile} has no wallet to back up.`);
+  process.exit(1);
+}
@@ -0,0 +1,229 @@
+"use strict";
+
+const crypto = require('crypto');
+const bip39 = require('bip39');
+
+const { Mnemonic } = require('./mnemonic.js');
+
+// Shares are numbered 1 to MAX_SHARES, and at most MAX_SHARES may be created.
+const MAX_SHARES = 16;
+
+// Bytes of SHA-256 kept as checksums.  The digest is shared along with the
+// entropy, so that a recovered secret can be checked; the share checksum
+// catches mistyped words within a single share.
+const DIGEST_LENGTH = 4;
+const CHECKSUM_LENGTH = 4;
+
+// Each share is written as words from the English BIP39 list, 11 bits per word.
+const WORDLIST = bip39.wordlists.english;
+const BITS_PER_WORD = 11;
+
+// Share layout: id (2 bytes), threshold, index, value length, value, checksum.
+const HEADER_LENGTH = 5;
+
+// Log and exponent tables for GF(256), with the AES polynomial x^8+x^4+x^3+x+1
+// and generator 3.  The exponent table is doubled to avoid reducing sums of logs.
+const EXP = new Array(510);
+const LOG = new Array(256);
+(function() {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    // Multiplying by 3 is multiplying by 2 (with reduction), plus x.
+    let doubled = (x << 1) ^ ((x & 0x80) ? 0x11b : 0);
+    x ^= doubled;
+  }
+  for (let i = 255; i < 510; i++) EXP[i] = EXP[i - 255];
+})();
+
+function mul(a, b) {
+  return (a === 0 || b === 0) ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function div(a, b) {
+  return a === 0 ? 0 : EXP[LOG[a] - LOG[b] + 255];
+}
+
+function sha256(buf) {
+  return crypto.createHash('sha256').update(buf).digest();
+}
+
+/**
+ * Interpolates the shares' polynomials at x = 0, recovering the secret.
+ *
+ * @param {Array} points - The shares, as {index, value} pairs.
+ *
+ * @returns {Buffer}
+ */
+function interpolate(points) {
+  let secret = Buffer.alloc(points[0].value.length);
+  points.forEach(({index: xi, value}) => {
+    // Lagrange basis polynomial for this share, evaluated at 0.
+    let basis = 1;
+    points.forEach(({index: xj}) => {
+      if (xj !== xi) basis = mul(basis, div(xj, xj ^ xi));
+    });
+    for (let b = 0; b < secret.length; b++) {
+      secret[b] ^= mul(value[b], basis);
+    }
+  });
+  return secret;
+}
+
+/**
+ * Writes bytes as words, 11 bits to a word, padding the last word with zeroes.
+ */
+function bytesToWords(buf) {
+  let numWords = Math.ceil(buf.length * 8 / BITS_PER_WORD);
+  // The extra bytes make sure that Mnemonic.split does not drop the last bits.
+  let padded = Buffer.concat([buf, Buffer.alloc(2)]);
+  return Mnemonic.split(padded).slice(0, numWords).map((n) => WORDLIST[n]).join(' ');
+}
+
+/**
+ * Reads bytes back from words.  Trailing padding is left for the caller to trim.
+ */
+function wordsToBytes(words, shareNumber) {
+  let bits = "";
+  words.trim().split(/\s+/).forEach((word, i) => {
+    let n = WORDLIST.indexOf(word);
+    if (n < 0) {
+      throw new Error(`Share ${shareNumber}: word ${i+1} not in wordlist ("${word}").`);
+    }
+    bits += Mnemonic.translate11bit(n);
+  });
+  let buf = Buffer.alloc(Math.floor(bits.length / 8));
+  for (let i = 0; i < buf.length; i++) {
+    buf[i] = Mnemonic.convertBinStringToByte(bits.substring(i * 8, i * 8 + 8));
+  }
+  return buf;
+}
+
+/**
+ * Splits a mnemonic into word-encoded shares, any threshold of which can
+ * recover it.  This follows the approach of SLIP-39 (Shamir's secret sharing
+ * over GF(256)), though the share format is specific to SpartanGold.
+ *
+ * Every share records a random group id shared by all shares of the split,
+ * the threshold, and its own index, and ends in a checksum.  The shared
+ * secret is the mnemonic's entropy together with a digest of it, so that a
+ * recovery from the wrong shares is detected.
+ *
+ * @param {Mnemonic | String} mnemonic - The mnemonic to split, or its phrase.
+ * @param {Number} threshold - Number of shares needed to recover the mnemonic.
+ * @param {Number} count - Number of shares to create.
+ * @param {Object} [opts] - Options for the split.
+ * @param {Number} [opts.id] - Group identifier, from 0 to 65535.  Random by default.
+ * @param {String} [opts.wordlist] - Wordlist of the mnemonic, if given as a phrase.
+ *
+ * @returns {Array} - The shares, as phrases.
+ */
+exports.split = function(mnemonic, threshold, count, {id=crypto.randomBytes(2).readUInt16BE(0), wordlist='english'} = {}) {
+  if (typeof mnemonic === 'string') mnemonic = Mnemonic.validate(mnemonic, wordlist);
+  if (!Number.isInteger(threshold) || !Number.isInteger(count) ||
+      threshold < 1 || threshold > count || count > MAX_SHARES) {
+    throw new Error(`Invalid sharing scheme ${threshold}-of-${count}; need 1 <= threshold <= count <= ${MAX_SHARES}.`);
+  }
+
+  let entropy = mnemonic.entropy;
+  let secret = Buffer.concat([sha256(entropy).slice(0, DIGEST_LENGTH), entropy]);
+
+  // Each byte of the secret is the constant term of a random polynomial of
+  // degree threshold-1.  Share i holds the value of each polynomial at x = i.
+  let coefficients = [];
+  for (let k = 1; k < threshold; k++) coefficients.push(crypto.randomBytes(secret.length));
+
+  let shares = [];
+  for (let index = 1; index <= count; index++) {
+    let value = Buffer.alloc(secret.length);
+    for (let b = 0; b < secret.length; b++) {
+      // Horner's method, from the highest coefficient down.
+      let y = 0;
+      for (let k = coefficients.length - 1; k >= 0; k--) {
+        y = mul(y ^ coefficients[k][b], index);
+      }
+      value[b] = y ^ secret[b];
+    }
+
+    let header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt16BE(id, 0);
+    header[2] = threshold;
+    header[3] = index;
+    header[4] = value.length;
+    let body = Buffer.concat([header, value]);
+    shares.push(bytesToWords(Buffer.concat([body, sha256(body).slice(0, CHECKSUM_LENGTH)])));
+  }
+  return shares;
+};
+
+/**
+ * Reads the details of a single share, checking its checksum.
+ *
+ * @param {String} share - The share phrase.
+ * @param {Number} [shareNumber] - Position of the share, for error messages.
+ *
+ * @returns {Object} - The share details: {id, threshold, index, value}.
+ */
+exports.parseShare = function(share, shareNumber=1) {
+  let buf = wordsToBytes(share, shareNumber);
+  if (buf.length < HEADER_LENGTH) {
+    throw new Error(`Share ${shareNumber} is too short.`);
+  }
+  let length = HEADER_LENGTH + buf[4] + CHECKSUM_LENGTH;
+  if (buf.length < length) {
+    throw new Error(`Share ${shareNumber} is too short.`);
+  }
+  let body = buf.slice(0, HEADER_LENGTH + buf[4]);
+  let checksum = buf.slice(body.length, length);
+  if (!sha256(body).slice(0, CHECKSUM_LENGTH).equals(checksum)) {
+    throw new Error(`Share ${shareNumber}: checksum mismatch.`);
+  }
+  return {
+    id: body.readUInt16BE(0),
+    threshold: body[2],
+    index: body[3],
+    value: body.slice(HEADER_LENGTH),
+  };
+};
+
+/**
+ * Recombines shares into the original mnemonic.  Shares from different
+ * groups, repeated shares, and too few shares are all reported as errors.
+ *
+ * @param {Array} shares - The share phrases, in any order.
+ * @param {Object} [opts] - Options for the recovered mnemonic.
+ * @param {String} [opts.wordlist] - Wordlist of the recovered mnemonic.
+ *
+ * @returns {Mnemonic} - The recovered mnemonic.
+ */
+exports.combine = function(shares, {wordlist='english'} = {}) {
+  if (shares.length === 0) throw new Error("No shares given.");
+  let parsed = shares.map((share, i) => exports.parseShare(share, i+1));
+
+  let {id, threshold} = parsed[0];
+  let seen = new Set();
+  parsed.forEach((share, i) => {
+    if (share.id !== id) {
+      throw new Error(`Share ${i+1} belongs to group ${share.id}, not group ${id}; the shares are mixed up.`);
+    }
+    if (share.threshold !== threshold || share.value.length !== parsed[0].value.length) {
+      throw new Error(`Share ${i+1} does not match the other shares of group ${id}.`);
+    }
+    if (seen.has(share.index)) {
+      throw new Error(`Share number ${share.index} of group ${id} was given more than once.`);
+    }
+    seen.add(share.index);
+  });
+  if (parsed.length < threshold) {
+    throw new Error(`Need ${threshold} shares of group ${id} to recover the mnemonic, but only ${parsed.length} given.`);
+  }
+
+  let secret = interpolate(parsed.slice(0, threshold));
+  let digest = secret.slice(0, DIGEST_LENGTH);
+  let entropy = secret.slice(DIGEST_LENGTH);
+  if (!sha256(entropy).slice(0, DIGEST_LENGTH).equals(digest)) {
+    throw new Error("Recovered secret does not match its digest; one of the shares is wrong.");
+  }
+  return new Mnemonic({ entropy, wordlist });
+};
@@ -0,0 +1,105 @@
+"use strict";
+
+let Blockchain = require('./blockchain.js');
+
+let FakeNet = require('./fake-net.js');
+
+/**
+ * ADDITIONAL IMPLEMENTATION:
+ * Simulates an atomic swap between two blockchains running side by side: Alice trades 50 gold
+ * for 80 of Bob's silver, using hash time-locked contracts on both chains.
+ *
+ *   1. Alice makes a secret and locks 50 gold, claimable by Bob with the secret.
+ *   2. Once that is confirmed, Bob locks 80 silver under the same hashlock, with an earlier timeout.
+ *   3. Once that is confirmed, Alice claims the silver, revealing the secret on the silver chain.
+ *   4. Bob finds the secret in Alice's claim, and uses it to claim the gold.
+ *
+ * If either party stops partway, the other refunds their side after its timeout.
+ */
+
+// How long to wait for a step before giving up, and how often to check.
+const TIME_LIMIT = 60000;
+const POLL_INTERVAL = 250;
+
+console.log("Starting simulation.  This may take a moment...");
+
+function makeChain(addressPrefix) {
+  // Each chain is created with no current instance, then restored afterwards.
+  return Blockchain.runWith(null, () => Blockchain.createInstance({
+    clients: [
+      {name: 'Alice', amount: 100},
+      {name: 'Bob', amount: 100},
+      {name: 'Miner', amount: 0, mining: true},
+    ],
+    powLeadingZeroes: 12,
+    confirmedDepth: 2,
+    addressPrefix: addressPrefix,
+    net: new FakeNet(),
+  }));
+}
+
+let gold = makeChain(0x27);
+let silver = makeChain(0x3f);
+
+let [aliceGold, bobGold] = gold.getClients('Alice', 'Bob');
+let [aliceSilver, bobSilver] = silver.getClients('Alice', 'Bob');
+
+// Calls f once check returns true.
+function when(check, f) {
+  if (check()) return f();
+  setTimeout(() => when(check, f), POLL_INTERVAL);
+}
+
+// Gold paid into a contract is confirmed.
+function confirmed(client, swap) {
+  return () => client.lastConfirmedBlock.balanceOf(swap.address) > 0;
+}
+
+gold.start();
+silver.start();
+
+setTimeout(() => {
+  console.log("***Timed out before the swap finished.");
+  process.exit(1);
+}, TIME_LIMIT);
+
+// Step 1: Alice makes the secret, and has the most time to claim her gold back.
+let goldSwap = Blockchain.runWith(gold, () => aliceGold.initiateSwap({
+  amount: 50,
+  claimKey: bobGold.keyPair.public,
+  timeout: aliceGold.lastBlock.chainLength + 30,
+}));
+console.log(`Alice locked 50 gold in ${goldSwap.address}.`);
+
+when(confirmed(bobGold, goldSwap), () => {
+  // Step 2: Bob only learns the hashlock, and must leave Alice time to claim before his timeout.
+  let silverSwap = Blockchain.runWith(silver, () => bobSilver.initiateSwap({
+    amount: 80,
+    claimKey: aliceSilver.keyPair.public,
+    timeout: bobSilver.lastBlock.chainLength + 15,
+    hashlock: goldSwap.contract.hashlock,
+  }));
+  console.log(`Bob locked 80 silver in ${silverSwap.address}.`);
+
+  when(confirmed(aliceSilver, silverSwap), () => {
+    // Step 3: claiming the silver reveals the secret.
+    Blockchain.runWith(silver, () => aliceSilver.claimSwap(silverSwap.contract, goldSwap.secret));
+    console.log("Alice claimed the silver.");
+
+    let secret;
+    when(() => (secret = bobSilver.findSwapSecret(silverSwap.contract)) !== undefined, () => {
+      // Step 4: the same secret unlocks the gold.
+      console.log(`Bob found the secret ${secret} on the silver chain.`);
+      Blockchain.runWith(gold, () => bobGold.claimSwap(goldSwap.contract, secret));
+      console.log("Bob claimed the gold.");
+
+      when(() => aliceGold.pendingOutgoingTransactions.size === 0 && bobGold.pendingOutgoingTransactions.size === 0 &&
+          aliceSilver.pendingOutgoingTransactions.size === 0 && bobSilver.pendingOutgoingTransactions.size === 0, () => {
+        console.log("Final balances:");
+        console.log(`Alice: ${aliceGold.confirmedBalance} gold, ${aliceSilver.confirmedBalance} silver.`);
+        console.log(`Bob: ${bobGold.confirmedBalance} gold, ${bobSilver.confirmedBalance} silver.`);
+        process.exit(0);
+      });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const readline = require('readline');
+const { readFileSync } = require('fs');
+
+const TcpNet = require('./tcp-net.js');
+const Blockchain = require('./blockchain.js');
+const Block = require('./block.js');
+const LightClient = require('./light-client.js');
+const Transaction = require('./transaction.js');
+const keystore = require('./keystore.js');
+
+/**
+ * ADDITIONAL IMPLEMENTATION:
+ * Provides a command line interface for a SpartanGold light client, which keeps only block
+ * headers and learns about its payments from the miners it connects to.
+ */
+class TcpLightClient extends LightClient {
+
+  /**
+   * In addition to the usual properties for a light client, the constructor
+   * also takes a JSON object for the connection information.
+   */
+  constructor({connection, ...props} = {}) {
+    super(Object.assign({net: new TcpNet()}, props));
+
+    this.connection = connection;
+
+    // Headers are asked for from each miner once it has registered with us.
+    this.on(TcpNet.REGISTER, this.requestHeaders);
+  }
+
+  /**
+   * Listens for messages and registers with the known miners.
+   */
+  initialize(knownMinerConnections) {
+    this.srvr = this.net.listen(this);
+    for (let m of knownMinerConnections) {
+      this.net.registerWith(this, m);
+    }
+  }
+}
+
+if (process.argv.length !== 3) {
+  console.error(`Usage: ${process.argv[0]} ${process.argv[1]} <config.json>`);
+  process.exit();
+}
+let config = JSON.parse(readFileSync(process.argv[2]));
+let name = config.name;
+
+let knownMiners = config.knownMiners || [];
+
+// The starting balances must be the same as the miners', so that the genesis blocks match.
+let blockchainInstance;
+try {
+  blockchainInstance = Blockchain.createInstance({
+    blockClass: Block,
+    transactionClass: Transaction,
+    startingBalances: config.startingBalances,
+    addressPrefix: config.addressPrefix,
+    allowLegacyAddresses: config.allowLegacyAddresses,
+    targetBlockTime: config.targetBlockTime,
+    coinbaseReward: config.coinbaseReward,
+    halvingInterval: config.halvingInterval,
+    rewardDecay: config.rewardDecay,
+    supplyCap: config.supplyCap,
+  });
+} catch (e) {
+  console.error(`***${e.message}`);
+  process.exit(1);
+}
+// Every node must start from the same genesis block, so it cannot depend on when the node started.
+blockchainInstance.genesis.timestamp = 0;
+
+console.log(`Starting ${name}`);
+
+let rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
+
+let lucy;
+
+/**
+ * Creates the light client from the wallet details and connects to the miners.
+ *
+ * @param {Object} walletState - Details from Client.exportWallet, or at least a mnemonic.
+ */
+function startClient(walletState) {
+  lucy = new TcpLightClient(Object.assign({
+    name: name,
+    connection: config.connection,
+    startingBlock: blockchainInstance.genesis,
+  }, walletState));
+
+  // Silencing the logging messages
+  lucy.log = function(){};
+
+  lucy.initialize(knownMiners);
+}
+
+// A light client has no wallet of its own to save; it uses one saved by tcp-miner.js, or encrypts a mnemonic.
+if (config.wallet) {
+  keystore.askPassword(rl, `  wallet password: `, (pw) => {
+    let walletState;
+    try {
+      walletState = keystore.decrypt(config.wallet, pw);
+    } catch (e) {
+      console.error(`***Could not unlock wallet: ${e.message}`);
+      process.exit(1);
+    }
+    startClient(walletState);
+    readUserInput();
+  });
+} else if (config.mnemonic) {
+  // The mnemonic is encrypted before the client starts.
+  let walletState = { mnemonic: config.mnemonic, derivationIndexes: config.derivationIndexes };
+  keystore.migrateConfig(rl, process.argv[2], config, walletState, (pw, migrated) => {
+    startClient(migrated);
+    readUserInput();
+  });
+} else {
+  console.error(`***The config needs a wallet saved by tcp-miner.js, or a mnemonic.`);
+  process.exit(1);
+}
+
+function readUserInput() {
+  rl.question(`
+  Funds: ${lucy.availableGold}
+  Address: ${lucy.address}
+  Block height: ${lucy.lastBlock.chainLength} (confirmed: ${lucy.lastConfirmedBlock.chainLength})
+
+  What would you like to do?
+  *(t)ransfer funds?
+  *(r)esync block headers?
+  *show transaction (h)istory
+  *e(x)it?
+
+  Your choice: `, (answer) => {
+    console.clear();
+    switch (answer.trim().toLowerCase()) {
+      case 'x':
+        console.log(`Shutting down.  Have a nice day.`);
+        process.exit(0);
+        break;
+      case 't':
+        rl.question(`  amount: `, (amt) => {
+          amt = Number(amt.trim());
+          if (!Number.isSafeInteger(amt) || amt <= 0) {
+            console.log(`***The amount must be a positive whole number.`);
+            return readUserInput();
+          }
+          rl.question(`  address: `, (addr) => {
+            rl.question(`  mine within how many blocks (blank for the minimum fee): `, (target) => {
+              let fee = target.trim() === "" ? undefined : { target: parseInt(target, 10) };
+              try {
+                let tx = lucy.postTransaction([{amount: amt, address: addr.trim()}], fee);
+                console.log(`Transferring ${amt} gold to ${addr.trim()}, paying a fee of ${tx.fee}.`);
+              } catch (e) {
+                console.log(`***${e.message}`);
+              }
+              readUserInput();
+            });
+          });
+        });
+        return;
+      case 'r':
+        lucy.requestHeaders();
+        break;
+      case 'h':
+        lucy.showTransactionHistory();
+        break;
+      default:
+        console.log(`Unrecognized choice: ${answer}`);
+    }
+    console.log();
+    setTimeout(readUserInput, 0);
+  });
+}
@@ -1,61 +1,31 @@
-const net = require('net');
 const readline = require('readline');
 const { readFileSync, writeFileSync } = require('fs');
 
-const FakeNet = require('./fake-net.js');
+const TcpNet = require('./tcp-net.js');
 const Blockchain = require('./blockchain.js');
 const Block = require('./block.js');
 const Miner = require('./miner.js');
 const Transaction = require('./transaction.js');
 const utils = require('./utils.js');
-
-/**
- * This extends the FakeNet class to actually communicate over the network.
- */
-class TcpNet extends FakeNet {
-  sendMessage(address, msg, o) {
-    if (typeof o === 'string') o = JSON.parse(o);
-    let data = {msg, o};
-    const client = this.clients.get(address);
-    let clientConnection = net.connect(client.connection, () => {
-      clientConnection.write(JSON.stringify(data));
-    });
-  }
-}
+const keystore = require('./keystore.js');
+const PartialTransaction = require('./partial-transaction.js');
 
 /**
  * Provides a command line interface for a SpartanGold miner
  * that will actually communicate over the network.
  */
 class TcpMiner extends Miner {
-  static get REGISTER() { return "REGISTER"; }
+  static get REGISTER() { return TcpNet.REGISTER; }
 
   /**
    * In addition to the usual properties for a miner, the constructor
-   * also takes a JSON object for the connection information and sets
-   * up a listener to listen for incoming connections.
+   * also takes a JSON object for the connection information.  Incoming
+   * connections are listened for once the miner is initialized.
    */
-  constructor({name, startingBlock, miningRounds, keyPair, connection, mnemonic} = {}) {
-    super({name, net: new TcpNet(), startingBlock, keyPair, miningRounds, mnemonic});
+  constructor({name, password, startingBlock, miningRounds, keyPair, connection, mnemonic, account, derivationIndexes, labels, importedKeys, keyType, multisig} = {}) {
+    super({name, password, net: new TcpNet(), startingBlock, keyPair, miningRounds, mnemonic, account, derivationIndexes, labels, importedKeys, keyType, multisig});
 
-    // Setting up the server to listen for connections
     this.connection = connection;
-    this.srvr = net.createServer();
-    this.srvr.on('connection', (client) => {
-      this.log('Received connection');
-      client.on('data', (data) => {
-        let {msg, o} = JSON.parse(data);
-        if (msg === TcpMiner.REGISTER) {
-          if (!this.net.recognizes(o)) {
-            this.registerWith(o.connection);
-          }
-          this.log(`Registering ${JSON.stringify(o)}`);
-          this.net.register(o);
-        } else {
-          this.emit(msg, o);
-        }
-      });
-    });
   }
 
   /**
@@ -64,18 +34,7 @@ class TcpMiner extends Miner {
    * @param {Object} minerConnection - The connection information for the other miner.
    */
   registerWith(minerConnection) {
-    this.log(`Connection: ${JSON.stringify(minerConnection)}`);
-    let conn = net.connect(minerConnection, () => {
-      let data = {
-        msg: TcpMiner.REGISTER,
-        o: {
-          name: this.name,
-          address: this.address,
-          connection: this.connection,
-        }
-      };
-      conn.write(JSON.stringify(data));
-    });
+    this.net.registerWith(this, minerConnection);
   }
 
   /**
@@ -84,7 +43,7 @@ class TcpMiner extends Miner {
   initialize(knownMinerConnections) {
     this.knownMiners = knownMinerConnections;
     super.initialize();
-    this.srvr.listen(this.connection.port);
+    this.srvr = this.net.listen(this);
     for (let m of knownMinerConnections) {
       this.registerWith(m);
     }
@@ -96,23 +55,29 @@ class TcpMiner extends Miner {
   showPendingOut() {
     let s = "";
     this.pendingOutgoingTransactions.forEach((tx) => {
-      s += `\n    id:${tx.id} nonce:${tx.nonce} totalOutput: ${tx.totalOutput()}\n`;
+      s += `\n    id:${tx.id} nonce:${tx.nonce} totalOutput: ${tx.totalOutput()} fee: ${tx.fee}\n`;
     });
     return s;
   }
 
-  saveJson(fileName) {
-	//Saves mnemonics and starting balances
-    let state = {
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   * Saves the config, with the mnemonic, derivation indexes, labels and imported keys
+   * encrypted under the wallet password.  No keys are written in plaintext, and any left
+   * in the config from older versions are dropped.
+   * 
+   * @param {String} fileName - Name of the file in sampleConfigs/.
+   * @param {String} password - Password used to encrypt the wallet.
+   */
+  saveJson(fileName, password) {
+	//Saves the encrypted wallet and starting balances, keeping the rest of the config as it was
+    let state = Object.assign({}, config, {
       name: this.name,
       connection: this.connection,
-	  startingBalances: utils.checkAddresses(config.startingBalances, minnie.lastConfirmedBlock.balances),
-      keyPair: this.keyPair,
+      startingBalances: utils.checkAddresses(config.startingBalances, this.lastConfirmedBlock.balances),
       knownMiners: this.knownMiners,
-	  //added
-	  mnemonic: config.mnemonic,
-	  
-    };
+    });
+    state = keystore.encryptConfig(state, this.exportWallet(), password);
 
     writeFileSync("sampleConfigs/"+fileName, JSON.stringify(state));
   }
@@ -136,49 +101,120 @@ console.clear();
  * ADDITIONAL IMPLEMENTATION:
  * Fixed genesis block generation by updating to createInstance
  */
-let blockchainInstance = Blockchain.createInstance({
-  blockClass: Block,
-  transactionClass: Transaction,
-  startingBalances: config.startingBalances
-});
+let blockchainInstance;
+try {
+  blockchainInstance = Blockchain.createInstance({
+    blockClass: Block,
+    transactionClass: Transaction,
+    startingBalances: config.startingBalances,
+    addressPrefix: config.addressPrefix,
+    allowLegacyAddresses: config.allowLegacyAddresses,
+    targetBlockTime: config.targetBlockTime,
+    coinbaseReward: config.coinbaseReward,
+    halvingInterval: config.halvingInterval,
+    rewardDecay: config.rewardDecay,
+    supplyCap: config.supplyCap,
+  });
+} catch (e) {
+  console.error(`***${e.message}`);
+  process.exit(1);
+}
+// Every node must start from the same genesis block, so it cannot depend on when the node started.
+blockchainInstance.genesis.timestamp = 0;
 
 console.log(`Starting ${name}`);
-//generates mnemonic for config if no config is found
 
-//console.log(config.mnemonic);
-let generatedMnemonic = false;
-if(config.mnemonic == undefined || config.mnemonic == ""){
-	config.mnemonic = utils.generateMnemonic();
-	generatedMnemonic = true;
-	
-}
+let rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
 
-//checks config mnemonic
+let configFileName = process.argv[2].split("/").pop();
 
-// ADDITIONAL IMPLEMENTATION: Added field to accept mnemonic
-let minnie = new TcpMiner({name: name, keyPair: config.keyPair, connection: config.connection, startingBlock: blockchainInstance.genesis, mnemonic: config.mnemonic});
+// Password protecting the wallet file, kept so that saving does not ask again.
+let walletPassword;
 
-// Silencing the logging messages
-minnie.log = function(){};
+let minnie;
+let address;
 
-// Register with known miners and begin mining.
-minnie.initialize(knownMiners);
+/**
+ * ADDITIONAL IMPLEMENTATION:
+ * Creates the miner from the (decrypted) wallet details and begins mining.
+ * 
+ * @param {Object} walletState - Details from Client.exportWallet, or at least a mnemonic.
+ */
+function startMiner(walletState) {
+  // ADDITIONAL IMPLEMENTATION: Added field to accept mnemonic
+  minnie = new TcpMiner(Object.assign({
+    name: name,
+    connection: config.connection,
+    startingBlock: blockchainInstance.genesis,
+  }, walletState));
 
-//saves the Json if mnemonic is generated
-//basically autosave
+  // Silencing the logging messages
+  minnie.log = function(){};
 
-if(generatedMnemonic){
-	let argvSplit = process.argv[2].split("/");
-	minnie.saveJson(argvSplit[argvSplit.length-1]);
+  // Register with known miners and begin mining.
+  minnie.initialize(knownMiners);
+
+  address = minnie.address;
 }
-//console.log(utils.checkAddresses(config.startingBalances, minnie.lastConfirmedBlock.balances));
 
-let rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+/**
+ * ADDITIONAL IMPLEMENTATION:
+ * Asks for a new wallet password (if one has not been given yet) and saves the config.
+ * 
+ * @param {String} fileName - Name of the file in sampleConfigs/.
+ * @param {Function} next - Called once the file is written.
+ */
+function saveWallet(fileName, next) {
+  if (walletPassword) {
+    minnie.saveJson(fileName, walletPassword);
+    return next();
+  }
+  keystore.askPassword(rl, `  new wallet password: `, (pw) => {
+    if (pw === "") {
+      console.log(`***A password is required to save the wallet.`);
+      return saveWallet(fileName, next);
+    }
+    walletPassword = pw;
+    minnie.saveJson(fileName, walletPassword);
+    next();
+  });
+}
 
-let address = minnie.address;
+if (config.wallet) {
+  // The wallet is encrypted, so it must be unlocked before the miner can start.
+  keystore.askPassword(rl, `  wallet password: `, (pw) => {
+    let walletState;
+    try {
+      walletState = keystore.decrypt(config.wallet, pw);
+    } catch (e) {
+      console.error(`***Could not unlock wallet: ${e.message}`);
+      process.exit(1);
+    }
+    walletPassword = pw;
+    if (keystore.hasPlaintextSecrets(config)) {
+      // Keys left in the clear next to the wallet are removed from the file, and kept in the wallet.
+      writeFileSync(process.argv[2], JSON.stringify(keystore.encryptConfig(config, walletState, pw)));
+      walletState = keystore.importConfigKeyPair(config, walletState);
+    }
+    startMiner(walletState);
+    readUserInput();
+  });
+} else if (config.mnemonic == undefined || config.mnemonic == "") {
+  // No wallet yet, so we generate a mnemonic and save it encrypted right away.
+  startMiner({ mnemonic: utils.generateMnemonic() });
+  saveWallet(configFileName, readUserInput);
+} else {
+  // Older configs held the mnemonic in plaintext.  It is encrypted before the miner starts.
+  let walletState = { mnemonic: config.mnemonic, derivationIndexes: config.derivationIndexes };
+  keystore.migrateConfig(rl, process.argv[2], config, walletState, (pw, migrated) => {
+    walletPassword = pw;
+    startMiner(migrated);
+    readUserInput();
+  });
+}
 
 function readUserInput() {
   rl.question(`
@@ -190,10 +226,18 @@ function readUserInput() {
   *(c)onnect to miner?
   *(t)ransfer funds?
   *genereate new (a)ddress
+  *(e)xport an unsigned transaction for offline signing?
+  *(i)mport a signed transaction and broadcast it?
+  *export a (w)atch-only wallet?
+  *write your public (k)ey to a file for co-signers?
+  *create a (m)ultisig address?
   *(r)esend pending transactions?
+  *re(p)lace a stuck pending transaction with a higher fee, or cancel it?
+  *(n)otarize a file, or check when it was notarized?
   *show (b)alances?
   *show blocks for (d)ebugging and exit?
-  *show all UTXO balances
+  *show all (u)TXO balances
+  *show transaction (h)istory
   *(f)und recovery
   *(s)ave your state?
   *e(x)it without saving?
@@ -208,6 +252,7 @@ function readUserInput() {
       case 'b':
         console.log("  Balances: ");
         minnie.showAllBalances();
+        console.log(`  Total supply: ${minnie.totalSupply()}`);
         break;
       case 'c':
         rl.question(`  port: `, (p) => {
@@ -224,21 +269,194 @@ function readUserInput() {
             readUserInput();
           } else {
             rl.question(`  address: `, (addr) => {
-              let output = {amount: amt, address: addr};
-              console.log(`Transferring ${amt} gold to ${addr}.`);
-              minnie.postTransaction([output]);
-              readUserInput();
+              addr = addr.trim();
+              try {
+                Blockchain.validateAddress(addr);
+              } catch (e) {
+                console.log(`***${e.message}`);
+                return readUserInput();
+              }
+              rl.question(`  memo (blank for none): `, (memo) => {
+                rl.question(`  mine within how many blocks (blank for the minimum fee): `, (target) => {
+                  let output = {amount: amt, address: addr};
+                  let opts = memo.trim() === "" ? {} : { data: { memo: memo.trim() } };
+                  let fee = target.trim() === "" ? undefined : { target: parseInt(target, 10) };
+                  try {
+                    let tx = minnie.postTransaction([output], fee, opts);
+                    console.log(`Transferring ${amt} gold to ${addr}, paying a fee of ${tx.fee}.`);
+                  } catch (e) {
+                    console.log(`***${e.message}`);
+                  }
+                  readUserInput();
+                });
+              });
             });
           }
         });
         break;
+      /**
+       * ADDITIONAL IMPLEMENTATION:
+       * Writes an unsigned transaction to a file, to be signed by offline-signer.js
+       */
+      case 'e':
+        rl.question(`  amount: `, (amt) => {
+          amt = Number(amt.trim());
+          if (!Number.isSafeInteger(amt) || amt <= 0) {
+            console.log(`***The amount must be a positive whole number.`);
+            return readUserInput();
+          }
+          rl.question(`  address: `, (addr) => {
+            rl.question(`  spend from (blank for your own funds, or a multisig address): `, (from) => {
+              rl.question(`  file name: `, (fname) => {
+                try {
+                  let opts = from.trim() === "" ? {} : { from: from.trim() };
+                  let ptx = minnie.createPartialTransaction([{amount: amt, address: addr.trim()}], undefined, opts);
+                  writeFileSync(fname, ptx.serialize());
+                  console.log(`Wrote unsigned transaction ${ptx.id} to ${fname}.`);
+                } catch (e) {
+                  console.log(`***${e.message}`);
+                }
+                readUserInput();
+              });
+            });
+          });
+        });
+        break;
+      /**
+       * ADDITIONAL IMPLEMENTATION:
+       * Reads a signed transaction from a file, adds any signatures this wallet can, and broadcasts it.
+       * If co-signers still need to sign, the file is updated for the next one instead
+       */
+      case 'i':
+        rl.question(`  file name: `, (fname) => {
+          try {
+            let ptx = PartialTransaction.deserialize(readFileSync(fname, 'utf8'));
+            minnie.signPartialTransaction(ptx);
+            if (!ptx.isComplete()) {
+              writeFileSync(fname, ptx.serialize());
+              console.log(`Signed ${fname}; inputs ${ptx.missingSignatures().join(', ')} still need co-signers.`);
+              return readUserInput();
+            }
+            let tx = minnie.finalizePartialTransaction(ptx);
+            console.log(`Broadcast transaction ${tx.id}.`);
+          } catch (e) {
+            console.log(`***${e.message}`);
+          }
+          readUserInput();
+        });
+        break;
+      /**
+       * ADDITIONAL IMPLEMENTATION:
+       * Writes the public keys of the wallet to a file, for a watch-only client that holds no private keys
+       */
+      case 'w':
+        rl.question(`  file name: `, (fname) => {
+          let material = minnie.exportWatchOnly();
+          writeFileSync(fname, JSON.stringify(material, null, 2));
+          console.log(`Wrote ${material.publicKeys.length} public keys to ${fname}.`);
+          readUserInput();
+        });
+        break;
+      /**
+       * ADDITIONAL IMPLEMENTATION:
+       * Writes the public key of the current address to a file, for co-signers creating a multisig address
+       */
+      case 'k':
+        rl.question(`  file name: `, (fname) => {
+          writeFileSync(fname, minnie.keyPair.public);
+          console.log(`Wrote the public key of ${address} to ${fname}.`);
+          readUserInput();
+        });
+        break;
+      /**
+       * ADDITIONAL IMPLEMENTATION:
+       * Creates an m-of-n multisig address from this wallet's key and the key files of the co-signers
+       */
+      case 'm':
+        rl.question(`  co-signers' key files (comma-separated): `, (files) => {
+          rl.question(`  signatures required: `, (threshold) => {
+            rl.question(`  label: `, (label) => {
+              try {
+                let keys = files.split(',').map((f) => readFileSync(f.trim(), 'utf8'));
+                keys.push(minnie.keyPair.public);
+                let msAddr = minnie.createMultisigAddress(parseInt(threshold, 10), keys, label.trim() || undefined);
+                console.log(`Multisig address ${msAddr} (${threshold} of ${keys.length}).`);
+              } catch (e) {
+                console.log(`***${e.message}`);
+              }
+              readUserInput();
+            });
+          });
+        });
+        break;
       case 'r':
         minnie.resendPendingTransactions();
         break;
+      /**
+       * ADDITIONAL IMPLEMENTATION:
+       * Replaces a pending transaction with one paying a higher fee, or cancels it by paying ourselves
+       */
+      case 'p':
+        rl.question(`  transaction id (or its first characters): `, (prefix) => {
+          prefix = prefix.trim();
+          let ids = [...minnie.pendingOutgoingTransactions.keys()].filter((id) => prefix !== "" && id.startsWith(prefix));
+          if (ids.length !== 1) {
+            console.log(`***${ids.length === 0 ? "No" : "More than one"} pending transaction matches ${prefix}.`);
+            return readUserInput();
+          }
+          rl.question(`  new fee (blank for the minimum): `, (fee) => {
+            rl.question(`  (r)eplace or (c)ancel: `, (choice) => {
+              fee = fee.trim() === "" ? undefined : parseInt(fee, 10);
+              try {
+                let tx = choice.trim().toLowerCase() === 'c' ?
+                  minnie.cancelTransaction(ids[0], fee) :
+                  minnie.replaceTransaction(ids[0], fee);
+                console.log(`Replaced ${ids[0]} with ${tx.id}, paying a fee of ${tx.fee}.`);
+              } catch (e) {
+                console.log(`***${e.message}`);
+              }
+              readUserInput();
+            });
+          });
+        });
+        break;
+      /**
+       * ADDITIONAL IMPLEMENTATION:
+       * Anchors the hash of a file in the blockchain as proof that it existed, or shows the block
+       * where it was anchored before
+       */
+      case 'n':
+        rl.question(`  file name: `, (fname) => {
+          let hash;
+          try {
+            hash = utils.hash(readFileSync(fname));
+          } catch (e) {
+            console.log(`***${e.message}`);
+            return readUserInput();
+          }
+          let [first] = minnie.findAnchoredTransactions(hash);
+          if (first) {
+            let {tx, block} = first;
+            console.log(`${fname} (${hash}) was anchored by transaction ${tx.id}`);
+            console.log(`  in block ${block.chainLength}, at ${new Date(block.timestamp).toISOString()}.`);
+            return readUserInput();
+          }
+          rl.question(`  ${hash} is not anchored yet.  Anchor it now? (y/n) `, (answer) => {
+            if (answer.trim().toLowerCase() === 'y') {
+              try {
+                let tx = minnie.anchorHash(hash, undefined, { data: { memo: fname } });
+                console.log(`Anchoring ${fname} in transaction ${tx.id}.`);
+              } catch (e) {
+                console.log(`***${e.message}`);
+              }
+            }
+            readUserInput();
+          });
+        });
+        break;
       case 's':
         rl.question(`  file name: `, (fname) => {
-          minnie.saveJson(fname);
-          readUserInput();
+          saveWallet(fname, readUserInput);
         });
         break;
       case 'd':
@@ -268,13 +486,28 @@ function readUserInput() {
         minnie.showAllUTXOs();
         readUserInput();
         break;
+      /**
+       * ADDITIONAL IMPLEMENTATION:
+       * Shows the payments sent and received by this wallet, and how confirmed they are
+       */
+      case 'h':
+        minnie.showTransactionHistory();
+        readUserInput();
+        break;
       /**
        * ADDITIONAL IMPLEMENTATION:
        * Allows user to recover funds that exist in the block but they don't have in their wallet
        */
       case 'f':
-        rl.question(`Max Retries: `, (attempts) => {
-          minnie.recoverFunds(attempts);
+        rl.question(`Max Retries (blank for 5): `, (attempts) => {
+          attempts = attempts.trim();
+          if (attempts === "") {
+            minnie.recoverFunds();
+          } else if (/^\d+$/.test(attempts) && parseInt(attempts, 10) > 0) {
+            minnie.recoverFunds(parseInt(attempts, 10));
+          } else {
+            console.log(`***The number of retries must be a positive whole number.`);
+          }
           readUserInput();
         });
         break;
@@ -285,6 +518,3 @@ function readUserInput() {
     setTimeout(readUserInput, 0);
   });
 }
-
-readUserInput();
-
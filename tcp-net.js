@@ -0,0 +1,92 @@
+"use strict";
+
+const net = require('net');
+
+const FakeNet = require('./fake-net.js');
+
+const REGISTER = "REGISTER";
+
+/**
+ * This extends the FakeNet class to actually communicate over the network.
+ *
+ * ADDITIONAL IMPLEMENTATION: Moved out of tcp-miner.js, so that light clients can use it too.
+ * Each message is sent over its own connection, which is closed once the message is written,
+ * so a message too large for one chunk is read in full before it is parsed.  Messages to
+ * peers that cannot be reached are dropped.
+ */
+module.exports = class TcpNet extends FakeNet {
+  static get REGISTER() { return REGISTER; }
+
+  sendMessage(address, msg, o) {
+    if (typeof o === 'string') o = JSON.parse(o);
+    let data = {msg, o};
+    const client = this.clients.get(address);
+    let clientConnection = net.connect(client.connection, () => {
+      clientConnection.end(JSON.stringify(data));
+    });
+    // A peer that has gone away, such as a light client that was closed, misses the message,
+    // just as messages may be lost on a FakeNet.
+    clientConnection.on('error', () => {});
+  }
+
+  /**
+   * ADDITIONAL IMPLEMENTATION:
+   *
+   * Listens for messages to a client on its connection's port, passing them on to the client.
+   * A peer announcing itself with a REGISTER message is registered, and if it is new, we register
+   * with it in turn.  The client also receives the REGISTER message, once the peer is registered.
+   * Messages that cannot be parsed, or that the client fails to handle, are logged and dropped.
+   *
+   * @param {Client} client - The client, with its connection details in client.connection.
+   *
+   * @returns {net.Server} - The server listening for messages.
+   */
+  listen(client) {
+    let srvr = net.createServer();
+    srvr.on('connection', (socket) => {
+      client.log('Received connection');
+      let chunks = [];
+      socket.on('data', (data) => chunks.push(data));
+      socket.on('end', () => {
+        // Any peer may connect, so a malformed or truncated message, or one whose contents the
+        // client cannot handle, is dropped rather than taking the node down.
+        try {
+          let {msg, o} = JSON.parse(Buffer.concat(chunks).toString());
+          if (msg === REGISTER) {
+            if (!this.recognizes(o)) {
+              this.registerWith(client, o.connection);
+            }
+            client.log(`Registering ${JSON.stringify(o)}`);
+            this.register(o);
+          }
+          client.emit(msg, o);
+        } catch (e) {
+          client.log(`Dropping a malformed message: ${e.message}`);
+        }
+      });
+    });
+    srvr.listen(client.connection.port);
+    return srvr;
+  }
+
+  /**
+   * Announces a client to the peer at the given connection, so that the peer sends it messages.
+   *
+   * @param {Client} client - The client, with its connection details in client.connection.
+   * @param {Object} peerConnection - The connection information for the peer.
+   */
+  registerWith(client, peerConnection) {
+    client.log(`Connection: ${JSON.stringify(peerConnection)}`);
+    let conn = net.connect(peerConnection, () => {
+      let data = {
+        msg: REGISTER,
+        o: {
+          name: client.name,
+          address: client.address,
+          connection: client.connection,
+        }
+      };
+      conn.end(JSON.stringify(data));
+    });
+  }
+};
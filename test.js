@@ -1,22 +1,51 @@
 "use strict";
 
 const assert = require('chai').assert;
+const fs = require('fs');
 
 const utils = require('./utils.js');
 
 const Block = require('./block.js');
+const HDKey = require('./hdkey.js');
+const base58 = require('./base58.js');
+const { Mnemonic } = require('./mnemonic.js');
+const shamir = require('./shamir.js');
+const bip39 = require('bip39');
+const keystore = require('./keystore.js');
+const coinSelection = require('./coin-selection.js');
 const Blockchain = require('./blockchain.js');
 const Client = require('./client.js');
 const Miner = require('./miner.js');
+const LightClient = require('./light-client.js');
 const Transaction = require('./transaction.js');
+const PartialTransaction = require('./partial-transaction.js');
 
 // Generating keypair for multiple test cases, since key generation is slow.
 const kp = utils.generateKeypair();
 let addr = utils.calcAddress(kp.public);
 
+// A key of the kind used before the switch to secp256k1.
+const rsaKp = utils.generateKeypair(utils.RSA);
+let rsaAddr = utils.calcAddress(rsaKp.public);
+
+// A valid address for clients to pay.
+const payee = utils.calcAddress(utils.generateKeypair().public);
+
 // Adding a POW target that should be trivial to match.
 const EASY_POW_TARGET = BigInt("0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff");
 
+// Makes a genesis block with the given balances, and starts any clients given from it, with their logging silenced.
+let startChain = (balances, ...clients) => {
+  let g = new Block("8e7912");
+  g.balances = new Map(balances);
+  clients.forEach((client) => {
+    client.log = function(){};
+    client.blocks = new Map([[g.id, g]]);
+    client.lastConfirmedBlock = client.lastBlock = g;
+  });
+  return g;
+};
+
 // Setting blockchain configuration.  (Usually this would be done during the creation of the genesis block.)
 Blockchain.createInstance({ blockClass: Block, transactionClass: Transaction });
 
@@ -30,13 +59,447 @@ describe('utils', () => {
     it('should reject an invalid signature', () => {
       assert.ok(!utils.verifySignature(kp.public, "goodbye", sig));
     });
+
+    it('should still verify RSA signatures', () => {
+      let rsaSig = utils.sign(rsaKp.private, "hello");
+      assert.ok(utils.verifySignature(rsaKp.public, "hello", rsaSig));
+      assert.ok(!utils.verifySignature(rsaKp.public, "goodbye", rsaSig));
+    });
+  });
+
+  describe('.calcAddress', () => {
+    it('should start secp256k1 addresses with a version byte', () => {
+      assert.equal(utils.keyType(kp.public), utils.SECP256K1);
+      let payload = base58.decodeCheck(addr);
+      assert.equal(payload[0], utils.DEFAULT_ADDRESS_PREFIX);
+      assert.equal(payload[1], 0x01);
+      assert.equal(payload.length, 22);
+    });
+
+    it('should give other networks different addresses', () => {
+      assert.notEqual(utils.calcAddress(kp.public, 0x40), addr);
+      assert.ok(utils.addressMatchesKey(utils.calcAddress(kp.public, 0x40), kp.public));
+    });
+
+    it('should keep the unversioned address of RSA keys', () => {
+      assert.equal(utils.calcAddress(rsaKp.public), utils.hash(rsaKp.public, 'base64'));
+    });
+  });
+
+  describe('.validateAddress', () => {
+    it('should accept a valid address', () => {
+      utils.validateAddress(addr);
+    });
+
+    it('should catch a mistyped character', () => {
+      let i = 10;
+      let typo = addr.slice(0, i) + (addr[i] === 'z' ? 'y' : 'z') + addr.slice(i+1);
+      assert.throws(() => utils.validateAddress(typo), /checksum mismatch/);
+    });
+
+    it('should reject characters outside of Base58', () => {
+      assert.throws(() => utils.validateAddress(`0${addr.slice(1)}`), /character '0' at position 1/);
+    });
+
+    it('should reject addresses for another network', () => {
+      assert.throws(() => utils.validateAddress(utils.calcAddress(kp.public, 0x40)), /another network/);
+      utils.validateAddress(utils.calcAddress(kp.public, 0x40), { prefix: 0x40 });
+    });
+
+    it('should only accept legacy addresses when allowed', () => {
+      assert.throws(() => utils.validateAddress(rsaAddr), /legacy/);
+      utils.validateAddress(rsaAddr, { allowLegacy: true });
+    });
+  });
+
+  describe('.multisigScript', () => {
+    let kp2 = utils.generateKeypair();
+
+    it('should give the same address whatever the order of the keys', () => {
+      let script = utils.multisigScript(2, [kp.public, rsaKp.public, kp2.public]);
+      let msAddr = utils.calcAddress(script);
+      assert.equal(utils.calcAddress(utils.multisigScript(2, [kp2.public, kp.public, rsaKp.public])), msAddr);
+      assert.equal(base58.decodeCheck(msAddr)[1], 0x02);
+      assert.notEqual(utils.calcAddress(utils.multisigScript(1, [kp.public, rsaKp.public, kp2.public])), msAddr);
+      utils.validateAddress(msAddr);
+    });
+
+    it('should reject a threshold out of range', () => {
+      assert.throws(() => utils.multisigScript(3, [kp.public, kp2.public]), /threshold 3/);
+      assert.throws(() => utils.multisigScript(0, [kp.public, kp2.public]), /threshold 0/);
+    });
+
+    it('should reject a key listed twice', () => {
+      assert.throws(() => utils.multisigScript(2, [kp.public, kp.public]), /more than once/);
+    });
+  });
+
+  describe('.htlcScript', () => {
+    let hashlock = utils.hashSecret(utils.generateSecret());
+
+    it('should give contracts their own address version', () => {
+      let script = utils.htlcScript({hashlock, claimKey: kp.public, refundKey: rsaKp.public, timeout: 10});
+      let htlcAddr = utils.calcAddress(script);
+      assert.equal(utils.keyType(script), utils.HTLC);
+      assert.equal(base58.decodeCheck(htlcAddr)[1], 0x03);
+      assert.notEqual(utils.calcAddress(Object.assign({}, script, {timeout: 11})), htlcAddr);
+      utils.validateAddress(htlcAddr);
+    });
+
+    it('should reject malformed terms', () => {
+      assert.throws(() => utils.htlcScript({hashlock: "abc", claimKey: kp.public, refundKey: rsaKp.public, timeout: 10}), /hashlock/);
+      assert.throws(() => utils.htlcScript({hashlock, claimKey: "nope", refundKey: rsaKp.public, timeout: 10}), /claim key/);
+      assert.throws(() => utils.htlcScript({hashlock, claimKey: kp.public, refundKey: rsaKp.public, timeout: -1}), /timeout -1/);
+      assert.throws(() => utils.htlcScript({hashlock, claimKey: kp.public, refundKey: rsaKp.public, timeout: 2**32}), /timeout/);
+    });
+
+    it('should not match a script with an out-of-range timeout to any address', () => {
+      let script = utils.htlcScript({hashlock, claimKey: kp.public, refundKey: rsaKp.public, timeout: 10});
+      let htlcAddr = utils.calcAddress(script);
+      let forged = Object.assign({}, script, {timeout: 2**33});
+      assert.isFalse(utils.addressMatchesKey(htlcAddr, forged));
+
+      let b = new Block(addr, new Block("8e7912"));
+      b.balances.set(htlcAddr, 100);
+      let tx = new Transaction({from: [htlcAddr], pubKey: [forged], outputs: [{amount: 50, address: addr}], fee: 1, nonce: 0});
+      assert.isFalse(b.addTransaction(tx));
+    });
+  });
+
+  describe('.merkleProof', () => {
+    let leaves = ["a", "b", "c", "d", "e"].map((s) => utils.hash(s));
+    let root = utils.merkleRoot(leaves);
+
+    it('should prove every leaf, including one carried up without a partner', () => {
+      leaves.forEach((leaf) => assert.isTrue(utils.verifyMerkleProof(leaf, utils.merkleProof(leaves, leaf), root)));
+      assert.lengthOf(utils.merkleProof(leaves, leaves[4]), 1);
+      assert.isTrue(utils.verifyMerkleProof(leaves[0], [], utils.merkleRoot(leaves.slice(0, 1))));
+    });
+
+    it('should reject a proof for another leaf or root', () => {
+      let proof = utils.merkleProof(leaves, leaves[1]);
+      assert.isFalse(utils.verifyMerkleProof(leaves[2], proof, root));
+      assert.isFalse(utils.verifyMerkleProof(leaves[1], proof, utils.merkleRoot(leaves.slice(0, 4))));
+      assert.throws(() => utils.merkleProof(leaves, utils.hash("f")), /not a leaf/);
+    });
+
+    it('should give different roots when a last leaf is repeated', () => {
+      assert.notEqual(utils.merkleRoot(leaves.concat(leaves[4])), root);
+    });
+
+    it('should not give a list of inner nodes the root of the leaves below them', () => {
+      let inner = utils.merkleRoot(leaves.slice(0, 2));
+      assert.notEqual(utils.merkleRoot([inner, leaves[2]]), utils.merkleRoot(leaves.slice(0, 3)));
+      assert.isFalse(utils.verifyMerkleProof(inner, [{hash: leaves[2], left: false}], utils.merkleRoot(leaves.slice(0, 3))));
+    });
+  });
+
+  describe('.generateKeypairFromMnemonic', () => {
+    it('should use the derived node as the secp256k1 key', () => {
+      let mnemonic = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+      let keyPair = utils.generateKeypairFromMnemonic(mnemonic, "", "m/0'");
+      let node = HDKey.fromSeed(bip39.mnemonicToSeedSync(mnemonic, "")).derive("m/0'");
+      assert.equal(keyPair.public, utils.secp256k1PublicKeyToPem(node.publicKey));
+      assert.ok(utils.verifySignature(keyPair.public, "hello", utils.sign(keyPair.private, "hello")));
+    });
+  });
+});
+
+describe('HDKey', () => {
+  // Test vector 1 from BIP32.
+  let master = HDKey.fromSeed("000102030405060708090a0b0c0d0e0f");
+
+  describe('.fromSeed', () => {
+    it('should produce the master key and chain code', () => {
+      assert.equal(master.privateKey.toString('hex'), "e8f32e723decf4051aefac8e2c93c9c5b214313817cdb01a1494b917c8436b35");
+      assert.equal(master.chainCode.toString('hex'), "873dff81c02f525623fd1fe5167eac3a55a049de3d314bb42ee227ffed37d508");
+    });
+  });
+
+  describe('#derive', () => {
+    it('should derive hardened and normal children along a path', () => {
+      let node = master.derive("m/0'/1/2'/2/1000000000");
+      assert.equal(node.privateKey.toString('hex'), "471b76e389e528d6de6d816857e012c5455051cad6660850e58372a6c3e6e7c8");
+      assert.equal(node.depth, 5);
+    });
+
+    it('should match deriving each child in turn', () => {
+      let node = master.deriveChild(HDKey.HARDENED_OFFSET).deriveChild(1);
+      assert.equal(node.publicKey.toString('hex'), "03501e454bf00751f24b1b489aa925215d66af2234e3891c3b21a52bedb3cd711c");
+      assert.equal(master.derive("m/0'/1").privateKey.toString('hex'), node.privateKey.toString('hex'));
+    });
+
+    it('should reject malformed paths', () => {
+      assert.throws(() => master.derive("0/1"));
+      assert.throws(() => master.derive("m/x"));
+    });
+  });
+
+  describe('#toExtendedPublicKey', () => {
+    it('should serialize nodes as in the BIP32 test vectors', () => {
+      assert.equal(master.toExtendedPublicKey(), "xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8");
+      assert.equal(master.derive("m/0'/1").toExtendedPublicKey(), "xpub6ASuArnXKPbfEwhqN6e3mwBcDTgzisQN1wXN9BJcM47sSikHjJf3UFHKkNAWbWMiGj7Wf5uMash7SyYq527Hqck2AxYysAA7xmALppuCkwQ");
+    });
+  });
+
+  describe('.fromExtendedKey', () => {
+    let account = master.derive("m/0'");
+    let watcher = HDKey.fromExtendedKey(account.toExtendedPublicKey());
+
+    it('should derive the same public keys as the private node', () => {
+      assert.isNull(watcher.privateKey);
+      let expected = account.deriveChild(1).deriveChild(2).publicKey.toString('hex');
+      assert.equal(watcher.deriveChild(1).deriveChild(2).publicKey.toString('hex'), expected);
+    });
+
+    it('should refuse to derive hardened children', () => {
+      assert.throws(() => watcher.deriveChild(HDKey.HARDENED_OFFSET), /Hardened/);
+    });
+
+    it('should reject a corrupted key', () => {
+      let xpub = account.toExtendedPublicKey();
+      let corrupted = xpub.slice(0, -1) + (xpub.endsWith('a') ? 'b' : 'a');
+      assert.throws(() => HDKey.fromExtendedKey(corrupted), /checksum/);
+    });
+  });
+});
+
+describe('Mnemonic', () => {
+  describe('#words', () => {
+    it('should match the BIP39 test vectors', () => {
+      let m = new Mnemonic({ entropy: "00000000000000000000000000000000" });
+      assert.equal(m.words(), "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about");
+      m = new Mnemonic({ entropy: "7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f" });
+      assert.equal(m.words(), "legal winner thank year wave sausage worth useful legal winner thank year wave sausage worth useful legal will");
+    });
+
+    it('should generate phrases of every length that bip39 accepts', () => {
+      [128, 160, 192, 224, 256].forEach((strength) => {
+        let m = new Mnemonic({ strength });
+        let words = m.words();
+        assert.lengthOf(words.split(' '), strength * 33 / 32 / 11);
+        assert.isTrue(bip39.validateMnemonic(words));
+        assert.equal(bip39.mnemonicToEntropy(words), m.entropy.toString('hex'));
+      });
+    });
+
+    it('should support the other bip39 wordlists', () => {
+      ['spanish', 'japanese', 'chinese_simplified'].forEach((wordlist) => {
+        let words = new Mnemonic({ strength: 128, wordlist }).words();
+        assert.isTrue(bip39.validateMnemonic(words, bip39.wordlists[wordlist]));
+        assert.isTrue(Mnemonic.validate(words, wordlist).isValid());
+      });
+    });
+  });
+
+  describe('.validate', () => {
+    it('should accept phrases generated by bip39', () => {
+      let words = bip39.generateMnemonic(160);
+      assert.equal(Mnemonic.validate(words).entropy.toString('hex'), bip39.mnemonicToEntropy(words));
+    });
+
+    it('should name the word that is not in the wordlist', () => {
+      let words = "abandon abandon abandon abandon abandon abandon abandn abandon abandon abandon abandon about";
+      assert.throws(() => Mnemonic.validate(words), /word 7 not in wordlist/);
+    });
+
+    it('should reject a phrase with a bad checksum', () => {
+      assert.throws(() => Mnemonic.validate("abandon ".repeat(12)), /checksum mismatch/);
+    });
+
+    it('should reject phrases of the wrong length', () => {
+      assert.throws(() => Mnemonic.validate("abandon ".repeat(13)), /expected 12, 15, 18, 21 or 24 words/);
+    });
+  });
+
+  describe('#generateSeed', () => {
+    it('should produce the same seed as bip39', () => {
+      let m = new Mnemonic({ strength: 128 });
+      assert.equal(m.generateSeed("pswd"), bip39.mnemonicToSeedSync(m.words(), "pswd").toString('hex'));
+    });
+  });
+});
+
+describe('shamir', () => {
+  let mnemonic = new Mnemonic({ strength: 128 });
+  let shares = shamir.split(mnemonic, 3, 5);
+
+  describe('.combine', () => {
+    it('should recover the mnemonic from any threshold of shares', () => {
+      assert.equal(shamir.combine([shares[4], shares[0], shares[2]]).words(), mnemonic.words());
+      assert.equal(shamir.combine([shares[1], shares[3], shares[2], shares[0]]).words(), mnemonic.words());
+    });
+
+    it('should require enough distinct shares', () => {
+      assert.throws(() => shamir.combine([shares[0], shares[1]]), /Need 3 shares/);
+      assert.throws(() => shamir.combine([shares[0], shares[1], shares[1]]), /more than once/);
+    });
+
+    it('should detect shares from a different split', () => {
+      let other = shamir.split(mnemonic, 3, 5);
+      assert.throws(() => shamir.combine([shares[0], shares[1], other[2]]), /mixed up/);
+      let sameGroup = shamir.split(mnemonic, 3, 5, { id: shamir.parseShare(shares[0]).id });
+      assert.throws(() => shamir.combine([shares[0], shares[1], sameGroup[2]]), /one of the shares is wrong/);
+    });
+
+    it('should detect mistyped words', () => {
+      let words = shares[2].split(' ');
+      words[3] = words[3] === "abandon" ? "ability" : "abandon";
+      assert.throws(() => shamir.combine([shares[0], shares[1], words.join(' ')]), /Share 3: checksum mismatch/);
+    });
+  });
+
+  describe('.split', () => {
+    it('should reject impossible schemes', () => {
+      assert.throws(() => shamir.split(mnemonic, 4, 3), /Invalid sharing scheme/);
+      assert.throws(() => shamir.split(mnemonic, 2, 17), /Invalid sharing scheme/);
+    });
+  });
+});
+
+describe('base58', () => {
+  it('should keep leading zero bytes', () => {
+    let buf = Buffer.from("00000102ff", 'hex');
+    assert.equal(base58.encode(buf), "11LiA");
+    assert.equal(base58.decode("11LiA").toString('hex'), "00000102ff");
+  });
+
+  it('should reject characters outside the alphabet', () => {
+    assert.throws(() => base58.decode("0OIl"), /Invalid Base58 character/);
+  });
+});
+
+describe('keystore', () => {
+  let wallet = { mnemonic: "antenna dwarf settle", derivationIndexes: { 0: 3, 1: 1, 2: 0 }, labels: { abc: "savings" } };
+
+  describe('.encrypt', () => {
+    it('should not store the wallet details in plaintext', () => {
+      let file = JSON.stringify(keystore.encrypt(wallet, "hunter2"));
+      assert.notInclude(file, "antenna");
+      assert.notInclude(file, "savings");
+    });
+  });
+
+  describe('.decrypt', () => {
+    it('should restore the wallet details with the right password', () => {
+      assert.deepEqual(keystore.decrypt(keystore.encrypt(wallet, "hunter2"), "hunter2"), wallet);
+      let pbkdf2File = keystore.encrypt(wallet, "hunter2", {kdf: 'pbkdf2'});
+      assert.deepEqual(keystore.decrypt(pbkdf2File, "hunter2"), wallet);
+    });
+
+    it('should give a clear error for a wrong password', () => {
+      let file = keystore.encrypt(wallet, "hunter2");
+      assert.throws(() => keystore.decrypt(file, "hunter3"), /Incorrect password/);
+    });
+
+    it('should reject unknown file versions', () => {
+      let file = keystore.encrypt(wallet, "hunter2");
+      file.version = 99;
+      assert.throws(() => keystore.decrypt(file, "hunter2"), /Unsupported wallet file version/);
+    });
+  });
+
+  describe('.encryptConfig', () => {
+    let config = { name: "Minnie", addressPrefix: 0x27, mnemonic: wallet.mnemonic, derivationIndexes: wallet.derivationIndexes,
+      keyPair: { public: "pub", private: "priv" } };
+
+    it('should move the plaintext secrets of a config into the wallet', () => {
+      assert.isTrue(keystore.hasPlaintextSecrets(config));
+      let encrypted = keystore.encryptConfig(config, wallet, "hunter2");
+      assert.isFalse(keystore.hasPlaintextSecrets(encrypted));
+      assert.notInclude(JSON.stringify(encrypted), "antenna");
+      assert.notInclude(JSON.stringify(encrypted), "priv");
+      assert.equal(encrypted.addressPrefix, 0x27);
+      let restored = keystore.decrypt(encrypted.wallet, "hunter2");
+      assert.equal(restored.mnemonic, wallet.mnemonic);
+      assert.deepEqual(restored.importedKeys, [config.keyPair]);
+    });
+
+    it('should hand the migrated wallet, key pair included, to the caller', (done) => {
+      let fileName = `${require('os').tmpdir()}/spartan-gold-migrate-${process.pid}.json`;
+      let rl = { question: (query, callback) => callback("hunter2"), _writeToOutput: function(){} };
+      let log = console.log;
+      console.log = function(){};
+      keystore.migrateConfig(rl, fileName, config, wallet, (password, migrated) => {
+        console.log = log;
+        let written = JSON.parse(fs.readFileSync(fileName));
+        fs.unlinkSync(fileName);
+        assert.equal(password, "hunter2");
+        assert.deepEqual(migrated.importedKeys, [config.keyPair]);
+        assert.deepEqual(keystore.decrypt(written.wallet, "hunter2"), migrated);
+        done();
+      });
+    });
+
+    it('should leave no plaintext secrets in the sample configs', () => {
+      ['mickey', 'minnie', 'sample', 'test'].forEach((name) => {
+        let sample = JSON.parse(fs.readFileSync(`${__dirname}/sampleConfigs/${name}.json`));
+        assert.isFalse(keystore.hasPlaintextSecrets(sample), name);
+      });
+    });
+
+    it('should derive secp256k1 keys for the sample wallets, keeping legacy key pairs as imported keys', () => {
+      let sample = JSON.parse(fs.readFileSync(`${__dirname}/sampleConfigs/minnie.json`));
+      let wallet = keystore.decrypt(sample.wallet, "spartan");
+      let client = new Client(Object.assign({ net: { broadcast: function(){} } }, wallet));
+      assert.equal(utils.keyType(client.keyPair.public), utils.SECP256K1);
+      let legacy = client.wallet.find(({imported}) => imported);
+      assert.equal(utils.keyType(legacy.keyPair.public), utils.RSA);
+    });
+  });
+});
+
+describe('coin selection', () => {
+  let candidates = [
+    {address: "a", amount: 10, cluster: "savings"},
+    {address: "b", amount: 40},
+    {address: "c", amount: 25, cluster: "savings"},
+    {address: "d", amount: 5},
+    {address: "e", amount: 30, cluster: "savings"},
+  ];
+  let addrs = (selected) => selected.map(({address}) => address);
+
+  describe('.select', () => {
+    it('should spend the oldest entries first with oldest-first', () => {
+      assert.deepEqual(addrs(coinSelection.select('oldest-first', candidates, 45)), ["a", "b"]);
+    });
+
+    it('should spend the fewest entries with largest-first', () => {
+      assert.deepEqual(addrs(coinSelection.select('largest-first', candidates, 45)), ["b", "e"]);
+    });
+
+    it('should pick the smallest single entry that covers the target', () => {
+      assert.deepEqual(addrs(coinSelection.select('smallest-sufficient', candidates, 26)), ["e"]);
+    });
+
+    it('should find an exact match with branch-and-bound', () => {
+      let selected = coinSelection.select('branch-and-bound', candidates, 35);
+      assert.equal(selected.reduce((sum, {amount}) => sum + amount, 0), 35);
+    });
+
+    it('should keep to one cluster with the privacy strategy', () => {
+      assert.sameMembers(addrs(coinSelection.select('privacy', candidates, 50)), ["e", "c"]);
+    });
+
+    it('should accept a custom strategy function', () => {
+      let lastFirst = (cands) => cands.slice(-1);
+      assert.deepEqual(addrs(coinSelection.select(lastFirst, candidates, 20)), ["e"]);
+    });
+
+    it('should return null if the candidates cannot cover the target', () => {
+      assert.isNull(coinSelection.select('largest-first', candidates, 1000));
+    });
+
+    it('should reject unknown strategies', () => {
+      assert.throws(() => coinSelection.select('random', candidates, 10), /Unknown coin selection strategy/);
+    });
   });
 });
 
 describe("Transaction", () => {
   let outputs = [{amount: 20, address: "ffff"},
                  {amount: 40, address: "face"}];
-  let t = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, fee: 1, nonce: 1});
+  let t = new Transaction({from: [addr], pubKey: [kp.public], outputs: outputs, fee: 1, nonce: 1});
   t.sign(kp.private);
 
   describe("#totalOutput", () => {
@@ -45,14 +508,263 @@ describe("Transaction", () => {
     });
   });
 
+  describe("#id", () => {
+    it('should not change for transactions signed with RSA keys only', () => {
+      let legacy = new Transaction({from: [rsaAddr], pubKey: [rsaKp.public], outputs: outputs, fee: 1, nonce: 1});
+      assert.deepEqual(legacy.keyType, [utils.RSA]);
+      assert.equal(legacy.id, utils.hash("TX" + JSON.stringify({
+        from: [rsaAddr], nonce: 1, pubKey: [rsaKp.public], outputs: outputs, fee: 1, data: {} })));
+    });
+
+    it('should include the key types otherwise', () => {
+      assert.deepEqual(t.keyType, [utils.SECP256K1]);
+      let relabeled = new Transaction(Object.assign({}, t, {keyType: [utils.RSA]}));
+      assert.notEqual(relabeled.id, t.id);
+    });
+  });
+
+  describe("#size", () => {
+    it('should count the keys and signatures of every input', () => {
+      let both = new Transaction({from: [addr, rsaAddr], pubKey: [kp.public, rsaKp.public], outputs: outputs, fee: 1, nonce: 1});
+      both.sign(kp.private, 0);
+      let partlySigned = both.size();
+      both.sign(rsaKp.private, 1);
+      // The signature, its quotes and a comma.
+      assert.equal(both.size(), partlySigned + both.sig[1].length + 3);
+      assert.isAbove(partlySigned, t.size() + rsaKp.public.length);
+    });
+  });
+
+  describe("#isUnlocked", () => {
+    let locked = new Transaction({from: [addr], pubKey: [kp.public], outputs: outputs, fee: 1, nonce: 1,
+      lock: {height: 10, time: 5000}});
+
+    it('should cover the lock in the ID', () => {
+      let unlocked = new Transaction({from: [addr], pubKey: [kp.public], outputs: outputs, fee: 1, nonce: 1});
+      assert.notEqual(locked.id, unlocked.id);
+      assert.equal(new Transaction(JSON.parse(JSON.stringify(locked))).id, locked.id);
+    });
+
+    // A stand-in for a block at the given height and median time past.
+    let at = (chainLength, time) => ({chainLength, medianTimePast: () => time});
+
+    it('should wait for both the height and the time', () => {
+      assert.isFalse(locked.isUnlocked(at(9, 6000)));
+      assert.isFalse(locked.isUnlocked(at(10, 4999)));
+      assert.isTrue(locked.isUnlocked(at(10, 5000)));
+      assert.isTrue(t.isUnlocked(at(0, 0)));
+    });
+
+    it('should go by the median time past, not the timestamp the miner picks', () => {
+      let timeLocked = new Transaction({from: [addr], pubKey: [kp.public], outputs: outputs, fee: 1, nonce: 1,
+        lock: {time: Date.now() + 60000}});
+      let b = new Block(addr, new Block("8e7912"));
+      b.timestamp = timeLocked.lock.time;
+      assert.isFalse(timeLocked.isUnlocked(b));
+    });
+
+    it('should never unlock a malformed lock', () => {
+      let bad = new Transaction({from: [addr], pubKey: [kp.public], outputs: outputs, fee: 1, nonce: 1, lock: {height: "10"}});
+      assert.isFalse(bad.isUnlocked(at(100, Date.now())));
+    });
+  });
+
+  describe("#validSignature", () => {
+    it('should accept inputs with RSA and secp256k1 keys together', () => {
+      let mixed = new Transaction({from: [rsaAddr, addr], pubKey: [rsaKp.public, kp.public], outputs: outputs, fee: 1, nonce: 1});
+      mixed.sign(rsaKp.private);
+      mixed.sign(kp.private);
+      assert.isTrue(mixed.validSignature());
+    });
+
+    it('should check the signature of every input', () => {
+      let mixed = new Transaction({from: [rsaAddr, addr], pubKey: [rsaKp.public, kp.public], outputs: outputs, fee: 1, nonce: 1});
+      mixed.sign(rsaKp.private);
+      mixed.sign(rsaKp.private);
+      assert.isFalse(mixed.validSignature());
+    });
+
+    it('should not share signatures with the transaction it was copied from', () => {
+      let copy = new Transaction(t);
+      copy.outputs = [{amount: 30, address: "ffff"}];
+      copy.sign(kp.private);
+      assert.lengthOf(t.sig, 1);
+      assert.lengthOf(copy.sig, 2);
+      assert.isTrue(t.validSignature());
+    });
+
+    it('should reject a key type that does not match the key', () => {
+      let relabeled = new Transaction({from: [addr], pubKey: [kp.public], keyType: [utils.RSA], outputs: outputs, fee: 1, nonce: 1});
+      relabeled.sign(kp.private);
+      assert.isFalse(relabeled.validSignature());
+    });
+
+    describe('with a multisig input', () => {
+      let kp2 = utils.generateKeypair();
+      let script = utils.multisigScript(2, [kp.public, rsaKp.public, kp2.public]);
+      let signers = script.keys.map((key) => [kp, rsaKp, kp2].find((k) => k.public === key));
+      let makeTx = () => new Transaction({from: [utils.calcAddress(script)], pubKey: [script], outputs: outputs, fee: 1, nonce: 1});
+
+      it('should accept threshold signatures from the listed keys', () => {
+        let tx = makeTx();
+        assert.deepEqual(tx.keyType, [utils.MULTISIG]);
+        tx.sign(signers[0].private, 0, 0);
+        tx.sign(signers[2].private, 0, 2);
+        assert.deepEqual(tx.sig[0][1], null);
+        assert.isTrue(tx.validSignature());
+      });
+
+      it('should reject fewer signatures than the threshold', () => {
+        let tx = makeTx();
+        tx.sign(signers[1].private, 0, 1);
+        assert.isFalse(tx.validSignature());
+      });
+
+      it('should not count a signature by the wrong key', () => {
+        let tx = makeTx();
+        tx.sign(signers[0].private, 0, 0);
+        tx.sign(signers[0].private, 0, 1);
+        assert.isFalse(tx.validSignature());
+      });
+    });
+
+    describe('with a contract input', () => {
+      let secret = utils.generateSecret();
+      let script = utils.htlcScript({hashlock: utils.hashSecret(secret), claimKey: kp.public, refundKey: rsaKp.public, timeout: 10});
+      let makeTx = () => new Transaction({from: [utils.calcAddress(script)], pubKey: [script], outputs: outputs, fee: 1, nonce: 1});
+
+      it('should accept a claim revealing the secret', () => {
+        let tx = makeTx();
+        tx.signContract(kp.private, 0, secret);
+        assert.isTrue(tx.isClaim(0));
+        assert.isTrue(tx.validSignature());
+      });
+
+      it('should reject a claim with the wrong secret', () => {
+        let tx = makeTx();
+        tx.signContract(kp.private, 0, utils.generateSecret());
+        assert.isFalse(tx.validSignature());
+      });
+
+      it('should only accept a refund signed by the refund key', () => {
+        let tx = makeTx();
+        tx.signContract(kp.private, 0);
+        assert.isFalse(tx.validSignature());
+        tx.signContract(rsaKp.private, 0);
+        assert.isFalse(tx.isClaim(0));
+        assert.isTrue(tx.validSignature());
+      });
+    });
+  });
+});
+
+describe('Blockchain', () => {
+  describe('.runWith', () => {
+    it("should let clients of another blockchain handle events with its settings.", () => {
+      let other = Blockchain.runWith(null, () => Blockchain.createInstance({ addressPrefix: 0x3f, net: { register: function(){} } }));
+      let client = Blockchain.runWith(other, () => new Client({name: "Olga", net: {}}));
+      utils.validateAddress(client.address, { prefix: 0x3f });
+      let prefixes = [];
+      client.on('PING', () => prefixes.push(Blockchain.ADDRESS_PREFIX));
+      client.emit('PING');
+      assert.deepEqual(prefixes, [0x3f]);
+      assert.equal(Blockchain.ADDRESS_PREFIX, utils.DEFAULT_ADDRESS_PREFIX);
+    });
+  });
+
+  describe('.coinbaseIssued', () => {
+    let makeChain = (cfg) => Blockchain.runWith(null, () => Blockchain.createInstance(Object.assign({
+      coinbaseReward: 8, halvingInterval: 3, net: { register: function(){} },
+    }, cfg)));
+
+    it("should cut the reward after every interval, until it runs out.", () => Blockchain.runWith(makeChain(), () => {
+      assert.equal(Blockchain.coinbaseRewardAt(0), 0);
+      assert.equal(Blockchain.coinbaseRewardAt(3), 8);
+      assert.equal(Blockchain.coinbaseRewardAt(4), 4);
+      assert.equal(Blockchain.coinbaseIssued(6), 8*3 + 4*3);
+      assert.equal(Blockchain.coinbaseIssued(1000), 8*3 + 4*3 + 2*3 + 1*3);
+      assert.equal(Blockchain.coinbaseRewardAt(1000), 0);
+      assert.throws(() => Blockchain.coinbaseIssued(-1), /height/);
+    }));
+
+    it("should follow the configured decay.", () => Blockchain.runWith(makeChain({rewardDecay: 0.75}), () => {
+      assert.deepEqual([1, 4, 7, 10, 13].map((h) => Blockchain.coinbaseRewardAt(h)), [8, 6, 4, 3, 2]);
+    }));
+
+    it("should stop issuing gold at the supply cap.", () => Blockchain.runWith(makeChain({supplyCap: 40}), () => {
+      assert.equal(Blockchain.coinbaseRewardAt(7), 2);
+      assert.equal(Blockchain.coinbaseRewardAt(8), 2);
+      assert.equal(Blockchain.coinbaseRewardAt(9), 0);
+      assert.equal(Blockchain.coinbaseIssued(1000), 40);
+    }));
+
+    it("should not walk every interval of a reward that never decays.", () => Blockchain.runWith(makeChain({halvingInterval: 1, rewardDecay: 1}), () => {
+      assert.equal(Blockchain.coinbaseIssued(1e12), 8e12);
+      assert.equal(Blockchain.coinbaseRewardAt(1e12), 8);
+      Blockchain.runWith(makeChain({halvingInterval: 1, rewardDecay: 1, supplyCap: 100}), () => {
+        assert.equal(Blockchain.coinbaseIssued(1e12), 100);
+      });
+    }));
+  });
+
+  describe('.expectedTarget', () => {
+    let bc = Blockchain.runWith(null, () => Blockchain.createInstance({
+      targetBlockTime: 1000, retargetInterval: 4, net: { register: function(){} },
+    }));
+
+    // Makes blocks following the genesis block, found at the given times.
+    function makeChain(...timestamps) {
+      let blocks = new Map([[bc.genesis.id, bc.genesis]]);
+      let block = bc.genesis;
+      timestamps.forEach((timestamp) => {
+        block = new Block("8e7912", block, Blockchain.expectedTarget(block, blocks));
+        block.timestamp = timestamp;
+        blocks.set(block.id, block);
+      });
+      return [block, blocks];
+    }
+
+    it("should keep the previous target between retargets.", () => Blockchain.runWith(bc, () => {
+      let [block, blocks] = makeChain(5000, 5001);
+      assert.equal(Blockchain.expectedTarget(block, blocks), bc.powTarget);
+    }));
+
+    it("should lower the target when blocks come too quickly, and raise it when they come too slowly.", () => Blockchain.runWith(bc, () => {
+      // The genesis block is left out, so the three blocks give two intervals, expected to take 2000 ms.
+      let [fast, fastBlocks] = makeChain(5000, 5500, 6000);
+      assert.equal(Blockchain.expectedTarget(fast, fastBlocks), bc.powTarget / 2n);
+      let [slow, slowBlocks] = makeChain(5000, 7000, 8000);
+      assert.equal(Blockchain.expectedTarget(slow, slowBlocks), bc.powTarget * 3n / 2n);
+    }));
+
+    it("should limit how far the target moves at once.", () => Blockchain.runWith(bc, () => {
+      let [fast, fastBlocks] = makeChain(5000, 5000, 5000);
+      assert.equal(Blockchain.expectedTarget(fast, fastBlocks), bc.powTarget / BigInt(Blockchain.MAX_RETARGET_FACTOR));
+      let [slow, slowBlocks] = makeChain(5000, 50000, 90000);
+      assert.equal(Blockchain.expectedTarget(slow, slowBlocks), bc.powTarget * BigInt(Blockchain.MAX_RETARGET_FACTOR));
+    }));
+
+    it("should never change the target unless a target block time is set.", () => {
+      let block = new Block("8e7912", undefined, EASY_POW_TARGET);
+      let blocks = new Map([[block.id, block]]);
+      for (let i = 1; i < Blockchain.RETARGET_INTERVAL; i++) {
+        block = new Block("8e7912", block, EASY_POW_TARGET);
+        block.timestamp = 0;
+        blocks.set(block.id, block);
+      }
+      assert.equal(Blockchain.expectedTarget(block, blocks), EASY_POW_TARGET);
+    });
+  });
 });
 
 describe('Block', () => {
+  let bob = utils.calcAddress(utils.generateKeypair().public);
+  let carol = utils.calcAddress(utils.generateKeypair().public);
   let prevBlock = new Block("8e7912");
-  prevBlock.balances = new Map([ [addr, 500], ["ffff", 100], ["face", 99] ]);
+  prevBlock.balances = new Map([ [addr, 500], [bob, 100], [carol, 99] ]);
 
-  let outputs = [{amount: 20, address: "ffff"}, {amount: 40, address: "face"}];
-  let t = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, fee: 1, nonce: 0});
+  let outputs = [{amount: 20, address: bob}, {amount: 40, address: carol}];
+  let t = new Transaction({from: [addr], pubKey: [kp.public], outputs: outputs, fee: 1, nonce: 0});
 
   describe('#addTransaction', () => {
     it("should fail if a transaction is not signed.", () => {
@@ -64,7 +776,7 @@ describe('Block', () => {
     it("should fail if the 'from' account does not have enough gold.", () => {
       let b = new Block(addr, prevBlock);
       let tx = new Transaction(t);
-      tx.outputs = [{amount:20000000000000, address: "ffff"}];
+      tx.outputs = [{amount:20000000000000, address: bob}];
       tx.sign(kp.private);
       assert.isFalse(b.addTransaction(tx));
     });
@@ -74,9 +786,57 @@ describe('Block', () => {
       let tx = new Transaction(t);
       tx.sign(kp.private);
       b.addTransaction(tx);
-      assert.equal(b.balances.get(addr), 500-61); // Extra 1 for transaction fee.
-      assert.equal(b.balances.get("ffff"), 100+20);
-      assert.equal(b.balances.get("face"), 99+40);
+      // The sender's address is spent in full, since the transaction has no change output.
+      assert.isUndefined(b.balances.get(addr));
+      assert.equal(b.balances.get(bob), 100+20);
+      assert.equal(b.balances.get(carol), 99+40);
+    });
+
+    it("should fail if a multisig input has fewer signatures than its threshold.", () => {
+      let script = utils.multisigScript(2, [kp.public, rsaKp.public]);
+      let msAddr = utils.calcAddress(script);
+      let funded = new Block(addr, prevBlock);
+      funded.balances.set(msAddr, 100);
+      let tx = new Transaction({from: [msAddr], pubKey: [script], outputs: outputs, fee: 1, nonce: 0});
+      tx.sign(kp.private, 0, script.keys.indexOf(kp.public));
+
+      let b = new Block(addr, funded);
+      assert.isFalse(b.addTransaction(tx));
+      tx.sign(rsaKp.private, 0, script.keys.indexOf(rsaKp.public));
+      assert.isTrue(b.addTransaction(tx));
+      assert.equal(b.balanceOf(msAddr), 0);
+    });
+
+    it("should fail if the transaction is locked until a later height.", () => {
+      let tx = new Transaction(Object.assign({}, t, {sig: [], lock: {height: prevBlock.chainLength + 2}}));
+      tx.sign(kp.private);
+      assert.isFalse(new Block(addr, prevBlock).addTransaction(tx));
+      let b = new Block(addr, new Block(addr, prevBlock));
+      assert.isTrue(b.addTransaction(tx));
+    });
+
+    it("should only allow claims before a contract's timeout, and refunds from it on.", () => {
+      let secret = utils.generateSecret();
+      let script = utils.htlcScript({hashlock: utils.hashSecret(secret), claimKey: kp.public, refundKey: rsaKp.public,
+        timeout: prevBlock.chainLength + 3});
+      let htlcAddr = utils.calcAddress(script);
+      let funded = new Block(addr, prevBlock);
+      funded.balances.set(htlcAddr, 100);
+      let makeTx = (lock) => new Transaction({from: [htlcAddr], pubKey: [script], outputs: outputs, fee: 1, nonce: 0, lock: lock});
+      let claim = makeTx();
+      claim.signContract(kp.private, 0, secret);
+      // Locked short of the timeout, so that the contract check is what holds back the early refund.
+      let refund = makeTx({height: script.timeout - 1});
+      refund.signContract(rsaKp.private, 0);
+
+      let early = new Block(addr, funded);
+      assert.isFalse(early.addTransaction(refund));
+      assert.isTrue(early.addTransaction(claim));
+
+      let late = new Block(addr, early);
+      late.balances.set(htlcAddr, 100);
+      assert.isFalse(late.addTransaction(claim));
+      assert.isTrue(late.addTransaction(refund));
     });
 
     it("should ignore any transactions that were already received in a previous block.", () => {
@@ -90,6 +850,101 @@ describe('Block', () => {
       b2.addTransaction(tx);
       assert.isEmpty(b2.transactions);
     });
+
+    it("should limit the data a transaction carries, and charge a fee for it.", () => {
+      let makeTx = (data, fee) => {
+        let tx = new Transaction({from: [addr], pubKey: [kp.public], outputs: outputs, fee: fee, nonce: 0, data: data});
+        tx.sign(kp.private);
+        return tx;
+      };
+      let anchor = utils.hash("a document");
+      let data = { memo: "invoice 42", anchor: anchor };
+      let fee = Blockchain.dataFee(data);
+      assert.equal(fee, Math.ceil(utils.dataSize(data) / Blockchain.DATA_FEE_UNIT));
+
+      assert.isFalse(new Block(addr, prevBlock).addTransaction(makeTx(data, fee - 1)));
+      assert.isFalse(new Block(addr, prevBlock).addTransaction(makeTx({ memo: "x".repeat(Blockchain.MAX_DATA_SIZE) }, 100)));
+      assert.isFalse(new Block(addr, prevBlock).addTransaction(makeTx({ anchor: "not a hash" }, 100)));
+      assert.isTrue(new Block(addr, prevBlock).addTransaction(makeTx(data, fee)));
+    });
+
+    it("should reject a replayed transaction even if its inputs are funded again.", () => {
+      let tx = new Transaction({from: [addr], pubKey: [kp.public], outputs: outputs, fee: 1, nonce: 0});
+      tx.sign(kp.private);
+      let b = new Block(addr, prevBlock);
+      assert.isTrue(b.addTransaction(tx));
+
+      let b2 = new Block(addr, new Block(addr, b));
+      b2.balances.set(addr, 500);
+      assert.isFalse(b2.addTransaction(tx));
+      assert.equal(b2.balanceOf(addr), 500);
+    });
+  });
+
+  describe('#merkleProof', () => {
+    let b = new Block(addr, prevBlock);
+    let tx = new Transaction({from: [addr], pubKey: [kp.public], outputs: outputs, fee: 1, nonce: 0});
+    tx.sign(kp.private);
+    b.addTransaction(tx);
+
+    it("should prove a transaction is in the block to someone with only its header.", () => {
+      let header = JSON.parse(JSON.stringify(b.header()));
+      assert.notProperty(header, 'transactions');
+      assert.equal(utils.hash(JSON.stringify(header)), b.id);
+      assert.isTrue(Block.verifyMerkleProof(tx.id, b.merkleProof(tx.id), header.merkleRoot));
+      assert.isFalse(Block.verifyMerkleProof(tx.id, [], prevBlock.merkleRoot));
+    });
+
+    it("should reject a block whose transactions do not match its Merkle root.", () => {
+      let o = JSON.parse(b.serialize());
+      assert.equal(Blockchain.deserializeBlock(o).merkleRoot, b.merkleRoot);
+      o.transactions[0][1].fee = 2;
+      assert.throws(() => Blockchain.deserializeBlock(o), /Merkle root/);
+      o.transactions = [];
+      assert.throws(() => Blockchain.deserializeBlock(o), /Merkle root/);
+    });
+
+    it("should only work out the Merkle root when it is read after a change.", () => {
+      let filling = new Block(addr, prevBlock);
+      let merkleRoot = utils.merkleRoot;
+      let computed = 0;
+      utils.merkleRoot = (leaves) => { computed++; return merkleRoot(leaves); };
+      try {
+        [bob, carol].forEach((address, nonce) => {
+          let payer = utils.generateKeypair();
+          let payerAddr = utils.calcAddress(payer.public);
+          filling.balances.set(payerAddr, 10);
+          let paying = new Transaction({from: [payerAddr], pubKey: [payer.public], outputs: [{amount: 9, address}], fee: 1, nonce});
+          paying.sign(payer.private);
+          assert.isTrue(filling.addTransaction(paying));
+        });
+        assert.equal(computed, 0);
+        let root = filling.merkleRoot;
+        assert.equal(filling.hashVal(), filling.hashVal());
+        assert.equal(computed, 1);
+        assert.equal(root, merkleRoot([...filling.transactions.keys()]));
+      } finally {
+        utils.merkleRoot = merkleRoot;
+      }
+    });
+  });
+
+  describe('#isHeavierThan', () => {
+    it("should prefer the chain with more work, whatever its length.", () => {
+      let short = new Block(addr, prevBlock, Blockchain.POW_TARGET / 4n);
+      let long = new Block(addr, new Block(addr, prevBlock));
+      assert.equal(short.chainWork - prevBlock.chainWork, 4n * prevBlock.work());
+      assert.isTrue(short.isHeavierThan(long));
+      assert.isFalse(long.isHeavierThan(short));
+    });
+
+    it("should break ties by block hash.", () => {
+      let b1 = new Block(addr, prevBlock);
+      let b2 = new Block("ffff", prevBlock);
+      assert.equal(b1.chainWork, b2.chainWork);
+      assert.notEqual(b1.isHeavierThan(b2), b2.isHeavierThan(b1));
+      assert.equal(b1.isHeavierThan(b2), b1.id < b2.id);
+    });
   });
 
   describe('#rerun', () => {
@@ -106,13 +961,13 @@ describe('Block', () => {
 
       // Verifying prevBlock's balances are unchanged.
       assert.equal(prevBlock.balances.get(addr), 500);
-      assert.equal(prevBlock.balances.get("ffff"), 100);
-      assert.equal(prevBlock.balances.get("face"), 99);
+      assert.equal(prevBlock.balances.get(bob), 100);
+      assert.equal(prevBlock.balances.get(carol), 99);
 
       // Verifying b's balances are correct.
-      assert.equal(b.balances.get(addr), 500-61);
-      assert.equal(b.balances.get("ffff"), 100+20);
-      assert.equal(b.balances.get("face"), 99+40);
+      assert.isUndefined(b.balances.get(addr));
+      assert.equal(b.balances.get(bob), 100+20);
+      assert.equal(b.balances.get(carol), 99+40);
     });
 
     it("should take a serialized/deserialized block and get back the same block.", () => {
@@ -132,24 +987,55 @@ describe('Block', () => {
       // Verify hashes still match
       assert.equal(b2.hashVal(), hash);
 
-      assert.equal(b2.balances.get(addr), 500-61);
-      assert.equal(b2.balances.get("ffff"), 100+20);
-      assert.equal(b2.balances.get("face"), 99+40);
+      assert.isUndefined(b2.balances.get(addr));
+      assert.equal(b2.balances.get(bob), 100+20);
+      assert.equal(b2.balances.get(carol), 99+40);
+    });
+
+    it("should reject a block replaying a transaction from an earlier block.", () => {
+      let tx = new Transaction({from: [addr], pubKey: [kp.public], outputs: outputs, fee: 1, nonce: 0});
+      tx.sign(kp.private);
+      let b = new Block(addr, prevBlock);
+      b.addTransaction(tx);
+      let refunded = new Block(addr, b);
+      refunded.balances.set(addr, 500);
+
+      // A block made without the chain's history, as a dishonest miner would send it.
+      let replay = new Block(addr, refunded);
+      replay.spentTransactions = new Set();
+      assert.isTrue(replay.addTransaction(tx));
+      let received = Blockchain.deserializeBlock(JSON.parse(replay.serialize()));
+      assert.isFalse(received.rerun(refunded));
+    });
+
+    it("should remember transactions from early in a long chain without copying them into every block.", () => {
+      let b = prevBlock;
+      for (let i = 0; i < 100; i++) {
+        b = new Block(addr, b);
+        b.spentTransactions.add(`tx${i}`);
+      }
+      let next = new Block(addr, b);
+      assert.isTrue(next.spentTransactions.has("tx0"));
+      assert.isTrue(next.spentTransactions.has("tx99"));
+      assert.isFalse(next.spentTransactions.has("tx100"));
+      assert.isAtMost(next.spentTransactions.layers.length, 8);
+      assert.strictEqual(next.spentTransactions.layers[0], b.spentTransactions.layers[0]);
     });
   });
 });
 
 describe('Client', () => {
-  let genesis = new Block("8e7912");
+  // Blocks must keep the target of the block before them, so the tests below can use an easy one.
+  let genesis = new Block("8e7912", undefined, EASY_POW_TARGET);
   genesis.balances = new Map([ [addr, 500], ["ffff", 100], ["face", 99] ]);
   let net = { broadcast: function(){} };
 
-  let outputs = [{amount: 20, address: "ffff"}, {amount: 40, address: "face"}];
-  let t = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, fee: 1, nonce: 0});
+  let outputs = [{amount: 20, address: payee}, {amount: 40, address: "face"}];
+  let t = new Transaction({from: [addr], pubKey: [kp.public], outputs: outputs, fee: 1, nonce: 0});
   t.sign(kp.private);
 
   let outputs2 = [{amount: 10, address: "face"}];
-  let t2 = new Transaction({from: addr, pubKey: kp.public, outputs: outputs2, fee: 1, nonce: 1});
+  let t2 = new Transaction({from: [addr], pubKey: [kp.public], outputs: outputs2, fee: 1, nonce: 1});
   t2.sign(kp.private);
 
   let clint = new Client({net: net, startingBlock: genesis});
@@ -158,6 +1044,701 @@ describe('Client', () => {
   let miner = new Miner({name: "Minnie", net: net, startingBlock: genesis});
   miner.log = function(){};
 
+  describe('#generateAddress', () => {
+    let mnemonic = "antenna dwarf settle sleep must wool ocean once banana tiger distance gate great similar chief cheap dinner dolphin picture swing twenty two file nuclear";
+    let alice = new Client({name: "Alice", net: net, mnemonic: mnemonic});
+
+    it("should derive addresses along the external chain of the account.", () => {
+      let second = alice.generateAddress();
+      let entry = alice.wallet.find(({address}) => address === second);
+      assert.equal(entry.path, "m/44'/1'/0'/0/1");
+      assert.equal(alice.address, second);
+      assert.equal(alice.derivationIndexes[Client.EXTERNAL_CHAIN], 2);
+    });
+
+    it("should keep change addresses on their own chain.", () => {
+      let receiving = alice.address;
+      let change = alice.generateAddress(Client.CHANGE_CHAIN);
+      let entry = alice.wallet.find(({address}) => address === change);
+      assert.equal(entry.path, "m/44'/1'/0'/1/0");
+      assert.equal(alice.address, receiving);
+    });
+
+    it("should re-derive any address directly from its chain and index.", () => {
+      let kp = alice.deriveKeypair(Client.EXTERNAL_CHAIN, 1);
+      assert.equal(utils.calcAddress(kp.public), alice.address);
+    });
+
+    it("should restore every address below the saved derivation indexes.", () => {
+      let restored = new Client({name: "Alice", net: net, mnemonic: mnemonic,
+        derivationIndexes: alice.derivationIndexes});
+      assert.deepEqual(restored.wallet.map(({address}) => address).sort(),
+        alice.wallet.map(({address}) => address).sort());
+      assert.equal(restored.address, alice.address);
+    });
+  });
+
+  describe('#exportWallet', () => {
+    it("should rebuild the same wallet, including labels and imported keys.", () => {
+      let bob = new Client({name: "Bob", net: net});
+      bob.generateAddress(Client.CHANGE_CHAIN);
+      let importedAddr = bob.importKeypair(kp, "old key");
+      bob.labelAddress(bob.address, "main");
+
+      let restored = new Client(Object.assign({net: net}, bob.exportWallet()));
+      assert.deepEqual(restored.wallet.map(({address}) => address).sort(),
+        bob.wallet.map(({address}) => address).sort());
+      assert.equal(restored.labels[importedAddr], "old key");
+      assert.equal(restored.labels[restored.address], "main");
+    });
+  });
+
+  describe('#exportWatchOnly', () => {
+    let mnemonic = "antenna dwarf settle sleep must wool ocean once banana tiger distance gate great similar chief cheap dinner dolphin picture swing twenty two file nuclear";
+    let full = new Client({name: "Heidi", net: net, mnemonic: mnemonic});
+    full.generateAddress();
+    let material = full.exportWatchOnly(1);
+    let watcher = new Client({name: "Heidi (watch-only)", net: net, watchOnly: JSON.parse(JSON.stringify(material))});
+    let g = new Block("8e7912");
+    g.balances = new Map([ [full.wallet[0].address, 20], [full.wallet[1].address, 30] ]);
+    full.lastConfirmedBlock = full.lastBlock = g;
+    watcher.lastConfirmedBlock = watcher.lastBlock = g;
+
+    it("should export public keys only.", () => {
+      assert.notInclude(JSON.stringify(material), "PRIVATE");
+      assert.notProperty(material, 'mnemonic');
+      // Two addresses in use on the external chain, plus one unused key on each chain.
+      assert.lengthOf(material.publicKeys, 5);
+    });
+
+    it("should track the same addresses and balances as the full wallet.", () => {
+      assert.deepEqual(watcher.wallet.map(({address}) => address), full.wallet.map(({address}) => address));
+      assert.equal(watcher.address, full.address);
+      assert.equal(watcher.confirmedBalance, 50);
+    });
+
+    it("should refuse to sign.", () => {
+      assert.throws(() => watcher.postTransaction([{amount: 5, address: payee}], 1), /Watch-only/);
+      assert.equal(watcher.availableGold, 50);
+    });
+
+    it("should build unsigned transactions for the full wallet to sign.", () => {
+      let ptx = watcher.createPartialTransaction([{amount: 25, address: payee}], 1);
+      assert.throws(() => watcher.signPartialTransaction(ptx), /Watch-only/);
+
+      let copy = PartialTransaction.deserialize(ptx.serialize());
+      assert.equal(full.signPartialTransaction(copy), 2);
+      assert.isTrue(copy.finalize().validSignature());
+    });
+
+    it("should derive addresses past the exported keys from the extended public key.", () => {
+      watcher.generateAddress();
+      let expected = utils.calcAddress(full.deriveKeypair(Client.EXTERNAL_CHAIN, 3).public);
+      assert.equal(watcher.generateAddress(), expected);
+    });
+
+    it("should stop handing out RSA addresses past the exported keys.", () => {
+      let legacy = new Client({name: "Heidi", net: net, mnemonic: mnemonic, keyType: utils.RSA});
+      let legacyWatcher = new Client({name: "Heidi", net: net, watchOnly: legacy.exportWatchOnly(0)});
+      assert.equal(legacyWatcher.address, legacy.address);
+      assert.throws(() => legacyWatcher.generateAddress(), /no public key/);
+    });
+  });
+
+  describe('#postTransaction', () => {
+    let dave = new Client({name: "Dave", net: net, coinSelection: 'largest-first'});
+    dave.generateAddress();
+    dave.generateAddress();
+    let [small, large, medium] = dave.wallet.map(({address}) => address);
+    let g = new Block("8e7912");
+    g.balances = new Map([ [small, 10], [large, 60], [medium, 30] ]);
+    dave.lastConfirmedBlock = dave.lastBlock = g;
+
+    it("should use the client's coin selection strategy by default.", () => {
+      let tx = dave.postTransaction([{amount: 50, address: payee}], 1);
+      assert.deepEqual(tx.from, [large]);
+    });
+
+    it("should allow a strategy per call.", () => {
+      let tx = dave.postTransaction([{amount: 29, address: payee}], 1, {coinSelection: 'branch-and-bound'});
+      assert.deepEqual(tx.from, [medium]);
+      assert.lengthOf(tx.outputs, 1);
+    });
+
+    it("should refuse to pay a mistyped address.", () => {
+      let typo = payee.slice(0, -1) + (payee.endsWith('z') ? 'y' : 'z');
+      assert.throws(() => dave.postTransaction([{amount: 30, address: typo}], 1), /checksum mismatch/);
+    });
+
+    it("should pay a fee covering the size of the signed transaction, change included.", () => {
+      let ivy = new Client({name: "Ivy", net: net});
+      ivy.log = function(){};
+      for (let i = 0; i < 5; i++) ivy.generateAddress();
+      let gi = new Block("8e7912");
+      gi.balances = new Map(ivy.wallet.map(({address}) => [address, 10]));
+      ivy.lastConfirmedBlock = ivy.lastBlock = gi;
+
+      let tx = ivy.postTransaction([{amount: 55, address: payee}]);
+      assert.lengthOf(tx.from, 6);
+      assert.isAbove(tx.size(), Blockchain.FEE_RATE_UNIT);
+      assert.isAbove(tx.fee, Blockchain.DEFAULT_TX_FEE);
+      assert.equal(tx.fee, Blockchain.minimumFee(tx));
+      assert.equal(tx.outputs[1].amount, 60 - 55 - tx.fee);
+    });
+
+    it("should refuse a fee below the minimum for the size of the signed transaction.", () => {
+      let jo = new Client({name: "Jo", net: net});
+      jo.log = function(){};
+      for (let i = 0; i < 5; i++) jo.generateAddress();
+      let gj = new Block("8e7912");
+      gj.balances = new Map(jo.wallet.map(({address}) => [address, 10]));
+      jo.lastConfirmedBlock = jo.lastBlock = gj;
+
+      assert.throws(() => jo.postTransaction([{amount: 55, address: payee}], 1), /A fee of at least/);
+      assert.equal(jo.availableGold, 60);
+    });
+  });
+
+  describe('#createPartialTransaction', () => {
+    it("should estimate the size of the transaction once signed.", () => {
+      let sam = new Client({name: "Sam", net: net});
+      sam.log = function(){};
+      let g = new Block("8e7912");
+      g.balances = new Map([ [sam.address, 50] ]);
+      sam.lastConfirmedBlock = sam.lastBlock = g;
+      let ptx = sam.createPartialTransaction([{amount: 20, address: payee}]);
+      let estimate = ptx.estimateSize();
+      sam.signPartialTransaction(ptx);
+      let size = ptx.finalize().size();
+      assert.isAtLeast(estimate, size);
+      assert.isAtMost(estimate, size + 4);
+      assert.equal(ptx.estimateSize(), size);
+    });
+
+    it("should give transactions with the same inputs and outputs different IDs.", () => {
+      let rita = new Client({name: "Rita", net: net});
+      rita.log = function(){};
+      let g = new Block("8e7912");
+      g.balances = new Map([ [rita.address, 50] ]);
+      rita.lastConfirmedBlock = rita.lastBlock = g;
+      let first = rita.createPartialTransaction([{amount: 49, address: payee}], 1, {from: rita.address});
+      rita.releaseReservation(first.transaction.id);
+      let second = rita.createPartialTransaction([{amount: 49, address: payee}], 1, {from: rita.address});
+      assert.notEqual(first.transaction.id, second.transaction.id);
+    });
+
+    let mnemonic = "antenna dwarf settle sleep must wool ocean once banana tiger distance gate great similar chief cheap dinner dolphin picture swing twenty two file nuclear";
+    let online = new Client({name: "Grace", net: net, mnemonic: mnemonic});
+    online.generateAddress();
+    online.generateAddress();
+    let g = new Block("8e7912");
+    g.balances = new Map([ [online.wallet[1].address, 20], [online.wallet[2].address, 30] ]);
+    online.lastConfirmedBlock = online.lastBlock = g;
+
+    it("should build an unsigned transaction that survives serialization.", () => {
+      let ptx = online.createPartialTransaction([{amount: 45, address: payee}], 1);
+      let copy = PartialTransaction.deserialize(ptx.serialize());
+      assert.equal(copy.id, ptx.id);
+      assert.deepEqual(copy.missingSignatures(), [0, 1]);
+      assert.throws(() => copy.finalize(), /missing signatures/);
+      online.releaseReservation(ptx.id);
+    });
+
+    it("should let an offline wallet sign each input by its derivation path.", () => {
+      let ptx = online.createPartialTransaction([{amount: 45, address: payee}], 1);
+      let offline = new Client({name: "Grace", mnemonic: mnemonic});
+      assert.lengthOf(offline.wallet, 1);
+
+      let copy = PartialTransaction.deserialize(ptx.serialize());
+      assert.equal(offline.signPartialTransaction(copy), 2);
+      assert.isTrue(copy.isComplete());
+
+      let tx = online.finalizePartialTransaction(PartialTransaction.deserialize(copy.serialize()));
+      assert.isTrue(tx.validSignature());
+      assert.isTrue(online.pendingOutgoingTransactions.has(tx.id));
+    });
+
+    it("should reject a partially signed transaction of an unknown version.", () => {
+      assert.throws(() => PartialTransaction.deserialize({version: 2, tx: {}, inputs: []}), /Unsupported/);
+    });
+  });
+
+  describe('#totalSupply', () => {
+    it("should count the starting balances and the rewards up to the given height.", () => {
+      assert.equal(clint.totalSupply(0), 500 + 100 + 99);
+      assert.equal(clint.totalSupply(4), 500 + 100 + 99 + 4 * Blockchain.COINBASE_AMT_ALLOWED);
+    });
+  });
+
+  describe('#estimateFeeRate', () => {
+    let fay = new Client({name: "Fay", net: net});
+    fay.log = function(){};
+    let g = new Block("8e7912");
+    g.balances = new Map([ [addr, 500], [fay.address, 100] ]);
+    fay.setGenesisBlock(g);
+
+    it("should recommend the minimum fee rate with nothing to go on.", () => {
+      assert.equal(fay.estimateFeeRate(), Blockchain.MIN_FEE_RATE);
+      assert.throws(() => fay.estimateFeeRate(0), /target/);
+    });
+
+    it("should use the fee rates collected by recent blocks.", () => {
+      let tx = new Transaction({from: [addr], pubKey: [kp.public], outputs: [{amount: 10, address: payee}], fee: 8, nonce: 7});
+      tx.sign(kp.private);
+      let b = new Block("8e7912", g);
+      assert.isTrue(b.addTransaction(tx));
+      fay.blocks.set(b.id, b);
+      fay.lastBlock = b;
+      assert.equal(fay.estimateFeeRate(), 8);
+
+      let paid = fay.postTransaction([{amount: 10, address: payee}], {target: 1});
+      assert.equal(paid.fee, Blockchain.feeAtRate(paid, 8));
+    });
+
+    it("should ask less of transactions that can wait for more blocks.", () => {
+      let waiting = new Client({name: "Walt", net: net, startingBlock: g});
+      for (let fee = 1; fee <= 10; fee++) {
+        let sender = utils.generateKeypair();
+        let tx = new Transaction({from: [utils.calcAddress(sender.public)], pubKey: [sender.public],
+          outputs: [{amount: 1, address: payee}], fee: fee, nonce: fee});
+        tx.sign(sender.private);
+        waiting.receivePendingTransaction(tx);
+      }
+      // Unsigned transactions are left out, whatever they pay.
+      waiting.receivePendingTransaction(new Transaction({from: [addr], pubKey: [kp.public],
+        outputs: [{amount: 1, address: payee}], fee: 1000, nonce: 0}));
+      assert.equal(waiting.mempool.size, 10);
+      assert.equal(waiting.estimateFeeRate(1), 9);
+      assert.equal(waiting.estimateFeeRate(3), 7);
+      assert.equal(waiting.estimateFeeRate(6), 5);
+    });
+  });
+
+  describe('#createMultisigAddress', () => {
+    let alice = new Client({name: "Alice", net: net});
+    let bob = new Client({name: "Bob", net: net});
+    let carol = new Client({name: "Carol", net: net});
+    let keys = [alice, bob, carol].map((c) => c.keyPair.public);
+    let msAddr = alice.createMultisigAddress(2, keys, "treasury");
+    bob.createMultisigAddress(2, keys.slice().reverse());
+
+    let g = new Block("8e7912");
+    g.balances = new Map([ [msAddr, 100], [alice.address, 5] ]);
+    [alice, bob].forEach((c) => {
+      c.lastConfirmedBlock = c.lastBlock = g;
+    });
+
+    it("should give every co-signer the same address.", () => {
+      assert.isTrue(bob.wallet.some(({address}) => address === msAddr));
+      assert.equal(alice.labels[msAddr], "treasury");
+    });
+
+    it("should keep shared gold out of the wallet's own funds.", () => {
+      assert.equal(alice.availableGold, 5);
+      assert.throws(() => alice.postTransaction([{amount: 50, address: payee}], 1), /Not enough money/);
+    });
+
+    it("should collect signatures from the co-signers before broadcasting.", () => {
+      let ptx = alice.createPartialTransaction([{amount: 60, address: payee}], 2, {from: msAddr});
+      assert.deepEqual(ptx.tx.outputs[1], {amount: 38, address: msAddr});
+      assert.equal(alice.signPartialTransaction(ptx), 1);
+      assert.deepEqual(ptx.missingSignatures(), [0]);
+      assert.throws(() => ptx.finalize(), /missing signatures/);
+
+      let copy = PartialTransaction.deserialize(ptx.serialize());
+      assert.equal(bob.signPartialTransaction(copy), 1);
+      assert.isTrue(copy.isComplete());
+      let tx = bob.finalizePartialTransaction(copy);
+      assert.isTrue(tx.validSignature());
+
+      // Signatures gathered separately can be merged instead.
+      let carolCopy = PartialTransaction.deserialize(ptx.serialize());
+      carol.signPartialTransaction(carolCopy);
+      ptx.merge(carolCopy);
+      assert.isTrue(ptx.finalize().validSignature());
+      alice.releaseReservation(ptx.id);
+    });
+
+    it("should keep multisig addresses when the wallet is restored.", () => {
+      let restored = new Client(Object.assign({net: net}, alice.exportWallet()));
+      assert.isTrue(restored.wallet.some(({address, multisig}) => multisig && address === msAddr));
+      let watcher = new Client({net: net, watchOnly: alice.exportWatchOnly()});
+      assert.isTrue(watcher.wallet.some(({address}) => address === msAddr));
+    });
+  });
+
+  describe('#setLastConfirmed', () => {
+    // Builds a client with two funded addresses, and a transaction spending the first one.
+    let setup = () => {
+      let erin = new Client({name: "Erin", net: net, pendingTxExpiry: 3});
+      erin.generateAddress();
+      let [first, second] = erin.wallet;
+      let g = startChain([ [first.address, 50], [second.address, 20] ], erin);
+      let tx = erin.postTransaction([{amount: 40, address: payee}], 1);
+      return {erin, g, first, second, tx};
+    };
+
+    // Adds a chain of empty blocks (and optionally a transaction) on top of a block.
+    let extend = (client, block, n, tx) => {
+      for (let i = 0; i < n; i++) {
+        block = new Block("8e7912", block, EASY_POW_TARGET);
+        if (tx && i === 0) block.addTransaction(tx);
+        client.blocks.set(block.id, block);
+      }
+      return block;
+    };
+
+    it("should reserve the spent entries while the transaction is pending.", () => {
+      let {erin, first, second} = setup();
+      assert.equal(first.state, Client.RESERVED);
+      assert.equal(second.state, Client.AVAILABLE);
+      assert.equal(erin.availableGold, 20);
+      assert.throws(() => erin.postTransaction([{amount: 40, address: payee}], 1), /Not enough money/);
+    });
+
+    it("should mark the entries spent once the transaction is confirmed.", () => {
+      let {erin, g, first, tx} = setup();
+      erin.lastBlock = extend(erin, g, Blockchain.CONFIRMED_DEPTH + 1, tx);
+      erin.setLastConfirmed();
+      assert.equal(first.state, Client.SPENT);
+      assert.isFalse(erin.pendingOutgoingTransactions.has(tx.id));
+    });
+
+    it("should release the entries if the transaction expires.", () => {
+      let {erin, g, first, tx} = setup();
+      erin.lastBlock = extend(erin, g, 3);
+      erin.setLastConfirmed();
+      assert.equal(first.state, Client.AVAILABLE);
+      assert.isFalse(erin.pendingOutgoingTransactions.has(tx.id));
+      assert.equal(erin.availableGold, 70);
+    });
+
+    it("should release the entries if a reorganization rolls the transaction back.", () => {
+      let {erin, g, first, tx} = setup();
+      erin.lastBlock = extend(erin, g, 1, tx);
+      erin.setLastConfirmed();
+      assert.equal(first.state, Client.RESERVED);
+
+      // A longer fork without the transaction.
+      erin.lastBlock = extend(erin, g, 2);
+      erin.setLastConfirmed();
+      assert.equal(first.state, Client.AVAILABLE);
+    });
+
+    it("should not expire a locked transaction before its height.", () => {
+      let {erin, g, first, second} = setup();
+      let locked = erin.postTransaction([{amount: 10, address: payee}], 1, {lock: {height: 8}});
+      assert.equal(locked.lock.height, 8);
+      erin.lastBlock = extend(erin, g, 4);
+      erin.setLastConfirmed();
+      assert.equal(first.state, Client.AVAILABLE);
+      assert.equal(second.state, Client.RESERVED);
+      assert.isTrue(erin.pendingOutgoingTransactions.has(locked.id));
+    });
+
+    it("should release the entries when a transaction is dropped by hand.", () => {
+      let {erin, first, tx} = setup();
+      erin.releaseReservation(tx.id);
+      assert.equal(first.state, Client.AVAILABLE);
+    });
+  });
+
+  describe('#replaceTransaction', () => {
+    let setup = () => {
+      let gus = new Client({name: "Gus", net: net});
+      let g = startChain([ [gus.address, 50] ], gus);
+      let tx = gus.postTransaction([{amount: 30, address: payee}], 1);
+      return {gus, g, tx};
+    };
+
+    it("should pay the same outputs at a higher fee, taking it from the change.", () => {
+      let {gus, tx} = setup();
+      let bumped = gus.replaceTransaction(tx.id, 5);
+      assert.deepEqual(bumped.from, tx.from);
+      assert.deepEqual(bumped.outputs, [{amount: 30, address: payee}, {amount: 15, address: tx.outputs[1].address}]);
+      assert.isTrue(bumped.validSignature());
+      assert.deepEqual([...gus.pendingOutgoingTransactions.keys()], [bumped.id]);
+      assert.equal(gus.wallet[0].reservedBy, bumped.id);
+    });
+
+    it("should require a fee above the replaced transaction's.", () => {
+      let {gus, tx} = setup();
+      assert.throws(() => gus.replaceTransaction(tx.id, 1), /at least 2/);
+      assert.throws(() => gus.replaceTransaction(tx.id, 25), /Not enough change/);
+    });
+
+    it("should cancel a transaction by paying the wallet back.", () => {
+      let {gus, tx} = setup();
+      let cancel = gus.cancelTransaction(tx.id);
+      assert.equal(cancel.fee, 2);
+      assert.lengthOf(cancel.outputs, 1);
+      assert.equal(cancel.outputs[0].amount, 48);
+      assert.isTrue(gus.wallet.some(({address, chain}) => address === cancel.outputs[0].address && chain === Client.CHANGE_CHAIN));
+    });
+
+    it("should mark the inputs spent if the replaced transaction is confirmed instead.", () => {
+      let {gus, g, tx} = setup();
+      gus.replaceTransaction(tx.id);
+      let block = g;
+      for (let i = 0; i <= Blockchain.CONFIRMED_DEPTH; i++) {
+        block = new Block("8e7912", block, EASY_POW_TARGET);
+        if (i === 0) block.addTransaction(tx);
+        gus.blocks.set(block.id, block);
+      }
+      gus.lastBlock = block;
+      gus.setLastConfirmed();
+      assert.equal(gus.wallet[0].state, Client.SPENT);
+      assert.equal(gus.pendingOutgoingTransactions.size, 0);
+    });
+  });
+
+  describe('#anchorHash', () => {
+    let setup = () => {
+      let nora = new Client({name: "Nora", net: net});
+      let g = startChain([ [nora.address, 50] ], nora);
+      return {nora, g};
+    };
+    let hash = utils.hash("the deed to the house");
+
+    it("should pay the data fee on top of the default fee, and keep the gold.", () => {
+      let {nora} = setup();
+      let tx = nora.anchorHash(hash, undefined, { data: { memo: "deed" } });
+      assert.deepEqual(tx.data, { memo: "deed", anchor: hash });
+      assert.equal(tx.fee, Blockchain.minimumFee(tx));
+      assert.isAbove(tx.fee, Blockchain.dataFee(tx.data));
+      assert.lengthOf(tx.outputs, 1);
+      assert.isTrue(nora.isChangeAddress(tx.outputs[0].address, tx));
+    });
+
+    it("should refuse data that blocks would reject.", () => {
+      let {nora} = setup();
+      assert.throws(() => nora.anchorHash(hash, 0), /fee of at least/);
+      assert.throws(() => nora.postTransaction([{amount: 1, address: payee}], undefined,
+        { data: { memo: "x".repeat(Blockchain.MAX_DATA_SIZE) } }), /more than the limit/);
+    });
+
+    it("should find the block anchoring a hash.", () => {
+      let {nora, g} = setup();
+      let tx = nora.anchorHash(hash);
+      assert.isEmpty(nora.findAnchoredTransactions(hash));
+      let block = new Block("8e7912", g, EASY_POW_TARGET);
+      block.addTransaction(tx);
+      nora.blocks.set(block.id, block);
+      nora.lastBlock = block;
+      let found = nora.findAnchoredTransactions(hash);
+      assert.lengthOf(found, 1);
+      assert.equal(found[0].tx.id, tx.id);
+      assert.equal(found[0].block, block);
+    });
+  });
+
+  describe('#initiateSwap', () => {
+    let setup = () => {
+      let [alice, bob] = ["Alice", "Bob"].map((name) => new Client({name: name, net: net}));
+      let g = startChain([ [alice.address, 50] ], alice, bob);
+      let swap = alice.initiateSwap({amount: 30, claimKey: bob.keyPair.public, timeout: 5});
+      let block = new Block("8e7912", g, EASY_POW_TARGET);
+      block.addTransaction(swap.tx);
+      [alice, bob].forEach((client) => {
+        client.blocks.set(block.id, block);
+        client.lastConfirmedBlock = client.lastBlock = block;
+      });
+      return {alice, bob, swap, block};
+    };
+
+    it("should pay into a contract the other party can claim with a new secret.", () => {
+      let {alice, bob, swap, block} = setup();
+      assert.equal(swap.contract.hashlock, utils.hashSecret(swap.secret));
+      assert.equal(swap.contract.refundKey, alice.keyPair.public);
+      assert.equal(block.balanceOf(swap.address), 30);
+
+      let claim = bob.claimSwap(swap.contract, swap.secret);
+      assert.equal(claim.outputs[0].amount, 29);
+      assert.equal(claim.outputs[0].address, bob.address);
+      assert.isTrue(new Block("8e7912", block, EASY_POW_TARGET).addTransaction(claim));
+      assert.throws(() => bob.claimSwap(swap.contract, utils.generateSecret()), /does not match/);
+      assert.throws(() => alice.claimSwap(swap.contract, swap.secret), /claim key/);
+    });
+
+    it("should lock a refund until the timeout.", () => {
+      let {alice, swap} = setup();
+      let refund = alice.refundSwap(swap.contract);
+      assert.deepEqual(refund.lock, {height: 5});
+      assert.isTrue(refund.validSignature());
+    });
+
+    it("should find the secret revealed by a claim.", () => {
+      let {alice, bob, swap, block} = setup();
+      assert.isUndefined(alice.findSwapSecret(swap.contract));
+      let next = new Block("8e7912", block, EASY_POW_TARGET);
+      next.addTransaction(bob.claimSwap(swap.contract, swap.secret));
+      alice.blocks.set(next.id, next);
+      alice.lastBlock = next;
+      assert.equal(alice.findSwapSecret(swap.contract), swap.secret);
+    });
+  });
+
+  describe('#getTransactionHistory', () => {
+    let frank = new Client({name: "Frank", net: net});
+    let g = startChain([ [frank.address, 50], [addr, 500] ], frank);
+
+    let sent = frank.postTransaction([{amount: 30, address: payee}], 2);
+    let received = new Transaction({from: [addr], pubKey: [kp.public], outputs: [{amount: 7, address: frank.address}], fee: 1, nonce: 0});
+    received.sign(kp.private);
+
+    let find = (txId) => frank.getTransactionHistory().find((entry) => entry.txId === txId);
+
+    it("should list posted transactions as pending.", () => {
+      frank.receivePendingTransaction(received);
+      assert.equal(find(sent.id).status, "pending");
+      assert.isNull(find(sent.id).height);
+      assert.equal(find(received.id).direction, "received");
+    });
+
+    it("should only let a signed transaction paying a higher fee supersede a pending payment.", () => {
+      let conflicting = (fee, signed=true) => {
+        let tx = new Transaction({from: [addr], pubKey: [kp.public], outputs: [{amount: 1, address: gina.address}], fee: fee, nonce: 1});
+        if (signed) tx.sign(kp.private);
+        return tx;
+      };
+      let gina = new Client({name: "Gina", net: net, startingBlock: g});
+      gina.log = function(){};
+      let payment = new Transaction({from: [addr], pubKey: [kp.public], outputs: [{amount: 7, address: gina.address}], fee: 1, nonce: 0});
+      payment.sign(kp.private);
+      gina.receivePendingTransaction(payment);
+
+      gina.receivePendingTransaction(conflicting(100, false));
+      gina.receivePendingTransaction(conflicting(payment.fee));
+      assert.deepEqual([...gina.pendingReceivedTransactions.keys()], [payment.id]);
+
+      let replacement = new Transaction({from: [addr], pubKey: [kp.public], outputs: [{amount: 7, address: gina.address}],
+        fee: payment.fee + Blockchain.REPLACEMENT_FEE_INCREMENT, nonce: 1});
+      replacement.sign(kp.private);
+      gina.receivePendingTransaction(replacement);
+      assert.deepEqual([...gina.pendingReceivedTransactions.keys()], [replacement.id]);
+    });
+
+    it("should give the direction, counterparties, amount, fee and depth of each entry.", () => {
+      let b1 = new Block("8e7912", g, EASY_POW_TARGET);
+      b1.addTransaction(sent);
+      b1.addTransaction(received);
+      frank.blocks.set(b1.id, b1);
+      let b2 = new Block("8e7912", b1, EASY_POW_TARGET);
+      frank.blocks.set(b2.id, b2);
+      frank.lastBlock = b2;
+      frank.setLastConfirmed();
+
+      let entry = find(sent.id);
+      assert.equal(entry.direction, "sent");
+      assert.deepEqual(entry.counterparties, [payee]);
+      assert.equal(entry.amount, 30);
+      assert.equal(entry.fee, 2);
+      assert.equal(entry.height, 1);
+      assert.equal(entry.confirmations, 2);
+      assert.equal(entry.status, "pending");
+      assert.deepEqual(find(received.id).counterparties, [addr]);
+      assert.equal(frank.pendingReceivedTransactions.size, 0);
+    });
+
+    it("should mark entries as confirmed once they are deep enough.", () => {
+      let block = frank.lastBlock;
+      for (let i = 0; i < Blockchain.CONFIRMED_DEPTH; i++) {
+        block = new Block("8e7912", block, EASY_POW_TARGET);
+        frank.blocks.set(block.id, block);
+      }
+      frank.lastBlock = block;
+      frank.setLastConfirmed();
+      assert.equal(find(sent.id).status, "confirmed");
+    });
+
+    it("should mark entries as orphaned after a reorganization drops their block.", () => {
+      let block = g;
+      for (let i = 0; i < Blockchain.CONFIRMED_DEPTH + 4; i++) {
+        block = new Block("8e7912", block, EASY_POW_TARGET);
+        frank.blocks.set(block.id, block);
+      }
+      frank.lastBlock = block;
+      frank.setLastConfirmed();
+      assert.equal(find(received.id).status, "orphaned");
+    });
+
+    it("should only look at the blocks after the fork point, and take orphaned entries back when they are included again.", () => {
+      let block = new Block("8e7912", frank.lastBlock, EASY_POW_TARGET);
+      block.addTransaction(received);
+      frank.blocks.set(block.id, block);
+      frank.lastBlock = block;
+
+      let lookups = 0;
+      let get = frank.blocks.get;
+      frank.blocks.get = function(id) {
+        lookups++;
+        return get.call(this, id);
+      };
+      frank.updateTransactionHistory();
+      delete frank.blocks.get;
+      assert.equal(lookups, 1);
+
+      let entries = frank.getTransactionHistory().filter(({txId}) => txId === received.id);
+      assert.equal(entries.length, 1);
+      assert.equal(entries[0].height, block.chainLength);
+      assert.equal(entries[0].confirmations, 1);
+      assert.equal(find(sent.id).status, "orphaned");
+    });
+  });
+
+  describe('#recoverFunds', () => {
+    let mnemonic = "antenna dwarf settle sleep must wool ocean once banana tiger distance gate great similar chief cheap dinner dolphin picture swing twenty two file nuclear";
+    let carol = new Client({name: "Carol", net: net, mnemonic: mnemonic, startingBlock: new Block("8e7912")});
+    let carolAddr = carol.address;
+    let laterAddr = utils.calcAddress(carol.deriveKeypair(Client.EXTERNAL_CHAIN, 3).public);
+
+    // Carol's first address is funded in the genesis block and then completely spent,
+    // and a later address (skipping 1 and 2) is paid by someone else.
+    let g = new Block("8e7912");
+    g.balances = new Map([ [carolAddr, 100], [addr, 500] ]);
+    carol.lastConfirmedBlock = carol.lastBlock = g;
+    let spend = carol.postTransaction([{amount: 30, address: payee}], 1);
+    let pay = new Transaction({from: [addr], pubKey: [kp.public], outputs: [{amount: 50, address: laterAddr}], fee: 1, nonce: 0});
+    pay.sign(kp.private);
+    let b = new Block("8e7912", g, EASY_POW_TARGET);
+    b.addTransaction(spend);
+    b.addTransaction(pay);
+
+    it("should find addresses that were funded and then spent.", () => {
+      let restored = new Client({name: "Carol", net: net, mnemonic: mnemonic, startingBlock: g});
+      restored.blocks.set(b.id, b);
+      restored.lastConfirmedBlock = restored.lastBlock = b;
+      restored.recoverFunds(5);
+
+      let addresses = restored.wallet.map(({address}) => address);
+      assert.include(addresses, carolAddr);
+      assert.include(addresses, laterAddr);
+      assert.equal(restored.derivationIndexes[Client.EXTERNAL_CHAIN], 4);
+      assert.equal(restored.derivationIndexes[Client.CHANGE_CHAIN], 1);
+      assert.equal(restored.getConfirmedBalance(), 50 + 69);
+      assert.equal(restored.address, laterAddr);
+    });
+
+    it("should rebuild the transaction history from the whole chain.", () => {
+      let restored = new Client({name: "Carol", net: net, mnemonic: mnemonic, startingBlock: g});
+      restored.blocks.set(b.id, b);
+      restored.lastConfirmedBlock = restored.lastBlock = b;
+      restored.recoverFunds(5);
+
+      let txIds = restored.transactionHistory.map(({txId}) => txId);
+      assert.sameMembers(txIds, [spend.id, pay.id]);
+    });
+
+    it("should work for a wallet restored from Shamir shares.", () => {
+      let shares = shamir.split(mnemonic, 2, 3);
+      let restored = new Client({name: "Carol", net: net, shares: [shares[2], shares[0]], startingBlock: g});
+      restored.blocks.set(b.id, b);
+      restored.lastConfirmedBlock = restored.lastBlock = b;
+      restored.recoverFunds(5);
+      assert.equal(restored.getConfirmedBalance(), 50 + 69);
+    });
+  });
+
   describe('#receiveBlock', () => {
     it("should reject any block without a valid proof.", () => {
       let b = new Block(addr, genesis);
@@ -201,5 +1782,346 @@ describe('Client', () => {
       assert.equal(clint.blocks.get(bAlt.id), bAlt);
       assert.equal(clint.lastBlock, b2);
     });
+
+    it("should reject a block timestamped before the median time past, or with no valid timestamp.", () => {
+      let mined = (timestamp) => {
+        let b = new Block(addr, genesis, EASY_POW_TARGET);
+        b.timestamp = timestamp;
+        miner.currentBlock = b;
+        b.proof = 0;
+        miner.findProof(true);
+        return b;
+      };
+      [genesis.timestamp, "soon", null].forEach((timestamp) => {
+        let b = mined(timestamp);
+        assert.throws(() => b.checkTimestamp(genesis), /timestamp/);
+        assert.isNull(clint.receiveBlock(JSON.parse(b.serialize())));
+      });
+    });
+
+    it("should reject a block timestamped too far ahead of the local clock.", () => {
+      let b = new Block(addr, genesis, EASY_POW_TARGET);
+      b.timestamp = Date.now() + 2 * Blockchain.MAX_TIME_DRIFT;
+      miner.currentBlock = b;
+      b.proof = 0;
+      miner.findProof(true);
+      assert.throws(() => b.checkTimestamp(genesis), /future/);
+      assert.isNull(clint.receiveBlock(b));
+      b.checkTimestamp(genesis, b.timestamp);
+    });
+
+    it("should reject a block paying more than the coinbase reward for its height.", () => {
+      let b = new Block(addr, genesis, EASY_POW_TARGET, Blockchain.coinbaseRewardAt(1) + 1);
+      miner.currentBlock = b;
+      b.proof = 0;
+      miner.findProof(true);
+      assert.isTrue(b.hasValidProof());
+      assert.isNull(clint.receiveBlock(JSON.parse(b.serialize())));
+
+      // The reward is part of the hash that the proof is for, so it cannot be changed afterwards.
+      let o = JSON.parse(b.serialize());
+      o.coinbaseReward = Blockchain.coinbaseRewardAt(1);
+      assert.notEqual(Blockchain.deserializeBlock(o).hashVal(), b.hashVal());
+    });
+
+    it("should reject a block that does not use the expected target, even with a valid proof.", () => {
+      let b = new Block(addr, genesis, EASY_POW_TARGET >> 1n);
+      b.addTransaction(t);
+      miner.currentBlock = b;
+      b.proof = 0;
+      miner.findProof(true);
+      assert.isTrue(b.hasValidProof());
+      assert.isNull(clint.receiveBlock(b));
+      assert.isFalse(clint.blocks.has(b.id));
+    });
+  });
+});
+
+describe('Miner', () => {
+  let net = { broadcast: function(){} };
+
+  describe('#addTransaction', () => {
+    let setup = () => {
+      let g = startChain([ [addr, 100] ]);
+      let minnie = new Miner({name: "Minnie", net: net, startingBlock: g});
+      minnie.log = function(){};
+      minnie.startNewSearch();
+      return minnie;
+    };
+    let spend = (fee, amount=50) => {
+      let tx = new Transaction({from: [addr], pubKey: [kp.public], outputs: [{amount, address: payee}], fee: fee, nonce: 0});
+      tx.sign(kp.private);
+      return tx;
+    };
+
+    it("should swap a queued transaction for a replacement paying a higher fee.", () => {
+      let minnie = setup();
+      let original = spend(1);
+      assert.isTrue(minnie.addTransaction(original));
+      assert.isFalse(minnie.addTransaction(spend(1, 40)));
+      let replacement = spend(2, 40);
+      assert.isTrue(minnie.addTransaction(replacement));
+      assert.deepEqual([...minnie.transactions], [replacement]);
+    });
+
+    it("should refuse a transaction paying less than the minimum fee for its size.", () => {
+      let minnie = setup();
+      let tx = spend(0);
+      assert.equal(Blockchain.minimumFee(tx), Blockchain.MIN_FEE_RATE);
+      assert.isFalse(minnie.addTransaction(tx));
+      assert.isEmpty(minnie.transactions);
+    });
+
+    it("should reject a replacement with an invalid signature.", () => {
+      let minnie = setup();
+      minnie.addTransaction(spend(1));
+      let forged = spend(10);
+      forged.outputs[0].amount = 80;
+      assert.isFalse(minnie.addTransaction(forged));
+    });
+
+    it("should hold a locked transaction until a block can include it.", () => {
+      let minnie = setup();
+      let tx = new Transaction({from: [addr], pubKey: [kp.public], outputs: [{amount: 50, address: payee}], fee: 1, nonce: 0,
+        lock: {height: 2}});
+      tx.sign(kp.private);
+      minnie.addTransaction(tx);
+      minnie.startNewSearch();
+      assert.isFalse(minnie.currentBlock.contains(tx));
+      assert.isTrue(minnie.transactions.has(tx));
+
+      // An unlocked transaction spending the same gold does not replace it, and is mined first.
+      let spent = spend(1);
+      assert.isTrue(minnie.addTransaction(spent));
+      minnie.startNewSearch();
+      assert.isTrue(minnie.currentBlock.contains(spent));
+
+      minnie.lastBlock = minnie.currentBlock;
+      minnie.startNewSearch();
+      assert.equal(minnie.currentBlock.chainLength, 2);
+      assert.isFalse(minnie.currentBlock.contains(tx));
+      assert.isFalse(minnie.transactions.has(tx));
+    });
+
+    it("should restart the search if the replaced transaction is in the block being mined.", () => {
+      let minnie = setup();
+      let original = spend(1);
+      minnie.addTransaction(original);
+      minnie.startNewSearch();
+      assert.isTrue(minnie.currentBlock.contains(original));
+
+      let replacement = spend(3);
+      assert.isTrue(minnie.addTransaction(replacement));
+      assert.isFalse(minnie.currentBlock.contains(original));
+      assert.isTrue(minnie.currentBlock.contains(replacement));
+    });
+  });
+
+  describe('#receiveBlock', () => {
+    // The target is adjusted for every block, so that a fork's blocks can be harder to find.
+    let bc = Blockchain.runWith(null, () => Blockchain.createInstance({
+      targetBlockTime: 1000, retargetInterval: 1, powLeadingZeroes: 6, net: { register: function(){} },
+    }));
+
+    it("should switch to a heavier fork, even a shorter one, and requeue the other fork's transactions.", () => Blockchain.runWith(bc, () => {
+      let g = startChain([ [addr, 100] ]);
+      let minnie = new Miner({name: "Minnie", net: net, startingBlock: g});
+      minnie.log = function(){};
+      minnie.startNewSearch();
+
+      // Mines a block after prev, found the given time after it.
+      let mine = (prev, delay, tx) => {
+        let block = new Block("8e7912", prev, Blockchain.expectedTarget(prev, minnie.blocks));
+        block.timestamp = prev.timestamp + delay;
+        if (tx) block.addTransaction(tx);
+        block.proof = 0;
+        while (!block.hasValidProof()) block.proof++;
+        return block;
+      };
+      let tx = new Transaction({from: [addr], pubKey: [kp.public], outputs: [{amount: 50, address: payee}], fee: 1, nonce: 0});
+      tx.sign(kp.private);
+
+      // Slow blocks make the long fork easier to extend.
+      let a1 = minnie.receiveBlock(mine(g, 1000));
+      let b2 = minnie.receiveBlock(mine(a1, 5000, tx));
+      let b3 = minnie.receiveBlock(mine(b2, 5000));
+      let b4 = minnie.receiveBlock(mine(b3, 5000));
+      assert.equal(minnie.lastBlock, b4);
+
+      // Quick blocks make the short fork harder, and heavier.
+      let c2 = minnie.receiveBlock(mine(a1, 1));
+      assert.equal(minnie.lastBlock, b4);
+      let c3 = minnie.receiveBlock(mine(c2, 1));
+      assert.isBelow(c3.chainLength, b4.chainLength);
+      assert.equal(minnie.lastBlock, c3);
+      assert.equal(minnie.currentBlock.prevBlockHash, c3.id);
+      assert.isTrue(minnie.currentBlock.contains(tx));
+    }));
+  });
+});
+
+describe('LightClient', () => {
+  // Messages are delivered straight away, serialized as they would be on the network.
+  let copy = (o) => JSON.parse(JSON.stringify(o));
+  let minnie, lucy;
+  let net = {
+    broadcast: function(msg, o) {
+      if (msg === Blockchain.GET_HEADERS) minnie.provideHeaders(copy(o));
+      if (msg === Blockchain.GET_PROOFS) minnie.provideProofs(copy(o));
+    },
+    sendMessage: function(address, msg, o) {
+      lucy.emit(msg, copy(o));
+    },
+  };
+  let mine = (block) => {
+    block.proof = 0;
+    while (!block.hasValidProof()) block.proof++;
+    return block;
+  };
+
+  lucy = new LightClient({name: "Lucy", net: net});
+  lucy.log = function(){};
+  let g = new Block("8e7912");
+  g.balances = new Map([ [addr, 100], [lucy.address, 30] ]);
+  lucy.setGenesisBlock(g);
+  minnie = new Miner({name: "Minnie", net: net, startingBlock: g});
+  minnie.log = function(){};
+
+  let tx = new Transaction({from: [addr], pubKey: [kp.public],
+    outputs: [{amount: 50, address: lucy.address}, {amount: 49, address: payee}], fee: 1, nonce: 0});
+  tx.sign(kp.private);
+  let b1 = new Block(payee, g);
+  b1.addTransaction(tx);
+  mine(b1);
+  minnie.receiveBlock(b1);
+
+  describe('#receiveBlock', () => {
+    it("should follow a full node's headers, learning of its payments from Merkle proofs.", () => {
+      lucy.requestHeaders();
+      assert.equal(lucy.lastBlock.id, b1.id);
+      assert.deepEqual([...lucy.lastBlock.transactions.keys()], [tx.id]);
+      assert.equal(lucy.lastBlock.balanceOf(lucy.address), 80);
+      assert.equal(lucy.availableGold, 30);
+      let entry = lucy.getTransactionHistory().find(({txId}) => txId === tx.id);
+      assert.equal(entry.confirmations, 1);
+
+      // Only the headers after the light client's last block are sent.
+      let b2 = mine(new Block(payee, b1));
+      minnie.receiveBlock(b2);
+      assert.deepEqual(lucy.blockLocator(), [b1.id, g.id]);
+      lucy.requestHeaders();
+      assert.equal(lucy.lastBlock.id, b2.id);
+      assert.equal(lucy.lastBlock.balanceOf(lucy.address), 80);
+    });
+
+    it("should reject headers without a valid proof or out of sequence.", () => {
+      let header = copy(b1.header());
+      header.proof += 1;
+      assert.isNull(lucy.receiveBlock(header));
+
+      let skipping = new Block(payee, g);
+      skipping.chainLength = 5;
+      assert.isNull(lucy.receiveBlock(mine(skipping).header()));
+      assert.isFalse(lucy.blocks.has(skipping.id));
+
+      let greedy = mine(new Block(payee, g, Blockchain.POW_TARGET, Blockchain.coinbaseRewardAt(1) + 1));
+      assert.isNull(lucy.receiveBlock(greedy.header()));
+      assert.isFalse(lucy.blocks.has(greedy.id));
+    });
+  });
+
+  describe('#receiveProofs', () => {
+    let makeLena = () => {
+      let lena = new LightClient({name: "Lena", net: {broadcast: function(){}}, mnemonic: lucy.mnemonic, password: lucy.password});
+      lena.log = function(){};
+      lena.setGenesisBlock(g);
+      lena.receiveBlock(b1.header());
+      return lena;
+    };
+    let reply = (lena, proofs, addresses=lena.wallet.map(({address}) => address)) => ({addresses, blocks: [{blockId: b1.id, proofs}]});
+
+    it("should only accept transactions proven against the block's Merkle root.", () => {
+      let lena = makeLena();
+      assert.equal(lena.lastBlock.balanceOf(lena.address), 30);
+
+      let forged = copy(tx);
+      forged.outputs[0].amount = 99;
+      lena.receiveProofs(reply(lena, [{tx: forged, proof: b1.merkleProof(tx.id)}]));
+      assert.equal(lena.lastBlock.balanceOf(lena.address), 30);
+
+      lena.receiveProofs(reply(lena, [{tx: copy(tx), proof: b1.merkleProof(tx.id)}]));
+      assert.equal(lena.lastBlock.balanceOf(lena.address), 80);
+    });
+
+    it("should not let an empty answer lock out an honest one.", () => {
+      let lena = makeLena();
+      lena.receiveProofs(reply(lena, []));
+      lena.receiveProofs(reply(lena, [{tx: copy(tx), proof: b1.merkleProof(tx.id)}]));
+      assert.equal(lena.lastBlock.balanceOf(lena.address), 80);
+
+      // An answer proving fewer transactions does not replace a fuller one.
+      lena.receiveProofs(reply(lena, []));
+      assert.equal(lena.lastBlock.balanceOf(lena.address), 80);
+    });
+
+    it("should ignore answers that do not cover every address asked about, or are malformed.", () => {
+      let lena = makeLena();
+      lena.receiveProofs(reply(lena, [{tx: copy(tx), proof: b1.merkleProof(tx.id)}], [payee]));
+      assert.equal(lena.lastBlock.balanceOf(lena.address), 30);
+
+      lena.receiveProofs({});
+      lena.receiveProofs({addresses: [], blocks: [null, {blockId: b1.id, proofs: "none"}]});
+      lena.receiveProofs(reply(lena, [null]));
+      lena.receiveProofs(reply(lena, [{tx: {outputs: 5}, proof: []}]));
+      assert.equal(lena.lastBlock.balanceOf(lena.address), 30);
+      assert.isFalse(lena.provenBlocks.has(b1.id));
+    });
+
+    it("should update the balances once for a batch of headers and proofs.", () => {
+      // A full node of its own, so that its answers go to this light client.
+      let lena, mona;
+      let lenaNet = {
+        broadcast: function(msg, o) {
+          if (msg === Blockchain.GET_HEADERS) mona.provideHeaders(copy(o));
+          if (msg === Blockchain.GET_PROOFS) mona.provideProofs(copy(o));
+        },
+        sendMessage: function(address, msg, o) {
+          lena.emit(msg, copy(o));
+        },
+      };
+      mona = new Miner({name: "Mona", net: lenaNet, startingBlock: g});
+      mona.log = function(){};
+      let b2 = mine(new Block(payee, b1));
+      let b3 = mine(new Block(payee, b2));
+      [b1, b2, b3].forEach((b) => mona.receiveBlock(b));
+
+      let updates = 0;
+      lena = new LightClient({name: "Lena", net: lenaNet, mnemonic: lucy.mnemonic, password: lucy.password});
+      lena.log = function(){};
+      lena.setGenesisBlock(g);
+      let updateBalances = lena.updateBalances;
+      lena.updateBalances = function() {
+        updates++;
+        updateBalances.call(lena);
+      };
+      lena.requestHeaders();
+      assert.equal(lena.lastBlock.id, b3.id);
+      assert.equal(lena.lastBlock.balanceOf(lena.address), 80);
+      assert.equal(updates, 2);
+    });
+
+    it("should only work out the balances of blocks after the fork point again.", () => {
+      let lena = makeLena();
+      let b2 = mine(new Block(payee, b1));
+      lena.receiveBlock(b2.header());
+      let b1Balances = lena.blocks.get(b1.id).balances;
+      lena.receiveBlock(mine(new Block(payee, b2)).header());
+      assert.strictEqual(lena.blocks.get(b1.id).balances, b1Balances);
+
+      // Proofs arriving late for an earlier block are carried up to the latest block.
+      lena.receiveProofs(reply(lena, [{tx: copy(tx), proof: b1.merkleProof(tx.id)}]));
+      assert.equal(lena.lastBlock.chainLength, 3);
+      assert.equal(lena.lastBlock.balanceOf(lena.address), 80);
+    });
   });
 });
@@ -25,18 +25,36 @@ module.exports = class Transaction {
    * @param {Object} obj - The inputs and outputs of the transaction.
    * @param obj.from - The address of the payer.
    * @param obj.nonce - Number that orders the payer's transactions.  For coinbase
-   *          transactions, this should be the block height.
-   * @param obj.pubKey - Public key associated with the specified from address.
-   * @param obj.sig - Signature of the transaction.  This field may be omitted.
+   *          transactions, this should be the block height.  Wallets spending whole
+   *          addresses use a random nonce; see utils.generateNonce.
+   * @param obj.pubKey - Public key associated with the specified from address.  For a
+   *          multisignature address, this is its script, in the form {threshold, keys}, and for
+   *          a hash time-locked contract, in the form {hashlock, claimKey, refundKey, timeout}.
+   * @param [obj.keyType] - The type of each public key, either 'secp256k1', 'rsa', 'multisig' or 'htlc'.
+   *          If omitted, it is determined from the keys.
+   * @param obj.sig - Signature of the transaction.  This field may be omitted.  A multisignature
+   *          input has an array of signatures, one per key of its script, with null for keys that did not sign.
+   *          A contract input has an object {sig, preimage}, where the preimage is omitted for a refund.
    * @param {Array} [obj.outputs] - An array of the outputs.
    * @param [obj.fee] - The amount of gold offered as a transaction fee.
-   * @param [obj.data] - Object with any additional properties desired for the transaction.
+   * @param [obj.data] - Object with any additional properties desired for the transaction.  A memo
+   *          (such as an invoice reference) goes in data.memo, and the SHA-256 hash of a document
+   *          anchored by the transaction, in hex, goes in data.anchor.  Data is limited in size,
+   *          and makes the transaction pay a higher fee; see Blockchain.dataFee.
+   * @param [obj.lock] - Earliest block the transaction may be included in, in the form {height, time}.
+   *          Either field may be omitted.  The time is compared with the block's median time past
+   *          (see Block.medianTimePast), in milliseconds since the epoch.
    */
-  constructor({from, nonce, pubKey, sig=[], outputs, fee=0, data={}}) {
+  constructor({from, nonce, pubKey, keyType, sig=[], outputs, fee=0, data={}, lock}) {
     this.from = from;
     this.nonce = nonce;
     this.pubKey = pubKey;
-    this.sig = sig;
+    if (keyType === undefined && pubKey !== undefined) {
+      keyType = [].concat(pubKey).map((key) => utils.keyType(key));
+    }
+    this.keyType = keyType;
+    // Copied, so that signing this transaction leaves the one it was built from untouched.
+    this.sig = sig.map((s) => Array.isArray(s) ? [...s] : s);
     this.fee = fee;
     this.outputs = [];
     if (outputs) outputs.forEach(({amount, address}) => {
@@ -46,19 +64,32 @@ module.exports = class Transaction {
       this.outputs.push({amount, address});
     });
     this.data = data;
+    this.lock = lock;
   }
 
   /**
    * A transaction's ID is derived from its contents.
+   * 
+   * The key types are only included if some key is not RSA, so that
+   * transactions from before the switch to secp256k1 keep their IDs.
+   * The lock is likewise only included if there is one.
    */
   get id() {
-    return utils.hash(TX_CONST + JSON.stringify({
+    let contents = {
       from: this.from,
       nonce: this.nonce,
       pubKey: this.pubKey,
+    };
+    if (this.keyType !== undefined && this.keyType.some((type) => type !== utils.RSA)) {
+      contents.keyType = this.keyType;
+    }
+    if (this.lock !== undefined) {
+      contents.lock = this.lock;
+    }
+    return utils.hash(TX_CONST + JSON.stringify(Object.assign(contents, {
       outputs: this.outputs,
       fee: this.fee,
-      data: this.data }));
+      data: this.data })));
   }
 
   /**
@@ -66,9 +97,40 @@ module.exports = class Transaction {
    * 
    * @param privKey  - The key used to sign the signature.  It should match the
    *    public key included in the transaction.
+   * @param {Number} [inputIndex] - The input the signature is for.  If omitted,
+   *    the signature is added after any existing signatures.
+   * @param {Number} [keyIndex] - For a multisignature input, the position of the key
+   *    in the input's script.
    */
-  sign(privKey) {
-    this.sig.push(utils.sign(privKey, this.id));
+  sign(privKey, inputIndex, keyIndex) {
+    let sig = utils.sign(privKey, this.id);
+    if (keyIndex !== undefined) {
+      if (!Array.isArray(this.sig[inputIndex])) {
+        this.sig[inputIndex] = this.pubKey[inputIndex].keys.map(() => null);
+      }
+      this.sig[inputIndex][keyIndex] = sig;
+    } else if (inputIndex === undefined) {
+      this.sig.push(sig);
+    } else {
+      this.sig[inputIndex] = sig;
+    }
+  }
+
+  /**
+   * Signs an input spending from a hash time-locked contract.  Giving the preimage of the
+   * contract's hashlock claims the gold, and the key should be the contract's claim key;
+   * otherwise the gold is refunded, and the key should be the contract's refund key.
+   *
+   * Whether the claim or refund is allowed at the current height is checked by the block.
+   *
+   * @param privKey - The key used to sign the signature.
+   * @param {Number} inputIndex - The input spending from the contract.
+   * @param {String} [preimage] - The secret matching the hashlock, in hex.
+   */
+  signContract(privKey, inputIndex, preimage) {
+    let sig = { sig: utils.sign(privKey, this.id) };
+    if (preimage !== undefined) sig.preimage = preimage;
+    this.sig[inputIndex] = sig;
   }
 
   /**
@@ -78,22 +140,130 @@ module.exports = class Transaction {
    * @returns {Boolean} - Validity of the signature and from address.
    */
   validSignature() {
+    if (this.from.length === 0) {
+        console.log("No inputs found!");
+        return false;
+    }
     for (let i = 0; i < this.from.length; i++) {
       if (!utils.addressMatchesKey(this.from[i], this.pubKey[i])) {
           console.log("Address and keys do not match!");
           return false;
       }
-      if (this.sig[i] === undefined) {
+      if (this.keyType === undefined || utils.keyType(this.pubKey[i]) !== this.keyType[i]) {
+          console.log("Key type does not match the key!");
+          return false;
+      }
+      if (this.sig[i] === undefined || this.sig[i] === null) {
           console.log("No signature found!");
           return false;
       }
-      if (!utils.verifySignature(this.pubKey[i], this.id, this.sig[i])) {
+      if (this.keyType[i] === utils.MULTISIG) {
+        if (!this.validMultisig(i)) return false;
+      } else if (this.keyType[i] === utils.HTLC) {
+        if (!this.validContract(i)) return false;
+      } else if (!utils.verifySignature(this.pubKey[i], this.id, this.sig[i])) {
           console.log("Signature not valid for the ID!");
           return false;
       }
+    }
+
+    return true;
+  }
 
-      return true;
+  /**
+   * Checks the signatures of a multisignature input.  Every signature given must
+   * be valid for its key, and there must be at least as many as the script's threshold.
+   *
+   * @param {Number} i - Index of the input.
+   *
+   * @returns {Boolean} - True if the input has enough valid signatures.
+   */
+  validMultisig(i) {
+    let {threshold, keys} = this.pubKey[i];
+    let sigs = this.sig[i];
+    if (!Array.isArray(sigs) || sigs.length !== keys.length) {
+      console.log("Multisig signatures do not match the keys!");
+      return false;
+    }
+    let count = 0;
+    for (let j = 0; j < keys.length; j++) {
+      if (sigs[j] === null) continue;
+      if (!utils.verifySignature(keys[j], this.id, sigs[j])) {
+        console.log("Multisig signature not valid for the ID!");
+        return false;
+      }
+      count++;
+    }
+    if (count < threshold) {
+      console.log(`Only ${count} of ${threshold} required signatures found!`);
+      return false;
     }
+    return true;
+  }
+
+  /**
+   * Checks the signature of an input spending from a hash time-locked contract.  A claim
+   * must reveal the preimage of the hashlock and be signed by the claim key; a refund
+   * must be signed by the refund key.  The contract's timeout is checked by the block.
+   *
+   * @param {Number} i - Index of the input.
+   *
+   * @returns {Boolean} - True if the input is a validly signed claim or refund.
+   */
+  validContract(i) {
+    let {hashlock, claimKey, refundKey} = this.pubKey[i];
+    let {sig, preimage} = this.sig[i];
+    if (preimage !== undefined && (typeof preimage !== 'string' || utils.hashSecret(preimage) !== hashlock)) {
+      console.log("Preimage does not match the hashlock!");
+      return false;
+    }
+    let key = preimage === undefined ? refundKey : claimKey;
+    if (sig === undefined || !utils.verifySignature(key, this.id, sig)) {
+      console.log("Contract signature not valid for the ID!");
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Returns true if the input claims gold from a hash time-locked contract by
+   * revealing its secret, as opposed to refunding it.
+   *
+   * @param {Number} i - Index of the input.
+   *
+   * @returns {Boolean}
+   */
+  isClaim(i) {
+    return this.keyType !== undefined && this.keyType[i] === utils.HTLC &&
+      this.sig[i] !== undefined && this.sig[i] !== null && this.sig[i].preimage !== undefined;
+  }
+
+  /**
+   * The size of the transaction, as the length in bytes of its serialized form,
+   * signatures included.  Fees are charged by size; see Blockchain.minimumFee.
+   *
+   * @returns {Number} - the size in bytes
+   */
+  size() {
+    return Buffer.byteLength(JSON.stringify(this));
+  }
+
+  /**
+   * Determines whether the transaction's lock allows it into the given block: the
+   * block must be at least the lock's height, and its median time past at least the lock's time.
+   * The median time past is used rather than the block's own timestamp, which the miner chooses.
+   * A malformed lock is never satisfied.
+   * 
+   * @param {Block} block - The block the transaction would be added to.
+   * 
+   * @returns {Boolean} - True if the transaction may be included in the block.
+   */
+  isUnlocked(block) {
+    if (this.lock === undefined) return true;
+    let {height, time} = this.lock || {};
+    if (height !== undefined && !(Number.isInteger(height) && block.chainLength >= height)) return false;
+    if (time !== undefined && !(Number.isInteger(time) && block.medianTimePast() >= time)) return false;
+    return true;
   }
 
   /**
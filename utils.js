@@ -10,28 +10,251 @@ const { pki, random } = require('node-forge');
 //added for mnemonic
 //const NUM_BYTES = 32;
 const Mnemonic = require('./mnemonic.js').Mnemonic;
+const HDKey = require('./hdkey.js');
+const base58 = require('./base58.js');
 
 // CRYPTO settings
 const HASH_ALG = 'sha256';
-const SIG_ALG = 'RSA-SHA256';
+
+// Supported key types.  New keys are secp256k1 keys derived straight from the HD
+// node.  RSA keys are only kept so that addresses created before the switch
+// remain spendable.
+const SECP256K1 = 'secp256k1';
+const RSA = 'rsa';
+const DEFAULT_KEY_TYPE = SECP256K1;
+
+// Multisignature addresses commit to a script of the form {threshold, keys}, and
+// are spent with at least threshold signatures from those keys.
+const MULTISIG = 'multisig';
+const MAX_MULTISIG_KEYS = 15;
+
+// Hash time-locked contract addresses commit to a script of the form
+// {hashlock, claimKey, refundKey, timeout}.  Before the timeout height, the
+// claim key may spend the gold by revealing the preimage of the hashlock;
+// from the timeout height on, the refund key may spend it.
+const HTLC = 'htlc';
+const SECRET_LENGTH = 32;
+// The timeout is hashed into the address as 4 bytes.
+const MAX_HTLC_TIMEOUT = 0xffffffff;
+
+// Longest DER encoding of an ECDSA signature on secp256k1, in bytes.
+const MAX_ECDSA_SIGNATURE_SIZE = 72;
+
+// Version byte for each key type, stored after the network prefix in an address.
+// RSA addresses predate versioning, and are the base64 hash of the key (the
+// "legacy" format).
+const ADDRESS_VERSIONS = {
+  [SECP256K1]: 0x01,
+  [MULTISIG]: 0x02,
+  [HTLC]: 0x03,
+};
+
+// Network prefix of addresses, unless the blockchain configures another one.
+const DEFAULT_ADDRESS_PREFIX = 0x3f;
+
+// An address is the network prefix, the version, and the HASH160 of the key,
+// written in Base58Check.
+const ADDRESS_LENGTH = 2 + 20;
+const LEGACY_ADDRESS = /^[A-Za-z0-9+/]{43}=$/;
+
+// Merkle tree leaves and inner nodes are hashed with different prefixes, so an
+// inner node can never be passed off as a leaf.
+const MERKLE_LEAF_CONST = "\x00";
+const MERKLE_NODE_CONST = "\x01";
+const BASE58_CHARACTER = /[1-9A-HJ-NP-Za-km-z]/;
+
+// First receiving address of the first account, following BIP44.
+const DEFAULT_DERIVATION_PATH = "m/44'/1'/0'/0/0";
+
+exports.SECP256K1 = SECP256K1;
+exports.RSA = RSA;
+exports.MULTISIG = MULTISIG;
+exports.MAX_MULTISIG_KEYS = MAX_MULTISIG_KEYS;
+exports.HTLC = HTLC;
+exports.DEFAULT_KEY_TYPE = DEFAULT_KEY_TYPE;
+exports.DEFAULT_ADDRESS_PREFIX = DEFAULT_ADDRESS_PREFIX;
 
 exports.hash = function hash(s, encoding) {
   encoding = encoding || 'hex';
   return crypto.createHash(HASH_ALG).update(s).digest(encoding);
 };
 
+/**
+ * Hashes a leaf of a Merkle tree, such as a transaction ID, into the bottom level of the tree.
+ *
+ * @param {String} leaf - the hash of the leaf
+ * @returns {String} - the node for the leaf
+ */
+function merkleLeaf(leaf) {
+  return exports.hash(MERKLE_LEAF_CONST + leaf);
+}
+
+/**
+ * Hashes two neighbouring nodes of a Merkle tree into their parent.
+ *
+ * @param {String} left - the left child
+ * @param {String} right - the right child
+ * @returns {String} - the parent node
+ */
+function merkleNode(left, right) {
+  return exports.hash(MERKLE_NODE_CONST + left + right);
+}
+
+/**
+ * Hashes each pair of nodes on one level of a Merkle tree to give the level above.
+ * A node left without a partner is carried up unchanged, rather than paired with
+ * itself.  Since leaves and inner nodes are hashed differently, no list of leaves
+ * shares its root with another list, such as one holding the inner nodes of the first.
+ *
+ * @param {Array} level - the hashes of one level, in order
+ * @returns {Array} - the hashes of the level above
+ */
+function merkleParents(level) {
+  let parents = [];
+  for (let i = 0; i < level.length; i += 2) {
+    parents.push(i + 1 < level.length ? merkleNode(level[i], level[i+1]) : level[i]);
+  }
+  return parents;
+}
+
+/**
+ * Calculates the root of a Merkle tree over a list of hashes, such as transaction IDs.
+ * The root of an empty list is the hash of the empty string.
+ *
+ * @param {Array} leaves - the hashes, in order
+ * @returns {String} - the Merkle root
+ */
+exports.merkleRoot = function(leaves) {
+  if (leaves.length === 0) return exports.hash("");
+  let level = leaves.map(merkleLeaf);
+  while (level.length > 1) level = merkleParents(level);
+  return level[0];
+};
+
+/**
+ * Builds the proof that a hash is one of the leaves of a Merkle tree: the sibling of
+ * each node on the path from the leaf up to the root, and on which side it goes.
+ *
+ * @param {Array} leaves - the hashes, in order
+ * @param {String} leaf - the hash to prove
+ * @returns {Array} - the proof, as a list of {hash, left}, lowest level first
+ */
+exports.merkleProof = function(leaves, leaf) {
+  let index = leaves.indexOf(leaf);
+  if (index < 0) throw new Error(`${leaf} is not a leaf of the Merkle tree.`);
+  let proof = [];
+  let level = leaves.map(merkleLeaf);
+  while (level.length > 1) {
+    let sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < level.length) proof.push({hash: level[sibling], left: sibling < index});
+    level = merkleParents(level);
+    index = Math.floor(index / 2);
+  }
+  return proof;
+};
+
+/**
+ * Checks a Merkle proof from merkleProof, by hashing the leaf up the tree with each
+ * sibling in turn and comparing the result to the root.
+ *
+ * @param {String} leaf - the hash that is claimed to be a leaf
+ * @param {Array} proof - the siblings on the path to the root
+ * @param {String} root - the Merkle root
+ * @returns {Boolean} - true if the leaf is in the tree with the given root
+ */
+exports.verifyMerkleProof = function(leaf, proof, root) {
+  let node = proof.reduce((node, {hash, left}) =>
+    left ? merkleNode(hash, node) : merkleNode(node, hash), merkleLeaf(leaf));
+  return node === root;
+};
+
 /**
  * Generates keypair from mnemonic and password
  * 
  * @param {String} mnemonic - associated with the blockchain instance
  * @param {String} password - unique to each user
+ * @param {String} [path] - BIP32 derivation path of the key, defaulting to the first receiving address
+ * @param {String} [keyType] - Either 'secp256k1' or, for wallets created before the switch, 'rsa'
  * @returns 
  */
+exports.generateKeypairFromMnemonic = function( mnemonic, password, path=DEFAULT_DERIVATION_PATH, keyType=DEFAULT_KEY_TYPE ) {
+  const seed = mnemonicToSeedSync(mnemonic, password);
+  return exports.keypairFromHDNode(HDKey.fromSeed(seed).derive(path), keyType);
+};
+
+/**
+ * Converts an HD node to a keypair.  A secp256k1 keypair uses the node's key directly.
+ * An RSA keypair is generated from the node's private key, as wallets did before the switch.
+ *
+ * @param {HDKey} node - The derived node.
+ * @param {String} [keyType] - Either 'secp256k1' or 'rsa'.
+ * @returns {Object} - public and private keys in PEM format
+ */
+exports.keypairFromHDNode = function( node, keyType=DEFAULT_KEY_TYPE ) {
+  switch (keyType) {
+    case SECP256K1:
+      return exports.secp256k1Keypair(node.privateKey);
+    case RSA:
+      return exports.generateKeypairFromSeed(node.privateKey);
+    default:
+      throw new Error(`Unsupported key type "${keyType}".`);
+  }
+};
+
+/**
+ * Converts a secp256k1 public key to PEM format.  This works for nodes without a
+ * private key, so a watch-only wallet can derive its keys from an extended public key.
+ *
+ * @param {Buffer} publicKey - The compressed or uncompressed public key.
+ * @returns {String} - the public key in PEM format
+ */
+exports.secp256k1PublicKeyToPem = function( publicKey ) {
+  let point = crypto.ECDH.convertKey(publicKey, SECP256K1, null, null, 'uncompressed');
+  let jwk = {
+    kty: 'EC',
+    crv: SECP256K1,
+    x: point.slice(1, 33).toString('base64url'),
+    y: point.slice(33).toString('base64url'),
+  };
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' });
+};
+
+/**
+ * Converts a 32-byte secp256k1 private key, such as the key of an HD node, to a keypair.
+ *
+ * @param {Buffer} privateKey - The private key.
+ * @returns {Object} - public and private keys in PEM format
+ */
+exports.secp256k1Keypair = function( privateKey ) {
+  let ecdh = crypto.createECDH(SECP256K1);
+  ecdh.setPrivateKey(privateKey);
+  let point = ecdh.getPublicKey();
+  let jwk = {
+    kty: 'EC',
+    crv: SECP256K1,
+    d: privateKey.toString('base64url'),
+    x: point.slice(1, 33).toString('base64url'),
+    y: point.slice(33).toString('base64url'),
+  };
+  let key = crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+  return {
+    public: crypto.createPublicKey(key).export({ type: 'spki', format: 'pem' }),
+    private: key.export({ type: 'pkcs8', format: 'pem' }),
+  };
+};
+
+/**
+ * Generates an RSA keypair deterministically from a seed, such as the
+ * private key of a derived HD node.  The same seed always gives the same keypair.
+ * Only used for wallets created before the switch to secp256k1.
+ *
+ * @param {Buffer} seed - Secret bytes used to seed the PRNG.
+ * @returns {Object} - public and private keys in PEM format
+ */
 //https://stackoverflow.com/questions/72047474/how-to-generate-safe-rsa-keys-deterministically-using-a-seed
-exports.generateKeypairFromMnemonic = function( mnemonic, password ) {
-  const seed = mnemonicToSeedSync(mnemonic, password).toString('hex');
+exports.generateKeypairFromSeed = function( seed ) {
   const prng = random.createInstance();
-  prng.seedFileSync = () => seed;
+  prng.seedFileSync = () => seed.toString('hex');
   const { privateKey, publicKey } = pki.rsa.generateKeyPair({ bits: 512, prng, workers: 2 });
   return {
       public: pki.publicKeyToPem(publicKey),
@@ -40,9 +263,14 @@ exports.generateKeypairFromMnemonic = function( mnemonic, password ) {
 };
 
 
-exports.generateKeypair = function() {
-  const kp = crypto.generateKeyPairSync('rsa', {
-    modulusLength: 512,
+/**
+ * Generates a random keypair.
+ *
+ * @param {String} [keyType] - Either 'secp256k1' or 'rsa'.
+ * @returns {Object} - public and private keys in PEM format
+ */
+exports.generateKeypair = function(keyType=DEFAULT_KEY_TYPE) {
+  let opts = {
       publicKeyEncoding: {
         type: 'spki',
         format: 'pem'
@@ -51,39 +279,331 @@ exports.generateKeypair = function() {
         type: 'pkcs8',
         format: 'pem'
       }
-  });
+  };
+  let kp;
+  switch (keyType) {
+    case SECP256K1:
+      kp = crypto.generateKeyPairSync('ec', Object.assign({ namedCurve: SECP256K1 }, opts));
+      break;
+    case RSA:
+      kp = crypto.generateKeyPairSync('rsa', Object.assign({ modulusLength: 512 }, opts));
+      break;
+    default:
+      throw new Error(`Unsupported key type "${keyType}".`);
+  }
   return {
     public: kp.publicKey,
     private: kp.privateKey,
   };
 };
 
+/**
+ * Builds the script of an m-of-n multisignature address.  The keys are sorted by their
+ * hash, so every co-signer gets the same script (and address) whatever order they list
+ * the keys in.
+ *
+ * @param {Number} threshold - Number of signatures needed to spend from the address.
+ * @param {Array} pubKeys - The public keys of the co-signers, in PEM format.
+ * @returns {Object} - the script, in the form {threshold, keys}
+ */
+exports.multisigScript = function(threshold, pubKeys) {
+  let script = {
+    threshold: threshold,
+    keys: pubKeys.slice().sort((a, b) => keyHash(a).compare(keyHash(b))),
+  };
+  exports.checkMultisigScript(script);
+  return script;
+};
+
+/**
+ * Checks that a multisignature script is well-formed, throwing an error that
+ * says what is wrong with it otherwise.
+ *
+ * @param {Object} script - The script, in the form {threshold, keys}.
+ */
+exports.checkMultisigScript = function(script) {
+  let {threshold, keys} = script || {};
+  if (!Array.isArray(keys) || keys.length === 0 || keys.length > MAX_MULTISIG_KEYS) {
+    throw new Error(`Invalid multisig script: expected 1 to ${MAX_MULTISIG_KEYS} keys.`);
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > keys.length) {
+    throw new Error(`Invalid multisig script: threshold ${threshold} is not between 1 and ${keys.length}.`);
+  }
+  let hashes = keys.map((key, i) => {
+    let keyType = exports.keyType(key);
+    if (keyType === undefined || keyType === MULTISIG) {
+      throw new Error(`Invalid multisig script: key ${i+1} is not a supported public key.`);
+    }
+    return keyHash(key).toString('hex');
+  });
+  if (new Set(hashes).size !== hashes.length) {
+    throw new Error("Invalid multisig script: the same key is listed more than once.");
+  }
+};
+
+/**
+ * Gives the longest signature a key can make, in hex characters, so that the size of a
+ * transaction can be worked out before it is signed.
+ *
+ * @param {String} pubKey - The public key in PEM format.
+ * @returns {Number | undefined} - the length, or undefined for an unsupported key
+ */
+exports.maxSignatureLength = function(pubKey) {
+  switch (exports.keyType(pubKey)) {
+    case SECP256K1:
+      return MAX_ECDSA_SIGNATURE_SIZE * 2;
+    case RSA:
+      // An RSA signature is as long as the modulus.
+      return crypto.createPublicKey(pubKey).asymmetricKeyDetails.modulusLength / 4;
+  }
+};
+
+/**
+ * Measures the data attached to a transaction, as the length of its JSON in bytes.
+ * No data, or an empty object, takes no space.
+ *
+ * @param {Object} [data] - The transaction's data field.
+ * @returns {Number} - the size of the data in bytes
+ */
+exports.dataSize = function(data) {
+  if (data === undefined || (data !== null && typeof data === 'object' && Object.keys(data).length === 0)) return 0;
+  return Buffer.byteLength(JSON.stringify(data));
+};
+
+/**
+ * Generates a random transaction nonce.  Transactions spend whole addresses rather
+ * than counting up from an account's last nonce, so the nonce is random, giving
+ * transactions with the same inputs and outputs different IDs.
+ *
+ * @returns {Number} - a random 48-bit integer
+ */
+exports.generateNonce = function() {
+  return crypto.randomBytes(6).readUIntBE(0, 6);
+};
+
+/**
+ * Generates a random secret for a hash time-locked contract.
+ *
+ * @returns {String} - the secret, in hex
+ */
+exports.generateSecret = function() {
+  return crypto.randomBytes(SECRET_LENGTH).toString('hex');
+};
+
+/**
+ * Hashes the secret of a hash time-locked contract, giving its hashlock.
+ *
+ * @param {String} secret - The secret (the preimage), in hex.
+ * @returns {String} - the SHA-256 hash of the secret, in hex
+ */
+exports.hashSecret = function(secret) {
+  return crypto.createHash(HASH_ALG).update(Buffer.from(""+secret, 'hex')).digest('hex');
+};
+
+/**
+ * Builds the script of a hash time-locked contract address.
+ *
+ * @param {Object} contract - The terms of the contract.
+ * @param {String} contract.hashlock - SHA-256 hash of the secret, in hex.
+ * @param {String} contract.claimKey - Public key that may claim the gold with the secret.
+ * @param {String} contract.refundKey - Public key that may take the gold back after the timeout.
+ * @param {Number} contract.timeout - Block height from which the gold can only be refunded.
+ * @returns {Object} - the script, in the form {hashlock, claimKey, refundKey, timeout}
+ */
+exports.htlcScript = function({hashlock, claimKey, refundKey, timeout}) {
+  let script = { hashlock, claimKey, refundKey, timeout };
+  exports.checkHtlcScript(script);
+  return script;
+};
+
+/**
+ * Checks that a hash time-locked contract script is well-formed, throwing an
+ * error that says what is wrong with it otherwise.
+ *
+ * @param {Object} script - The script, in the form {hashlock, claimKey, refundKey, timeout}.
+ */
+exports.checkHtlcScript = function(script) {
+  let {hashlock, claimKey, refundKey, timeout} = script || {};
+  if (typeof hashlock !== 'string' || !/^[0-9a-f]{64}$/.test(hashlock)) {
+    throw new Error("Invalid HTLC script: the hashlock must be a SHA-256 hash in hex.");
+  }
+  [claimKey, refundKey].forEach((key, i) => {
+    let keyType = exports.keyType(key);
+    if (keyType !== SECP256K1 && keyType !== RSA) {
+      throw new Error(`Invalid HTLC script: the ${i === 0 ? "claim" : "refund"} key is not a supported public key.`);
+    }
+  });
+  if (!Number.isInteger(timeout) || timeout < 0 || timeout > MAX_HTLC_TIMEOUT) {
+    throw new Error(`Invalid HTLC script: timeout ${timeout} is not a block height.`);
+  }
+};
+
+/**
+ * Determines the type of a public key.
+ *
+ * @param {String | Object} pubKey - The public key in PEM format, or a multisignature or HTLC script.
+ * @returns {String | undefined} - either 'secp256k1', 'rsa', 'multisig' or 'htlc', or undefined if
+ *    the key cannot be read or is of an unsupported type
+ */
+exports.keyType = function(pubKey) {
+  if (pubKey !== null && typeof pubKey === 'object' && !Buffer.isBuffer(pubKey)) {
+    let [type, check] = pubKey.hashlock !== undefined ?
+      [HTLC, exports.checkHtlcScript] : [MULTISIG, exports.checkMultisigScript];
+    try {
+      check(pubKey);
+    } catch (e) {
+      return undefined;
+    }
+    return type;
+  }
+  let key;
+  try {
+    key = crypto.createPublicKey(""+pubKey);
+  } catch (e) {
+    return undefined;
+  }
+  if (key.asymmetricKeyType === 'rsa') return RSA;
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails.namedCurve === SECP256K1) return SECP256K1;
+};
+
+// Signing works the same for every key type: ECDSA for secp256k1 keys, and
+// PKCS#1 v1.5 for RSA keys, which matches the signatures made before the switch.
 exports.sign = function(privKey, msg) {
-  let signer = crypto.createSign(SIG_ALG);
   // Convert an object to its JSON representation
   let str = (msg === Object(msg)) ? JSON.stringify(msg) : ""+msg;
-  return signer.update(str).sign(privKey, 'hex');
+  return crypto.sign(HASH_ALG, Buffer.from(str), privKey).toString('hex');
 };
 
 exports.verifySignature = function(pubKey, msg, sig) {
-  let verifier = crypto.createVerify(SIG_ALG);
   // Convert an object to its JSON representation
   let str = (msg === Object(msg)) ? JSON.stringify(msg) : ""+msg;
-  return verifier.update(str).verify(pubKey, sig, 'hex');
+  try {
+    return crypto.verify(HASH_ALG, Buffer.from(str), pubKey, Buffer.from(sig, 'hex'));
+  } catch (e) {
+    // Malformed signatures are simply invalid.
+    return false;
+  }
 };
 
-exports.calcAddress = function(key) {
-  let addr = exports.hash(""+key, 'base64');
-  //console.log(`Generating address ${addr} from ${key}`);
-  return addr;
+/**
+ * Hashes a public key for its address: RIPEMD-160 of the SHA-256 of the DER encoding.
+ * A multisignature script is hashed as its threshold, followed by the hash of each key.
+ * An HTLC script is hashed as its hashlock, the hashes of its keys, and its timeout.
+ */
+function keyHash(key) {
+  let data;
+  let keyType = exports.keyType(key);
+  if (keyType === MULTISIG) {
+    data = Buffer.concat([Buffer.from([key.threshold, key.keys.length]), ...key.keys.map(keyHash)]);
+  } else if (keyType === HTLC) {
+    let timeout = Buffer.alloc(4);
+    timeout.writeUInt32BE(key.timeout, 0);
+    data = Buffer.concat([Buffer.from(key.hashlock, 'hex'), keyHash(key.claimKey), keyHash(key.refundKey), timeout]);
+  } else {
+    data = crypto.createPublicKey(""+key).export({ type: 'spki', format: 'der' });
+  }
+  let sha = crypto.createHash(HASH_ALG).update(data).digest();
+  return crypto.createHash('ripemd160').update(sha).digest();
+}
+
+/**
+ * Calculates the address of a public key.  Addresses hold the network prefix,
+ * a version byte giving the key type, and the hash of the key, in Base58Check,
+ * so that a mistyped address is detected.  RSA keys keep the legacy address
+ * they had before the switch.
+ *
+ * @param {String | Object} key - The public key in PEM format, or a multisignature or HTLC script.
+ * @param {Number} [prefix] - The network prefix.
+ * @returns {String} - the address
+ */
+exports.calcAddress = function(key, prefix=DEFAULT_ADDRESS_PREFIX) {
+  let keyType = exports.keyType(key);
+  if (keyType === undefined) {
+    throw new Error("Unsupported public key.");
+  }
+  if (keyType === RSA) {
+    return exports.hash(""+key, 'base64');
+  }
+  return base58.encodeCheck(Buffer.concat([Buffer.from([prefix, ADDRESS_VERSIONS[keyType]]), keyHash(key)]));
 };
 
+/**
+ * Determines whether an address belongs to a public key.  The network prefix
+ * is not checked; addresses are checked against the network where they enter
+ * the system (see validateAddress).
+ *
+ * @param {String} addr - The address.
+ * @param {String | Object} pubKey - The public key in PEM format, or a multisignature or HTLC script.
+ * @returns {Boolean}
+ */
 exports.addressMatchesKey = function(addr, pubKey) {
-  return addr === exports.calcAddress(pubKey);
+  let keyType = exports.keyType(pubKey);
+  // Keys that cannot be read match no address.
+  if (keyType === undefined) return false;
+  if (keyType === RSA) return addr === exports.calcAddress(pubKey);
+
+  // Addresses and keys that cannot be decoded or hashed match nothing, rather than
+  // stopping whoever is checking a transaction.
+  try {
+    let payload = base58.decodeCheck(""+addr);
+    return payload.length === ADDRESS_LENGTH &&
+      payload[1] === ADDRESS_VERSIONS[keyType] &&
+      payload.slice(2).equals(keyHash(pubKey));
+  } catch (e) {
+    return false;
+  }
 };
 
-exports.generateMnemonic = function(){
-	let mnemonic = new Mnemonic();
+/**
+ * Checks that an address is well-formed and belongs to the given network, throwing
+ * an error that says what is wrong with it otherwise.  This should be called
+ * wherever an address is typed in or read from a file.
+ *
+ * @param {String} addr - The address.
+ * @param {Object} [opts] - The address settings of the network.
+ * @param {Number} [opts.prefix] - The network prefix.
+ * @param {Boolean} [opts.allowLegacy] - Whether legacy (unchecksummed, base64) addresses are accepted.
+ */
+exports.validateAddress = function(addr, {prefix=DEFAULT_ADDRESS_PREFIX, allowLegacy=false} = {}) {
+  if (typeof addr !== 'string' || addr === "") {
+    throw new Error("Invalid address: no address given.");
+  }
+  if (LEGACY_ADDRESS.test(addr)) {
+    if (allowLegacy) return;
+    throw new Error(`Invalid address ${addr}: legacy addresses are not accepted on this network.`);
+  }
+  for (let i = 0; i < addr.length; i++) {
+    if (!BASE58_CHARACTER.test(addr[i])) {
+      throw new Error(`Invalid address ${addr}: character '${addr[i]}' at position ${i+1} is not allowed.`);
+    }
+  }
+
+  let payload;
+  try {
+    payload = base58.decodeCheck(addr);
+  } catch (e) {
+    throw new Error(`Invalid address ${addr}: checksum mismatch; check the address for typos.`);
+  }
+  if (payload.length !== ADDRESS_LENGTH) {
+    throw new Error(`Invalid address ${addr}: wrong length.`);
+  }
+  if (payload[0] !== prefix) {
+    throw new Error(`Invalid address ${addr}: the address is for another network (prefix ${payload[0]}, expected ${prefix}).`);
+  }
+  if (!Object.values(ADDRESS_VERSIONS).includes(payload[1])) {
+    throw new Error(`Invalid address ${addr}: unknown address version ${payload[1]}.`);
+  }
+};
+
+/**
+ * Generates a new random BIP39 mnemonic.
+ *
+ * @param {Number} [strength] - Bits of entropy: 128, 160, 192, 224 or 256 for 12 to 24 words.
+ * @param {String} [wordlist] - Name of the bip39 wordlist to use.
+ * @returns {String} - the mnemonic phrase
+ */
+exports.generateMnemonic = function(strength, wordlist){
+	let mnemonic = new Mnemonic({ strength, wordlist });
 	console.log(mnemonic.words());
 	return mnemonic.words(); 
 };